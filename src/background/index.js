@@ -1,98 +1,522 @@
 // File: src/background/index.js
 // Description: Background script for handling extension events
 
+import {
+  walletFromSerialized,
+  storeWallet,
+  getWallets,
+  getCurrentWalletId,
+  setCurrentWallet,
+  addAccount,
+  getAccounts,
+  getCurrentAccount,
+  setCurrentAccount,
+  revealMnemonic,
+  exportPrivateKey,
+  exportKeystore,
+  changePassword,
+  exportBackup,
+  openBackup,
+  restoreBackupItems,
+  removeWallet,
+  signArbitrary
+} from '../lib/keyring';
+import { openVault, setRawData, clearAllData } from '../lib/storage';
+import { encodeSignDoc, decodeSignDoc, encodeAccount } from '../lib/session';
+import { initializeSchema, runMigrations } from '../lib/migrations';
+import {
+  PERMISSIONS_KEY,
+  getPermissions,
+  getPermission,
+  getPermittedAccounts,
+  grantPermission,
+  touchPermission,
+  revokePermission,
+  revokeAllPermissions
+} from '../lib/permissions';
+import { validateTxMessages, validateFee } from '../lib/transactions';
+import { networks, getNetworkByChainId } from '../config/network';
+import {
+  startSession,
+  endSession,
+  touchSession,
+  requireSessionKey,
+  isUnlocked,
+  releaseWallet,
+  getUnlockedWallet,
+  getTamperedKeys,
+  resolveTampering
+} from './session';
+import { requestApproval, getRequest, approveRequest, rejectRequest } from './requests';
+
 // Initialize state
 let state = {
   isUnlocked: false,
-  network: 'mainnet',
-  lastActivity: Date.now()
+  tamperedKeys: [],
+  network: 'mainnet'
+};
+
+// Messages that unlock or use the wallet; only the extension's own pages may send them
+const SESSION_MESSAGES = [
+  'UNLOCK_WALLET',
+  'RESOLVE_TAMPERING',
+  'GET_WALLETS',
+  'GET_CURRENT_WALLET_ID',
+  'SET_CURRENT_WALLET',
+  'ADD_WALLET',
+  'GET_ACCOUNTS',
+  'GET_CURRENT_ACCOUNT',
+  'SET_CURRENT_ACCOUNT',
+  'ADD_ACCOUNT',
+  'GET_SIGNER_ACCOUNTS',
+  'SIGN_DIRECT',
+  'REVEAL_MNEMONIC',
+  'EXPORT_PRIVATE_KEY',
+  'EXPORT_KEYSTORE',
+  'CHANGE_PASSWORD',
+  'EXPORT_BACKUP',
+  'RESTORE_BACKUP',
+  'REMOVE_WALLET',
+  'SAVE_SETTINGS',
+  'GET_REQUEST',
+  'APPROVE_REQUEST',
+  'REJECT_REQUEST',
+  'GET_PERMISSIONS',
+  'REVOKE_PERMISSION',
+  'REVOKE_ALL_PERMISSIONS'
+];
+
+// Settings the popup may change through SAVE_SETTINGS
+const SETTINGS_KEYS = ['creata_active_network', 'creata_session_timeout'];
+
+/**
+ * Checks whether a message comes from one of the extension's own pages
+ * (the popup), rather than from a content script running in a web page
+ * @param {Object} sender - Message sender
+ * @returns {boolean}
+ */
+const isExtensionPage = (sender) => (
+  sender.id === chrome.runtime.id
+  && Boolean(sender.url)
+  && sender.url.startsWith(chrome.runtime.getURL(''))
+);
+
+/**
+ * Opens the vault with the password the user re-entered to see or export a
+ * secret. The key is derived once and used for every read that follows.
+ * @param {string} password - Wallet password
+ * @returns {Promise<Object>} - Vault key
+ */
+const confirmPassword = async (password) => {
+  await requireSessionKey();
+  return openVault(password);
 };
 
-// Session timeout in milliseconds (30 minutes)
-const SESSION_TIMEOUT = 30 * 60 * 1000;
+/**
+ * Gets the origin of the page that sent a message
+ * @param {Object} sender - Message sender
+ * @returns {string} - Origin, e.g. https://app.example.com
+ */
+const getSenderOrigin = (sender) => sender.origin || new URL(sender.url).origin;
+
+/**
+ * Gets the chain id of the network selected in the wallet
+ * @returns {Promise<string>}
+ */
+const getActiveChainId = async () => {
+  const data = await chrome.storage.local.get(['creata_active_network']);
+  return (networks[data.creata_active_network] || networks.mainnet).chainId;
+};
+
+/**
+ * Checks whether stored permissions can be relied on. Their integrity tag
+ * is only checked at unlock, so they are not trusted while the wallet is
+ * locked or while a change made outside the wallet is unresolved.
+ * @returns {Promise<boolean>}
+ */
+const arePermissionsVerified = async () => (
+  (await isUnlocked()) && !(await getTamperedKeys()).includes(PERMISSIONS_KEY)
+);
+
+/**
+ * Gets the accounts a website may use, asking the user first when the
+ * origin has no verified permission for the chain yet
+ * @param {string} origin - Website origin
+ * @param {string} chainId - Chain id (defaults to the selected network)
+ * @returns {Promise<Array<string>>} - Approved account addresses
+ */
+const connectSite = async (origin, chainId = null) => {
+  const chain = chainId || (await getActiveChainId());
+  if (!getNetworkByChainId(chain)) {
+	throw new Error(`Unsupported chain: ${chain}`);
+  }
+  
+  // The popup unlocks the wallet and settles tampered data before the
+  // user can approve
+  const permitted = (await arePermissionsVerified()) && (await getPermittedAccounts(origin, chain));
+  if (permitted) {
+	await touchPermission(origin);
+	return permitted;
+  }
+  
+  const { accounts } = await requestApproval('CONNECT', origin, { chainId: chain });
+  await grantPermission(origin, accounts, chain);
+  return accounts;
+};
+
+/**
+ * Asks the user to sign and broadcast a transaction for a connected website
+ * @param {string} origin - Website origin
+ * @param {Object} txParams - Transaction as { messages, memo, fee, signer, chainId }
+ * @returns {Promise<string>} - Transaction hash
+ */
+const sendTransaction = async (origin, txParams = {}) => {
+  const chainId = txParams.chainId || (await getActiveChainId());
+  if (!(await arePermissionsVerified())) {
+	// The connection is approved again once the permissions can be checked
+	await connectSite(origin, chainId);
+  }
+  
+  const permitted = await getPermittedAccounts(origin, chainId);
+  if (!permitted) {
+	throw new Error('Site is not connected; request accounts first');
+  }
+  
+  // The signer defaults to the first account shared with the site
+  const signer = txParams.signer || permitted[0];
+  if (!permitted.includes(signer)) {
+	throw new Error(`Account ${signer} is not connected to this site`);
+  }
+  
+  const messages = validateTxMessages(txParams.messages, signer);
+  const { txHash } = await requestApproval('SEND_TRANSACTION', origin, {
+	chainId,
+	signer,
+	messages,
+	memo: typeof txParams.memo === 'string' ? txParams.memo : '',
+	fee: txParams.fee ? validateFee(txParams.fee) : null
+  });
+  return txHash;
+};
+
+/**
+ * Gets the unlocked wallet that holds an address
+ * @param {string} address - Account address
+ * @returns {Promise<Object>} - Wallet
+ */
+const getWalletOfAddress = async (address) => {
+  const accounts = (await getAccounts(await requireSessionKey())) || [];
+  const account = accounts.find(acc => acc.address === address);
+  if (!account) {
+	throw new Error(`Address ${address} not found`);
+  }
+  return getUnlockedWallet(account.walletId);
+};
+
+/**
+ * Asks the user to sign a message for a connected website (ADR-036)
+ * @param {string} origin - Website origin
+ * @param {string} data - Message text
+ * @param {string} signerAddress - Signer (defaults to the first account shared with the site)
+ * @returns {Promise<Object>} - StdSignature as { pub_key, signature }
+ */
+const signMessage = async (origin, data, signerAddress = null) => {
+  if (typeof data !== 'string' || data.length === 0) {
+	throw new Error('Message must be a non-empty string');
+  }
+  
+  if (!(await arePermissionsVerified())) {
+	// The connection is approved again once the permissions can be checked
+	await connectSite(origin);
+  }
+  
+  // ADR-036 signatures are not bound to a chain, so any connection counts
+  const permission = await getPermission(origin);
+  if (!permission) {
+	throw new Error('Site is not connected; request accounts first');
+  }
+  
+  const signer = signerAddress || permission.accounts[0];
+  if (!permission.accounts.includes(signer)) {
+	throw new Error(`Account ${signer} is not connected to this site`);
+  }
+  
+  // The popup unlocks the wallet before the user can approve
+  await requestApproval('SIGN_MESSAGE', origin, { signer, data });
+  return signArbitrary(await getWalletOfAddress(signer), signer, data);
+};
+
+/**
+ * Tells the open tabs of origins that their access was revoked
+ * @param {Array<string>} origins - Website origins
+ * @returns {Promise<void>}
+ */
+const notifyRevoked = async (origins) => {
+  const tabs = await chrome.tabs.query({});
+  const affected = tabs.filter(tab => {
+	try {
+	  return tab.url && origins.includes(new URL(tab.url).origin);
+	} catch (error) {
+	  return false;
+	}
+  });
+  
+  await Promise.all(affected.map(tab => (
+	// Tabs without the content script (e.g. still loading) have nobody to tell
+	chrome.tabs.sendMessage(tab.id, { type: 'PERMISSION_REVOKED' }).catch(() => {})
+  )));
+};
 
 // Handle extension installation or update
-chrome.runtime.onInstalled.addListener((details) => {
+chrome.runtime.onInstalled.addListener(async (details) => {
   if (details.reason === 'install') {
 	console.log('Creata Wallet extension installed');
-	// Perform first-time setup if needed
+	await initializeSchema();
   } else if (details.reason === 'update') {
-	console.log('Creata Wallet extension updated');
-	// Handle extension updates if needed
+	console.log(`Creata Wallet extension updated from ${details.previousVersion}`);
+	try {
+	  await runMigrations();
+	} catch (error) {
+	  console.error('Failed to migrate storage:', error);
+	}
   }
 });
 
-// Listen for messages from popup or content scripts
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  // Update last activity timestamp
-  state.lastActivity = Date.now();
+/**
+ * Handles a message from the popup or a content script
+ * @param {Object} message - Message with a type and its fields
+ * @param {Object} sender - Message sender
+ * @returns {Promise<Object>} - Response
+ */
+const handleMessage = async (message, sender) => {
+  if (SESSION_MESSAGES.includes(message.type) && !isExtensionPage(sender)) {
+	return { success: false, error: 'Not allowed' };
+  }
   
   switch (message.type) {
 	case 'GET_STATE':
 	  // Send current state to popup
-	  sendResponse({ success: true, state });
-	  break;
+	  state.isUnlocked = await isUnlocked();
+	  state.tamperedKeys = await getTamperedKeys();
+	  return { success: true, result: state };
 	  
-	case 'UNLOCK_WALLET':
-	  // Authenticate and unlock wallet
-	  // In a real implementation, this would verify the password
+	case 'UNLOCK_WALLET': {
+	  // Only a password that opens the vault starts a session
+	  let tamperedKeys;
+	  try {
+		tamperedKeys = await startSession(message.password);
+	  } catch (error) {
+		console.error('Failed to unlock wallet:', error);
+		return { success: false, error: 'Incorrect password' };
+	  }
 	  state.isUnlocked = true;
-	  sendResponse({ success: true });
-	  break;
+	  return { success: true, result: { tamperedKeys } };
+	}
+	  
+	case 'RESOLVE_TAMPERING':
+	  return { success: true, result: await resolveTampering(Boolean(message.discard)) };
 	  
 	case 'LOCK_WALLET':
 	  // Lock wallet
+	  await endSession();
 	  state.isUnlocked = false;
-	  sendResponse({ success: true });
-	  break;
+	  return { success: true };
 	  
 	case 'SWITCH_NETWORK':
 	  // Switch network
 	  if (message.network && (message.network === 'mainnet' || message.network === 'testnet')) {
 		state.network = message.network;
-		sendResponse({ success: true });
-	  } else {
-		sendResponse({ success: false, error: 'Invalid network' });
+		return { success: true };
 	  }
-	  break;
+	  return { success: false, error: 'Invalid network' };
 	  
 	case 'CONNECT_SITE':
-	  // Handle website connection request
-	  // This would be expanded in a production implementation
-	  sendResponse({ success: true, address: 'creata12345...' });
-	  break;
+	  // Website connection request; unknown origins need the user's approval
+	  return { success: true, result: await connectSite(getSenderOrigin(sender), message.chainId) };
+	  
+	case 'GET_REQUEST':
+	  return { success: true, result: getRequest(message.requestId) };
+	  
+	case 'APPROVE_REQUEST': {
+	  const request = getRequest(message.requestId);
+	  if (request.type === 'CONNECT') {
+		// Only accounts of this wallet can be shared
+		const known = ((await getAccounts(await requireSessionKey())) || []).map(acc => acc.address);
+		const { accounts } = message.result;
+		if (!accounts || accounts.length === 0 || accounts.some(address => !known.includes(address))) {
+		  return { success: false, error: 'Select accounts of this wallet to connect' };
+		}
+	  } else if (request.type === 'SEND_TRANSACTION' && !(message.result && message.result.txHash)) {
+		return { success: false, error: 'Transaction hash is required' };
+	  }
+	  approveRequest(message.requestId, message.result);
+	  return { success: true };
+	}
+	  
+	case 'REJECT_REQUEST':
+	  rejectRequest(message.requestId);
+	  return { success: true };
+	  
+	case 'GET_PERMISSIONS':
+	  return { success: true, result: await getPermissions() };
+	  
+	case 'REVOKE_PERMISSION':
+	  if (await revokePermission(message.origin)) {
+		await notifyRevoked([message.origin]);
+	  }
+	  return { success: true };
+	  
+	case 'REVOKE_ALL_PERMISSIONS':
+	  await notifyRevoked(await revokeAllPermissions());
+	  return { success: true };
+	  
+	case 'GET_WALLETS':
+	  return { success: true, result: await getWallets(await requireSessionKey()) };
+	  
+	case 'GET_CURRENT_WALLET_ID':
+	  return { success: true, result: await getCurrentWalletId(await requireSessionKey()) };
+	  
+	case 'SET_CURRENT_WALLET':
+	  return { success: true, result: await setCurrentWallet(message.walletId, await requireSessionKey()) };
+	  
+	case 'ADD_WALLET': {
+	  // New wallets are encrypted with the vault key of the existing ones
+	  const vaultKey = await requireSessionKey();
+	  const wallet = await walletFromSerialized(message.serialized);
+	  return { success: true, result: await storeWallet(wallet, vaultKey, message.name) };
+	}
+	  
+	case 'GET_ACCOUNTS':
+	  return { success: true, result: await getAccounts(await requireSessionKey(), message.walletId) };
+	  
+	case 'GET_CURRENT_ACCOUNT':
+	  return { success: true, result: await getCurrentAccount(await requireSessionKey()) };
+	  
+	case 'SET_CURRENT_ACCOUNT':
+	  await setCurrentAccount(message.address, await requireSessionKey());
+	  return { success: true };
+	  
+	case 'ADD_ACCOUNT': {
+	  // The stored wallet gains a derivation, so the held copy is stale
+	  const vaultKey = await requireSessionKey();
+	  const walletId = message.walletId || (await getCurrentWalletId(vaultKey));
+	  const account = await addAccount(vaultKey, walletId);
+	  releaseWallet(walletId);
+	  return { success: true, result: account };
+	}
+	  
+	case 'GET_SIGNER_ACCOUNTS': {
+	  const walletId = message.walletId || (await getCurrentWalletId(await requireSessionKey()));
+	  const wallet = await getUnlockedWallet(walletId);
+	  const accounts = await wallet.getAccounts();
+	  return { success: true, result: accounts.map(encodeAccount) };
+	}
+	  
+	case 'SIGN_DIRECT': {
+	  // Sign with the wallet that holds the signer address
+	  const wallet = await getWalletOfAddress(message.signerAddress);
+	  const { signed, signature } = await wallet.signDirect(message.signerAddress, decodeSignDoc(message.signDoc));
+	  return { success: true, result: { signed: encodeSignDoc(signed), signature } };
+	}
+	  
+	case 'REVEAL_MNEMONIC':
+	  return { success: true, result: await revealMnemonic(await confirmPassword(message.password), message.walletId) };
+	  
+	case 'EXPORT_PRIVATE_KEY':
+	  return { success: true, result: await exportPrivateKey(await confirmPassword(message.password), message.address) };
+	  
+	case 'EXPORT_KEYSTORE': {
+	  const vaultKey = await confirmPassword(message.password);
+	  return { success: true, result: await exportKeystore(vaultKey, message.address, message.keystorePassword) };
+	}
+	  
+	case 'CHANGE_PASSWORD':
+	  // The session's vault key is stale once the data is re-encrypted
+	  await changePassword(message.oldPassword, message.newPassword);
+	  await endSession();
+	  state.isUnlocked = false;
+	  return { success: true };
+	  
+	case 'EXPORT_BACKUP':
+	  await requireSessionKey();
+	  return { success: true, result: await exportBackup(message.password) };
+	  
+	case 'RESTORE_BACKUP': {
+	  // A bad file or password must not end the current session
+	  const items = await openBackup(message.backup, message.password);
+	  
+	  // Whatever was unlocked before is replaced by the backup
+	  await endSession();
+	  state.isUnlocked = false;
+	  await restoreBackupItems(items, message.password);
+	  return { success: true };
+	}
+	  
+	case 'REMOVE_WALLET':
+	  await confirmPassword(message.password);
+	  
+	  // End the session first so nothing is written back after the removal
+	  await endSession();
+	  state.isUnlocked = false;
+	  await removeWallet();
+	  await clearAllData();
+	  return { success: true };
+	  
+	case 'SAVE_SETTINGS': {
+	  // Written here so they are tagged with the session's vault key
+	  await requireSessionKey();
+	  const items = {};
+	  SETTINGS_KEYS.filter(key => message.settings[key] !== undefined).forEach(key => {
+		items[key] = message.settings[key];
+	  });
+	  await setRawData(items);
+	  return { success: true };
+	}
 	  
 	default:
 	  // Unknown message type
-	  sendResponse({ success: false, error: 'Unknown message type' });
+	  return { success: false, error: 'Unknown message type' };
+  }
+};
+
+// Listen for messages from popup or content scripts
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  // Activity from the popup postpones the auto-lock
+  if (isExtensionPage(sender)) {
+	touchSession();
   }
   
+  handleMessage(message, sender)
+	.then(sendResponse)
+	.catch((error) => {
+	  console.error(`Failed to handle ${message.type}:`, error);
+	  sendResponse({ success: false, error: error.message });
+	});
+  
   // Return true to indicate that the response will be sent asynchronously
   return true;
 });
 
-// Session timeout check
-setInterval(() => {
-  if (state.isUnlocked && (Date.now() - state.lastActivity > SESSION_TIMEOUT)) {
-	console.log('Session timeout, locking wallet');
-	state.isUnlocked = false;
-  }
-}, 60000); // Check every minute
-
 // Listen for connection requests from content scripts
 chrome.runtime.onConnect.addListener((port) => {
   if (port.name === 'content-script') {
-	port.onMessage.addListener((message) => {
-	  // Handle messages from content scripts
-	  console.log('Message from content script:', message);
-	  
-	  // Example response - would be expanded in a real implementation
-	  if (message.type === 'REQUEST_ACCOUNTS') {
-		if (state.isUnlocked) {
-		  port.postMessage({ type: 'ACCOUNTS_RESPONSE', accounts: ['creata12345...'] });
-		} else {
-		  port.postMessage({ type: 'ERROR', error: 'Wallet is locked' });
+	const origin = getSenderOrigin(port.sender);
+	
+	port.onMessage.addListener(async (message) => {
+	  // Requests from the page provider; responses carry the request id back
+	  try {
+		if (message.type === 'REQUEST_ACCOUNTS') {
+		  const accounts = await connectSite(origin, message.chainId);
+		  port.postMessage({ type: 'ACCOUNTS_RESPONSE', requestId: message.requestId, accounts });
+		} else if (message.type === 'SEND_TRANSACTION') {
+		  const txHash = await sendTransaction(origin, message.txParams);
+		  port.postMessage({ type: 'TRANSACTION_RESPONSE', requestId: message.requestId, txHash });
+		} else if (message.type === 'SIGN_MESSAGE') {
+		  const signature = await signMessage(origin, message.message, message.signer);
+		  port.postMessage({ type: 'SIGNATURE_RESPONSE', requestId: message.requestId, signature });
 		}
+	  } catch (error) {
+		port.postMessage({ type: 'ERROR', requestId: message.requestId, error: error.message });
 	  }
 	});
   }
@@ -0,0 +1,131 @@
+// File: src/background/requests.js
+// Description: Website requests waiting for the user's approval in a popup window
+
+// Size of the approval window
+const APPROVAL_WINDOW_WIDTH = 360;
+const APPROVAL_WINDOW_HEIGHT = 620;
+
+// Error returned to the website when the user declines or closes the window
+const USER_REJECTED = 'User rejected the request';
+
+// Request types where a repeated request from the same origin joins the open
+// one; every transaction and message gets its own window
+const JOINABLE_TYPES = ['CONNECT'];
+
+// Requests waiting for the user, by id, as { request, promise, resolve, reject, windowId }
+const pendingRequests = new Map();
+
+/**
+ * Opens the popup window that shows a request
+ * @param {string} requestId - Request id
+ * @returns {Promise<number>} - Window id
+ */
+const openApprovalWindow = async (requestId) => {
+  const window = await chrome.windows.create({
+	url: chrome.runtime.getURL(`index.html?request=${requestId}`),
+	type: 'popup',
+	width: APPROVAL_WINDOW_WIDTH,
+	height: APPROVAL_WINDOW_HEIGHT,
+	focused: true
+  });
+  return window.id;
+};
+
+/**
+ * Asks the user to approve a website request. A second connection request
+ * from the same origin while one is open joins the first one.
+ * @param {string} type - Request type: CONNECT, SEND_TRANSACTION or SIGN_MESSAGE
+ * @param {string} origin - Website origin
+ * @param {Object} params - Request details shown to the user
+ * @returns {Promise<any>} - Result chosen by the user; rejects when declined
+ */
+const requestApproval = async (type, origin, params = {}) => {
+  const existing = JOINABLE_TYPES.includes(type) && [...pendingRequests.values()].find(entry => (
+	entry.request.type === type && entry.request.origin === origin
+  ));
+  if (existing) {
+	if (existing.windowId !== null) {
+	  await chrome.windows.update(existing.windowId, { focused: true });
+	}
+	return existing.promise;
+  }
+
+  const request = { id: crypto.randomUUID(), type, origin, params, createdAt: Date.now() };
+  const entry = { request, windowId: null };
+  entry.promise = new Promise((resolve, reject) => {
+	entry.resolve = resolve;
+	entry.reject = reject;
+  });
+  pendingRequests.set(request.id, entry);
+
+  try {
+	entry.windowId = await openApprovalWindow(request.id);
+  } catch (error) {
+	console.error('Failed to open approval window:', error);
+	pendingRequests.delete(request.id);
+	throw new Error('Failed to open approval window');
+  }
+
+  return entry.promise;
+};
+
+/**
+ * Gets a pending request
+ * @param {string} requestId - Request id
+ * @returns {Object} - Request as { id, type, origin, params, createdAt }
+ */
+const getRequest = (requestId) => {
+  const entry = pendingRequests.get(requestId);
+  if (!entry) {
+	throw new Error('Request not found or already answered');
+  }
+  return entry.request;
+};
+
+/**
+ * Removes a pending request so it can be answered
+ * @param {string} requestId - Request id
+ * @returns {Object} - Pending entry
+ */
+const takeRequest = (requestId) => {
+  const entry = pendingRequests.get(requestId);
+  if (!entry) {
+	throw new Error('Request not found or already answered');
+  }
+  pendingRequests.delete(requestId);
+  return entry;
+};
+
+/**
+ * Approves a pending request
+ * @param {string} requestId - Request id
+ * @param {any} result - Result passed back to the requester
+ */
+const approveRequest = (requestId, result) => {
+  takeRequest(requestId).resolve(result);
+};
+
+/**
+ * Rejects a pending request
+ * @param {string} requestId - Request id
+ * @param {string} reason - Error passed back to the requester
+ */
+const rejectRequest = (requestId, reason = USER_REJECTED) => {
+  takeRequest(requestId).reject(new Error(reason));
+};
+
+// Closing the approval window declines the request
+chrome.windows.onRemoved.addListener((windowId) => {
+  pendingRequests.forEach((entry, requestId) => {
+	if (entry.windowId === windowId) {
+	  rejectRequest(requestId);
+	}
+  });
+});
+
+export {
+  requestApproval,
+  getRequest,
+  approveRequest,
+  rejectRequest
+};
\ No newline at end of file
@@ -0,0 +1,264 @@
+// File: src/background/session.js
+// Description: Unlocked wallet session owned by the background service worker
+
+import { loadWallet, getCurrentWalletId } from '../lib/keyring';
+import {
+  unlockVault,
+  resumeVault,
+  getUnlockedVault,
+  lockVault,
+  sealStorage,
+  discardTamperedData
+} from '../lib/storage';
+
+// chrome.storage.session key holding the vault key of the unlocked session.
+// Session storage is kept in memory, cleared when the browser closes and not
+// readable by content scripts, so the session survives service worker
+// restarts without writing the key to disk. The password is never kept.
+const SESSION_STORAGE_KEY = 'creata_session';
+
+// chrome.storage.local key of the auto-lock timeout chosen in Settings (minutes)
+const SESSION_TIMEOUT_KEY = 'creata_session_timeout';
+
+// Auto-lock timeout when none is configured (minutes)
+const DEFAULT_SESSION_TIMEOUT = 30;
+
+// Alarm that locks the wallet after the timeout. Alarms outlive the
+// service worker, which Chrome stops after about 30 seconds without events.
+const AUTO_LOCK_ALARM = 'creata_auto_lock';
+
+// Decrypted wallets of the unlocked session by wallet id
+const unlockedWallets = new Map();
+
+// Keys found changed outside the wallet at unlock, until the user decides
+// whether to keep them
+let tamperedKeys = [];
+
+/**
+ * Drops the held wallets, overwriting their keys first
+ */
+const wipeWallets = () => {
+  unlockedWallets.forEach(wallet => wallet.wipe());
+  unlockedWallets.clear();
+};
+
+/**
+ * Gets the configured auto-lock timeout
+ * @returns {Promise<number>} - Timeout in minutes
+ */
+const getSessionTimeout = async () => {
+  if (tamperedKeys.includes(SESSION_TIMEOUT_KEY)) {
+	return DEFAULT_SESSION_TIMEOUT;
+  }
+  const data = await chrome.storage.local.get([SESSION_TIMEOUT_KEY]);
+  return parseInt(data[SESSION_TIMEOUT_KEY]) || DEFAULT_SESSION_TIMEOUT;
+};
+
+/**
+ * (Re)starts the auto-lock countdown and matches the system idle detection
+ * to the configured timeout
+ * @returns {Promise<void>}
+ */
+const scheduleAutoLock = async () => {
+  const timeout = await getSessionTimeout();
+  await chrome.alarms.create(AUTO_LOCK_ALARM, { delayInMinutes: timeout });
+  chrome.idle.setDetectionInterval(timeout * 60);
+};
+
+/**
+ * Decrypts the current wallet with the session's vault key and keeps it
+ * @param {string} password - Wallet password, only used for wallets of
+ *   older versions that are encrypted with it directly
+ * @returns {Promise<void>}
+ */
+const holdCurrentWallet = async (password) => {
+  const vaultKey = getUnlockedVault();
+  let wallet;
+  try {
+	wallet = await loadWallet(vaultKey);
+  } catch (error) {
+	wallet = await loadWallet(password);
+  }
+  unlockedWallets.set(await getCurrentWalletId(vaultKey), wallet);
+};
+
+/**
+ * Starts a session with the wallet password. The vault key is derived once
+ * and checked against the stored data; the password itself only reaches
+ * data of older versions that is encrypted with it.
+ * @param {string} password - Wallet password
+ * @returns {Promise<Array<string>>} - Keys changed outside the wallet
+ */
+const startSession = async (password) => {
+  wipeWallets();
+  let unlocked;
+  try {
+	unlocked = await unlockVault(password);
+  } catch (error) {
+	if (error.message !== 'No vault found in storage') {
+	  throw error;
+	}
+	// Converting 0.1.0 data with the password creates the vault
+	await loadWallet(password);
+	unlocked = await unlockVault(password);
+  }
+  
+  tamperedKeys = unlocked.tamperedKeys;
+  await chrome.storage.session.set({ [SESSION_STORAGE_KEY]: unlocked.sessionKey });
+  try {
+	await holdCurrentWallet(password);
+  } catch (error) {
+	await endSession();
+	throw error;
+  }
+  await scheduleAutoLock();
+  return tamperedKeys;
+};
+
+/**
+ * Ends the session
+ * @returns {Promise<void>}
+ */
+const endSession = async () => {
+  wipeWallets();
+  lockVault();
+  tamperedKeys = [];
+  await chrome.storage.session.remove(SESSION_STORAGE_KEY);
+  await chrome.alarms.clear(AUTO_LOCK_ALARM);
+};
+
+/**
+ * Restarts the auto-lock countdown after user activity
+ * @returns {Promise<void>}
+ */
+const touchSession = async () => {
+  if (await isUnlocked()) {
+	await scheduleAutoLock();
+  }
+};
+
+/**
+ * Gets the vault key of the session, restoring it after a service worker
+ * restart. The keyring reads and writes secure data with it in place of the
+ * password.
+ * @returns {Promise<Object|null>} - Vault key, or null when locked
+ */
+const getSessionKey = async () => {
+  if (!getUnlockedVault()) {
+	const data = await chrome.storage.session.get([SESSION_STORAGE_KEY]);
+	if (data[SESSION_STORAGE_KEY]) {
+	  const changed = await resumeVault(data[SESSION_STORAGE_KEY]);
+	  if (changed === null) {
+		// The vault was re-keyed since, e.g. by a password change
+		await endSession();
+	  } else {
+		tamperedKeys = changed;
+	  }
+	}
+  }
+  return getUnlockedVault();
+};
+
+/**
+ * Gets the vault key of the session or fails when the wallet is locked
+ * @returns {Promise<Object>} - Vault key
+ */
+const requireSessionKey = async () => {
+  const vaultKey = await getSessionKey();
+  if (!vaultKey) {
+	throw new Error('Wallet is locked');
+  }
+  return vaultKey;
+};
+
+/**
+ * Checks whether a session is active
+ * @returns {Promise<boolean>}
+ */
+const isUnlocked = async () => Boolean(await getSessionKey());
+
+/**
+ * Drops a held wallet so the next use decrypts it again, e.g. after its
+ * stored copy changed
+ * @param {string} walletId - Wallet id
+ */
+const releaseWallet = (walletId) => {
+  const wallet = unlockedWallets.get(walletId);
+  if (wallet) {
+	wallet.wipe();
+	unlockedWallets.delete(walletId);
+  }
+};
+
+/**
+ * Gets a decrypted wallet of the session, decrypting it on first use
+ * @param {string} walletId - Wallet id
+ * @returns {Promise<Object>} - Wallet object
+ */
+const getUnlockedWallet = async (walletId) => {
+  const vaultKey = await requireSessionKey();
+  if (!unlockedWallets.has(walletId)) {
+	unlockedWallets.set(walletId, await loadWallet(vaultKey, walletId));
+  }
+  return unlockedWallets.get(walletId);
+};
+
+// Lock when the timeout passes, even if the service worker was stopped meanwhile
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === AUTO_LOCK_ALARM) {
+	console.log('Session timeout, locking wallet');
+	endSession().catch(error => console.error('Failed to lock wallet:', error));
+  }
+});
+
+// Lock when the screen locks or the system has been idle for the timeout
+chrome.idle.onStateChanged.addListener((idleState) => {
+  if (idleState === 'locked' || idleState === 'idle') {
+	console.log(`System ${idleState}, locking wallet`);
+	endSession().catch(error => console.error('Failed to lock wallet:', error));
+  }
+});
+
+/**
+ * Gets the keys found changed outside the wallet at unlock
+ * @returns {Promise<Array<string>>}
+ */
+const getTamperedKeys = async () => {
+  await getSessionKey();
+  return tamperedKeys;
+};
+
+/**
+ * Settles keys found changed outside the wallet, either removing them so
+ * their defaults apply or accepting them, and seals the data again
+ * @param {boolean} discard - Whether to remove the changed values
+ * @returns {Promise<Array<string>>} - Encrypted keys that could not be removed
+ */
+const resolveTampering = async (discard) => {
+  await requireSessionKey();
+  const kept = discard ? await discardTamperedData(tamperedKeys) : [];
+  tamperedKeys = [];
+  await sealStorage();
+  await scheduleAutoLock();
+  return kept;
+};
+
+// Apply a timeout changed in Settings to the running session
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[SESSION_TIMEOUT_KEY]) {
+	touchSession();
+  }
+});
+
+export {
+  startSession,
+  endSession,
+  touchSession,
+  getSessionKey,
+  requireSessionKey,
+  isUnlocked,
+  releaseWallet,
+  getUnlockedWallet,
+  getTamperedKeys,
+  resolveTampering
+};
\ No newline at end of file
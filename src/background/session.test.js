@@ -0,0 +1,79 @@
+// File: src/background/session.test.js
+// Description: Tests for the background session and the vault key it keeps
+
+import * as scrypt from '@noble/hashes/scrypt';
+import { createChromeMock } from '../test/chrome';
+import { changePassword, getAccounts, importFromPrivateKey, storeWallet } from '../lib/keyring';
+import { lockVault } from '../lib/storage';
+import { startSession, endSession, getSessionKey, requireSessionKey, getUnlockedWallet } from './session';
+
+const PASSWORD = 'correct horse battery';
+const PRIVATE_KEY = '4c0883a69102937d6231471b5dbb6204fe5129617082792ae468d01a3f362318';
+
+let walletId;
+
+beforeEach(async () => {
+  global.chrome = createChromeMock();
+  lockVault();
+  walletId = await storeWallet(await importFromPrivateKey(PRIVATE_KEY), PASSWORD);
+}, 30000);
+
+describe('startSession', () => {
+  it('keeps the vault key, never the password, in session storage', async () => {
+	await startSession(PASSWORD);
+
+	const { creata_session: sessionKey } = chrome.storage.session.items;
+	expect(sessionKey).toEqual({ salt: chrome.storage.local.items.creata_vault.salt, key: expect.any(String) });
+	expect(JSON.stringify(chrome.storage.session.items)).not.toContain(PASSWORD);
+	expect(JSON.stringify(chrome.storage.local.items)).not.toContain(PASSWORD);
+  }, 30000);
+
+  it('derives the vault key once and holds the current wallet', async () => {
+	const scryptAsync = jest.spyOn(scrypt, 'scryptAsync');
+	try {
+	  await startSession(PASSWORD);
+	  await getUnlockedWallet(walletId);
+	  expect(scryptAsync).toHaveBeenCalledTimes(1);
+	} finally {
+	  scryptAsync.mockRestore();
+	}
+  }, 30000);
+
+  it('rejects a wrong password without sealing the data', async () => {
+	const { creata_integrity: integrity } = chrome.storage.local.items;
+
+	await expect(startSession('wrong password')).rejects.toThrow('Incorrect password');
+	expect(chrome.storage.local.items.creata_integrity).toEqual(integrity);
+	expect(chrome.storage.session.items).toEqual({});
+	await expect(requireSessionKey()).rejects.toThrow('Wallet is locked');
+  }, 30000);
+});
+
+describe('getSessionKey', () => {
+  it('restores the vault key after a service worker restart', async () => {
+	await startSession(PASSWORD);
+	// A restarted worker has lost the key held in memory
+	lockVault();
+
+	const vaultKey = await requireSessionKey();
+	expect(await getAccounts(vaultKey)).toHaveLength(1);
+	expect(await getUnlockedWallet(walletId)).toBeDefined();
+  }, 30000);
+
+  it('ends the session when the vault was re-keyed', async () => {
+	await startSession(PASSWORD);
+	await changePassword(PASSWORD, 'new password');
+	lockVault();
+
+	expect(await getSessionKey()).toBeNull();
+	expect(chrome.storage.session.items).toEqual({});
+  }, 30000);
+
+  it('reports a locked wallet after endSession', async () => {
+	await startSession(PASSWORD);
+	await endSession();
+
+	await expect(requireSessionKey()).rejects.toThrow('Wallet is locked');
+	expect(chrome.storage.session.items).toEqual({});
+  }, 30000);
+});
\ No newline at end of file
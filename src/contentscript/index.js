@@ -16,6 +16,14 @@ port.onMessage.addListener((message) => {
   }, '*');
 });
 
+// Listen for notifications the background sends to this tab
+chrome.runtime.onMessage.addListener((message) => {
+  if (message.type === 'PERMISSION_REVOKED') {
+	// The user disconnected this site; dApps listen for this event on window
+	window.dispatchEvent(new Event('creataWalletDisconnected'));
+  }
+});
+
 // Listen for messages from the page
 window.addEventListener('message', (event) => {
   // Only accept messages from the same window
@@ -43,8 +51,8 @@ function injectProvider() {
 		// Check if the extension is installed
 		isInstalled: true,
 		
-		// Request accounts
-		requestAccounts: function() {
+		// Request accounts (chainId defaults to the network selected in the wallet)
+		requestAccounts: function(chainId) {
 		  return new Promise((resolve, reject) => {
 			const requestId = Date.now().toString();
 			
@@ -53,7 +61,8 @@ function injectProvider() {
 			  type: 'CREATA_WALLET_REQUEST',
 			  message: {
 				type: 'REQUEST_ACCOUNTS',
-				requestId
+				requestId,
+				chainId
 			  }
 			}, '*');
 			
@@ -76,15 +85,16 @@ function injectProvider() {
 			
 			window.addEventListener('message', handleResponse);
 			
-			// Set timeout for request
+			// Set timeout for request; new sites wait for the user's approval
 			setTimeout(() => {
 			  window.removeEventListener('message', handleResponse);
 			  reject(new Error('Request timeout'));
-			}, 30000);
+			}, 300000);
 		  });
 		},
 		
-		// Send transaction
+		// Send transaction as { messages: [{ typeUrl, value }], memo, fee, signer, chainId };
+		// resolves with the transaction hash once the user approves it
 		sendTransaction: function(txParams) {
 		  return new Promise((resolve, reject) => {
 			const requestId = Date.now().toString();
@@ -118,16 +128,17 @@ function injectProvider() {
 			
 			window.addEventListener('message', handleResponse);
 			
-			// Set timeout for request
+			// Set timeout for request; the user reviews the transaction first
 			setTimeout(() => {
 			  window.removeEventListener('message', handleResponse);
 			  reject(new Error('Request timeout'));
-			}, 60000);
+			}, 300000);
 		  });
 		},
 		
-		// Sign message
-		signMessage: function(message) {
+		// Sign a text message off-chain (ADR-036); resolves with { pub_key, signature }.
+		// The signer defaults to the first account shared with the site.
+		signMessage: function(message, signer) {
 		  return new Promise((resolve, reject) => {
 			const requestId = Date.now().toString();
 			
@@ -137,7 +148,8 @@ function injectProvider() {
 			  message: {
 				type: 'SIGN_MESSAGE',
 				requestId,
-				message
+				message,
+				signer
 			  }
 			}, '*');
 			
@@ -160,11 +172,11 @@ function injectProvider() {
 			
 			window.addEventListener('message', handleResponse);
 			
-			// Set timeout for request
+			// Set timeout for request; the user reviews the message first
 			setTimeout(() => {
 			  window.removeEventListener('message', handleResponse);
 			  reject(new Error('Request timeout'));
-			}, 30000);
+			}, 300000);
 		  });
 		}
 	  };
@@ -0,0 +1,96 @@
+// File: src/lib/keyring/adr36.js
+// Description: ADR-036 off-chain signing of arbitrary messages
+
+import { Secp256k1, Secp256k1Signature } from '@cosmjs/crypto';
+import { fromBase64, fromBech32, toBase64, toUtf8 } from '@cosmjs/encoding';
+import { serializeSignDoc } from '@cosmjs/amino';
+import {
+  ETH_SECP256K1,
+  SECP256K1,
+  ETH_SECP256K1_AMINO_TYPE,
+  pubkeyToAddress,
+  hashSignBytes
+} from './ethsecp256k1';
+
+// Amino type of the ADR-036 message
+const MSG_SIGN_DATA_TYPE = 'sign/MsgSignData';
+
+// Key algorithm of each amino public key type
+const PUBKEY_ALGOS = {
+  [ETH_SECP256K1_AMINO_TYPE]: ETH_SECP256K1,
+  'tendermint/PubKeySecp256k1': SECP256K1
+};
+
+/**
+ * Builds the ADR-036 sign doc for a message. Chain id, account number,
+ * sequence and fee are empty so the signature can never be a valid
+ * transaction.
+ * @param {string} signerAddress - Signer address
+ * @param {string|Uint8Array} data - Message text or bytes
+ * @returns {Object} - Amino StdSignDoc
+ */
+const makeADR36SignDoc = (signerAddress, data) => ({
+  chain_id: '',
+  account_number: '0',
+  sequence: '0',
+  fee: { gas: '0', amount: [] },
+  msgs: [{
+	type: MSG_SIGN_DATA_TYPE,
+	value: {
+	  signer: signerAddress,
+	  data: toBase64(typeof data === 'string' ? toUtf8(data) : data)
+	}
+  }],
+  memo: ''
+});
+
+/**
+ * Signs an arbitrary message
+ * @param {Object} wallet - Wallet with signAmino
+ * @param {string} signerAddress - Signer address
+ * @param {string|Uint8Array} data - Message text or bytes
+ * @returns {Promise<Object>} - StdSignature as { pub_key, signature }
+ */
+const signArbitrary = async (wallet, signerAddress, data) => {
+  const { signature } = await wallet.signAmino(signerAddress, makeADR36SignDoc(signerAddress, data));
+  return signature;
+};
+
+/**
+ * Verifies an ADR-036 signature. The public key must belong to the signer
+ * address, so a valid signature by another key is rejected.
+ * @param {string} signerAddress - Signer address
+ * @param {string|Uint8Array} data - Message text or bytes
+ * @param {Object} signature - StdSignature as { pub_key, signature }
+ * @returns {Promise<boolean>}
+ */
+const verifyArbitrary = async (signerAddress, data, signature) => {
+  try {
+	const algo = PUBKEY_ALGOS[signature.pub_key.type];
+	if (!algo) {
+	  return false;
+	}
+
+	const pubkey = fromBase64(signature.pub_key.value);
+	const { prefix } = fromBech32(signerAddress);
+	if (pubkeyToAddress(pubkey, algo, prefix) !== signerAddress) {
+	  return false;
+	}
+
+	const hash = hashSignBytes(serializeSignDoc(makeADR36SignDoc(signerAddress, data)), algo);
+	return await Secp256k1.verifySignature(
+	  Secp256k1Signature.fromFixedLength(fromBase64(signature.signature)),
+	  hash,
+	  pubkey
+	);
+  } catch (error) {
+	// Malformed keys, addresses or signatures do not verify
+	return false;
+  }
+};
+
+export {
+  makeADR36SignDoc,
+  signArbitrary,
+  verifyArbitrary
+};
\ No newline at end of file
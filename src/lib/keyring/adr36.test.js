@@ -0,0 +1,112 @@
+// File: src/lib/keyring/adr36.test.js
+// Description: Tests for ADR-036 signing and verification
+
+import { toUtf8 } from '@cosmjs/encoding';
+import { EthSecp256k1HdWallet, ETH_SECP256K1, SECP256K1 } from './ethsecp256k1';
+import { makeADR36SignDoc, signArbitrary, verifyArbitrary } from './adr36';
+
+const MNEMONIC = 'surround miss nominee dream gap cross assault thank captain prosper drop duty group candy wealth weather scale put';
+const OTHER_MNEMONIC = 'test test test test test test test test test test test junk';
+const MESSAGE = 'Hello, ADR-036';
+
+// Signature made by cosmjs Secp256k1HdWallet.signAmino (the signer Keplr
+// uses) for MESSAGE, with MNEMONIC on m/44'/118'/0'/0/0
+const COSMJS_VECTOR = {
+  signer: 'cosmos1lsagfzrm4gz28he4wunt63sts5xzmczw8pkek3',
+  signature: {
+	pub_key: { type: 'tendermint/PubKeySecp256k1', value: 'A4Fj1Y4k77Qaxuy496CHYB2rpfWXkM3LCnlyrU8eKbH7' },
+	signature: 'B3qhzGC+LqQcurCNaJbIDe48R6x+b6HAkEV94Q9LA3hCVkZPFHtKNhrQRpkcxiCZ3rI9+DxOQ+H1d9DLqXjyEg=='
+  }
+};
+
+/**
+ * Creates a wallet with one account of the given algorithm
+ * @param {string} mnemonic - Mnemonic phrase
+ * @param {string} algo - Key algorithm
+ * @param {string} prefix - Bech32 address prefix
+ * @returns {Promise<Object>} - Wallet and the account address
+ */
+const createWallet = async (mnemonic, algo, prefix = 'creata') => {
+  const hdPath = algo === ETH_SECP256K1 ? "m/44'/60'/0'/0/0" : "m/44'/118'/0'/0/0";
+  const wallet = await EthSecp256k1HdWallet.fromMnemonic(mnemonic, { prefix, derivations: [{ hdPath, algo }] });
+  const [{ address }] = await wallet.getAccounts();
+  return { wallet, address };
+};
+
+describe('makeADR36SignDoc', () => {
+  it('builds a sign doc that cannot be a transaction', () => {
+	expect(makeADR36SignDoc('creata1signer', MESSAGE)).toEqual({
+	  chain_id: '',
+	  account_number: '0',
+	  sequence: '0',
+	  fee: { gas: '0', amount: [] },
+	  msgs: [{ type: 'sign/MsgSignData', value: { signer: 'creata1signer', data: 'SGVsbG8sIEFEUi0wMzY=' } }],
+	  memo: ''
+	});
+  });
+});
+
+describe('verifyArbitrary', () => {
+  it('accepts a signature made by cosmjs', async () => {
+	expect(await verifyArbitrary(COSMJS_VECTOR.signer, MESSAGE, COSMJS_VECTOR.signature)).toBe(true);
+  });
+
+  it('rejects the cosmjs signature for other data or another signer', async () => {
+	const { address } = await createWallet(OTHER_MNEMONIC, SECP256K1, 'cosmos');
+	expect(await verifyArbitrary(COSMJS_VECTOR.signer, `${MESSAGE}!`, COSMJS_VECTOR.signature)).toBe(false);
+	expect(await verifyArbitrary(address, MESSAGE, COSMJS_VECTOR.signature)).toBe(false);
+  });
+
+  it('rejects malformed signatures', async () => {
+	const { pub_key: pubKey, signature } = COSMJS_VECTOR.signature;
+	expect(await verifyArbitrary(COSMJS_VECTOR.signer, MESSAGE, { pub_key: pubKey, signature: 'AAAA' })).toBe(false);
+	expect(await verifyArbitrary(COSMJS_VECTOR.signer, MESSAGE, { pub_key: { ...pubKey, type: 'tendermint/PubKeyEd25519' }, signature })).toBe(false);
+	expect(await verifyArbitrary('not-an-address', MESSAGE, COSMJS_VECTOR.signature)).toBe(false);
+	expect(await verifyArbitrary(COSMJS_VECTOR.signer, MESSAGE, {})).toBe(false);
+  });
+});
+
+describe.each([
+  [SECP256K1, 'tendermint/PubKeySecp256k1'],
+  [ETH_SECP256K1, 'ethermint/PubKeyEthSecp256k1']
+])('signArbitrary with %s accounts', (algo, pubkeyType) => {
+  let signer;
+  let other;
+
+  beforeAll(async () => {
+	signer = await createWallet(MNEMONIC, algo);
+	other = await createWallet(OTHER_MNEMONIC, algo);
+  });
+
+  it('signs text and bytes that verify', async () => {
+	const signature = await signArbitrary(signer.wallet, signer.address, MESSAGE);
+	expect(signature.pub_key.type).toBe(pubkeyType);
+	expect(await verifyArbitrary(signer.address, MESSAGE, signature)).toBe(true);
+
+	// Text is signed as its UTF-8 bytes
+	expect(await verifyArbitrary(signer.address, toUtf8(MESSAGE), signature)).toBe(true);
+	expect(await signArbitrary(signer.wallet, signer.address, toUtf8(MESSAGE))).toEqual(signature);
+  });
+
+  it('rejects changed data', async () => {
+	const signature = await signArbitrary(signer.wallet, signer.address, MESSAGE);
+	expect(await verifyArbitrary(signer.address, 'Hello, ADR-037', signature)).toBe(false);
+  });
+
+  it('rejects a signature from a different key', async () => {
+	const signature = await signArbitrary(other.wallet, other.address, MESSAGE);
+	expect(await verifyArbitrary(signer.address, MESSAGE, signature)).toBe(false);
+
+	// Another key's signature with the signer's public key swapped in
+	const forged = { ...signature, pub_key: (await signArbitrary(signer.wallet, signer.address, MESSAGE)).pub_key };
+	expect(await verifyArbitrary(signer.address, MESSAGE, forged)).toBe(false);
+  });
+});
+
+describe('signArbitrary compared with cosmjs', () => {
+  it('signs secp256k1 accounts like Secp256k1HdWallet', async () => {
+	const { wallet, address } = await createWallet(MNEMONIC, SECP256K1, 'cosmos');
+	expect(address).toBe(COSMJS_VECTOR.signer);
+	expect(await signArbitrary(wallet, address, MESSAGE)).toEqual(COSMJS_VECTOR.signature);
+  });
+});
\ No newline at end of file
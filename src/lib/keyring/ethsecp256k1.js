@@ -0,0 +1,382 @@
+// File: src/lib/keyring/ethsecp256k1.js
+// Description: eth_secp256k1 signers for Evmos-based chains
+
+import {
+  Bip39,
+  EnglishMnemonic,
+  Random,
+  Secp256k1,
+  Slip10,
+  Slip10Curve,
+  keccak256,
+  sha256,
+  stringToPath
+} from '@cosmjs/crypto';
+import { fromHex, toBase64, toBech32, toHex } from '@cosmjs/encoding';
+import { encodeSecp256k1Pubkey, rawSecp256k1PubkeyToRawAddress, serializeSignDoc } from '@cosmjs/amino';
+import { makeSignBytes } from '@cosmjs/proto-signing';
+import { AuthInfo } from 'cosmjs-types/cosmos/tx/v1beta1/tx';
+import { PubKey } from 'cosmjs-types/cosmos/crypto/secp256k1/keys';
+
+// Key algorithms
+const ETH_SECP256K1 = 'eth_secp256k1';
+const SECP256K1 = 'secp256k1';
+
+// Ethermint public key identifiers
+const ETH_SECP256K1_PUBKEY_TYPE_URL = '/ethermint.crypto.v1.ethsecp256k1.PubKey';
+const ETH_SECP256K1_AMINO_TYPE = 'ethermint/PubKeyEthSecp256k1';
+
+// Serialization types
+const HD_WALLET_TYPE = 'creata-hdwallet-v1';
+const PRIVATE_KEY_WALLET_TYPE = 'creata-privatekey-v1';
+
+// Default derivation: the same account MetaMask and evmosd derive first
+const DEFAULT_DERIVATIONS = [{ hdPath: "m/44'/60'/0'/0/0", algo: ETH_SECP256K1 }];
+
+/**
+ * Encodes a compressed public key as an ethermint PubKey Any
+ * @param {Uint8Array} pubkey - Compressed secp256k1 public key
+ * @returns {Object} - Protobuf Any
+ */
+const encodeEthSecp256k1Pubkey = (pubkey) => ({
+  typeUrl: ETH_SECP256K1_PUBKEY_TYPE_URL,
+  // ethermint's PubKey has the same wire format as the Cosmos secp256k1 one
+  value: PubKey.encode({ key: pubkey }).finish()
+});
+
+/**
+ * Decodes an ethermint PubKey Any into its amino JSON form
+ * @param {Object} any - Protobuf Any
+ * @returns {Object} - Amino public key
+ */
+const decodeEthSecp256k1Pubkey = (any) => ({
+  type: ETH_SECP256K1_AMINO_TYPE,
+  value: toBase64(PubKey.decode(any.value).key)
+});
+
+/**
+ * Derives the address of a public key
+ * @param {Uint8Array} pubkey - Compressed or uncompressed secp256k1 public key
+ * @param {string} algo - Key algorithm (eth_secp256k1 or secp256k1)
+ * @param {string} prefix - Bech32 address prefix
+ * @returns {string} - Bech32 address
+ */
+const pubkeyToAddress = (pubkey, algo, prefix) => {
+  // eth_secp256k1 addresses are the last 20 bytes of the Keccak hash of the
+  // uncompressed key, exactly like Ethereum; secp256k1 uses RIPEMD160(SHA256)
+  const rawAddress = algo === ETH_SECP256K1
+	? keccak256(Secp256k1.uncompressPubkey(pubkey).slice(1)).slice(-20)
+	: rawSecp256k1PubkeyToRawAddress(Secp256k1.compressPubkey(pubkey));
+
+  return toBech32(prefix, rawAddress);
+};
+
+/**
+ * Hashes sign bytes the way the key algorithm expects
+ * @param {Uint8Array} signBytes - Serialized sign doc
+ * @param {string} algo - Key algorithm (eth_secp256k1 or secp256k1)
+ * @returns {Uint8Array} - Message hash
+ */
+const hashSignBytes = (signBytes, algo) => (
+  algo === ETH_SECP256K1 ? keccak256(signBytes) : sha256(signBytes)
+);
+
+/**
+ * Derives the account for a private key
+ * @param {Uint8Array} privkey - Raw private key
+ * @param {string} algo - Key algorithm (eth_secp256k1 or secp256k1)
+ * @param {string} prefix - Bech32 address prefix
+ * @returns {Promise<Object>} - Account with private key, compressed public key and address
+ */
+const makeAccount = async (privkey, algo, prefix) => {
+  if (algo !== ETH_SECP256K1 && algo !== SECP256K1) {
+	throw new Error(`Unsupported key algorithm: ${algo}`);
+  }
+
+  const { pubkey: uncompressed } = await Secp256k1.makeKeypair(privkey);
+
+  return {
+	algo,
+	privkey,
+	pubkey: Secp256k1.compressPubkey(uncompressed),
+	address: pubkeyToAddress(uncompressed, algo, prefix)
+  };
+};
+
+/**
+ * Signs a hash and wraps the signature with the account's amino public key
+ * @param {Object} account - Account created by makeAccount
+ * @param {Uint8Array} hash - Message hash
+ * @returns {Promise<Object>} - StdSignature as { pub_key, signature }
+ */
+const createStdSignature = async (account, hash) => {
+  const signature = await Secp256k1.createSignature(hash, account.privkey);
+  const signatureBytes = new Uint8Array([...signature.r(32), ...signature.s(32)]);
+
+  return {
+	pub_key: account.algo === ETH_SECP256K1
+	  ? { type: ETH_SECP256K1_AMINO_TYPE, value: toBase64(account.pubkey) }
+	  : encodeSecp256k1Pubkey(account.pubkey),
+	signature: toBase64(signatureBytes)
+  };
+};
+
+/**
+ * Signs a direct sign doc with an account
+ * @param {Object} account - Account created by makeAccount
+ * @param {Object} signDoc - Sign doc
+ * @returns {Promise<Object>} - Direct sign response
+ */
+const signDirectWithAccount = async (account, signDoc) => {
+  let signed = signDoc;
+
+  if (account.algo === ETH_SECP256K1) {
+	// SigningStargateClient always puts a Cosmos secp256k1 pubkey into the
+	// auth info, which ethermint rejects, so swap in the ethermint one
+	const authInfo = AuthInfo.decode(signDoc.authInfoBytes);
+	authInfo.signerInfos = authInfo.signerInfos.map(signerInfo => ({
+	  ...signerInfo,
+	  publicKey: encodeEthSecp256k1Pubkey(account.pubkey)
+	}));
+	signed = {
+	  ...signDoc,
+	  authInfoBytes: AuthInfo.encode(authInfo).finish()
+	};
+  }
+
+  return {
+	signed,
+	signature: await createStdSignature(account, hashSignBytes(makeSignBytes(signed), account.algo))
+  };
+};
+
+/**
+ * Signs an amino sign doc with an account
+ * @param {Object} account - Account created by makeAccount
+ * @param {Object} signDoc - Amino StdSignDoc
+ * @returns {Promise<Object>} - Amino sign response
+ */
+const signAminoWithAccount = async (account, signDoc) => ({
+  signed: signDoc,
+  signature: await createStdSignature(account, hashSignBytes(serializeSignDoc(signDoc), account.algo))
+});
+
+/**
+ * Finds the account for a signer address
+ * @param {Array} accounts - Accounts created by makeAccount
+ * @param {string} signerAddress - Signer address
+ * @returns {Object} - Account
+ */
+const findAccount = (accounts, signerAddress) => {
+  const account = accounts.find(acc => acc.address === signerAddress);
+  if (!account) {
+	throw new Error(`Address ${signerAddress} not found in wallet`);
+  }
+  return account;
+};
+
+/**
+ * HD wallet deriving eth_secp256k1 (or legacy secp256k1) accounts from a mnemonic
+ */
+class EthSecp256k1HdWallet {
+  /**
+   * Generates a new wallet with a random mnemonic
+   * @param {number} length - Number of mnemonic words (12, 15, 18, 21, 24)
+   * @param {Object} options - Wallet options, see fromMnemonic
+   * @returns {Promise<EthSecp256k1HdWallet>}
+   */
+  static async generate(length = 24, options = {}) {
+	const entropy = Random.getBytes((length / 3) * 4);
+	const mnemonic = Bip39.encode(entropy);
+	return EthSecp256k1HdWallet.fromMnemonic(mnemonic.toString(), options);
+  }
+
+  /**
+   * Restores a wallet from a mnemonic
+   * @param {string} mnemonic - Mnemonic phrase
+   * @param {Object} options - Wallet options
+   * @param {string} options.prefix - Bech32 address prefix
+   * @param {Array} options.derivations - Accounts to derive, as { hdPath, algo }
+   * @param {string} options.bip39Password - Optional BIP39 passphrase
+   * @returns {Promise<EthSecp256k1HdWallet>}
+   */
+  static async fromMnemonic(mnemonic, { prefix = 'creata', derivations = DEFAULT_DERIVATIONS, bip39Password = '' } = {}) {
+	const englishMnemonic = new EnglishMnemonic(mnemonic);
+	const seed = await Bip39.mnemonicToSeed(englishMnemonic, bip39Password);
+
+	const accounts = await Promise.all(derivations.map(({ hdPath, algo }) => {
+	  const { privkey } = Slip10.derivePath(Slip10Curve.Secp256k1, seed, stringToPath(hdPath));
+	  return makeAccount(privkey, algo, prefix);
+	}));
+
+	return new EthSecp256k1HdWallet(englishMnemonic.toString(), bip39Password, prefix, derivations, accounts);
+  }
+
+  /**
+   * Restores a wallet serialized with serialize()
+   * @param {string} serialized - Serialized wallet
+   * @returns {Promise<EthSecp256k1HdWallet>}
+   */
+  static async deserialize(serialized) {
+	const { type, mnemonic, bip39Password, prefix, derivations } = JSON.parse(serialized);
+	if (type !== HD_WALLET_TYPE) {
+	  throw new Error(`Unsupported serialization type: ${type}`);
+	}
+	return EthSecp256k1HdWallet.fromMnemonic(mnemonic, { prefix, derivations, bip39Password });
+  }
+
+  constructor(mnemonic, bip39Password, prefix, derivations, accounts) {
+	this.secret = mnemonic;
+	this.bip39Password = bip39Password;
+	this.prefix = prefix;
+	this.derivations = derivations;
+	this.accounts = accounts;
+  }
+
+  get mnemonic() {
+	return this.secret;
+  }
+
+  async getAccounts() {
+	return this.accounts.map(({ algo, pubkey, address }, index) => ({
+	  algo,
+	  pubkey,
+	  address,
+	  hdPath: this.derivations[index].hdPath
+	}));
+  }
+
+  async signDirect(signerAddress, signDoc) {
+	return signDirectWithAccount(findAccount(this.accounts, signerAddress), signDoc);
+  }
+
+  async signAmino(signerAddress, signDoc) {
+	return signAminoWithAccount(findAccount(this.accounts, signerAddress), signDoc);
+  }
+
+  /**
+   * Gets the raw private key of an account
+   * @param {string} address - Account address
+   * @returns {Promise<Uint8Array>}
+   */
+  async getPrivateKey(address) {
+	return findAccount(this.accounts, address).privkey;
+  }
+
+  /**
+   * Overwrites the private keys held in memory and drops the recovery
+   * phrase. The wallet cannot sign afterwards.
+   */
+  wipe() {
+	this.accounts.forEach(({ privkey }) => privkey.fill(0));
+	this.secret = null;
+  }
+
+  /**
+   * Serializes the wallet secret. The result is plaintext; callers must
+   * encrypt it (storeWallet saves it through secure storage).
+   * @returns {Promise<string>}
+   */
+  async serialize() {
+	return JSON.stringify({
+	  type: HD_WALLET_TYPE,
+	  mnemonic: this.secret,
+	  bip39Password: this.bip39Password,
+	  prefix: this.prefix,
+	  derivations: this.derivations
+	});
+  }
+}
+
+/**
+ * Wallet holding a single raw private key
+ */
+class EthSecp256k1Wallet {
+  /**
+   * Creates a wallet from a raw private key
+   * @param {Uint8Array} privkey - Raw private key
+   * @param {string} algo - Key algorithm (eth_secp256k1 or secp256k1)
+   * @param {string} prefix - Bech32 address prefix
+   * @returns {Promise<EthSecp256k1Wallet>}
+   */
+  static async fromKey(privkey, algo = ETH_SECP256K1, prefix = 'creata') {
+	const account = await makeAccount(privkey, algo, prefix);
+	return new EthSecp256k1Wallet(account, prefix);
+  }
+
+  /**
+   * Restores a wallet serialized with serialize()
+   * @param {string} serialized - Serialized wallet
+   * @returns {Promise<EthSecp256k1Wallet>}
+   */
+  static async deserialize(serialized) {
+	const { type, privateKey, algo, prefix } = JSON.parse(serialized);
+	if (type !== PRIVATE_KEY_WALLET_TYPE) {
+	  throw new Error(`Unsupported serialization type: ${type}`);
+	}
+	return EthSecp256k1Wallet.fromKey(fromHex(privateKey), algo, prefix);
+  }
+
+  constructor(account, prefix) {
+	this.account = account;
+	this.prefix = prefix;
+  }
+
+  async getAccounts() {
+	const { algo, pubkey, address } = this.account;
+	return [{ algo, pubkey, address }];
+  }
+
+  async signDirect(signerAddress, signDoc) {
+	return signDirectWithAccount(findAccount([this.account], signerAddress), signDoc);
+  }
+
+  async signAmino(signerAddress, signDoc) {
+	return signAminoWithAccount(findAccount([this.account], signerAddress), signDoc);
+  }
+
+  /**
+   * Gets the raw private key of the account
+   * @param {string} address - Account address
+   * @returns {Promise<Uint8Array>}
+   */
+  async getPrivateKey(address) {
+	return findAccount([this.account], address).privkey;
+  }
+
+  /**
+   * Overwrites the private key held in memory. The wallet cannot sign afterwards.
+   */
+  wipe() {
+	this.account.privkey.fill(0);
+  }
+
+  /**
+   * Serializes the private key. The result is plaintext; callers must
+   * encrypt it (storeWallet saves it through secure storage).
+   * @returns {Promise<string>}
+   */
+  async serialize() {
+	return JSON.stringify({
+	  type: PRIVATE_KEY_WALLET_TYPE,
+	  algo: this.account.algo,
+	  prefix: this.prefix,
+	  privateKey: toHex(this.account.privkey)
+	});
+  }
+}
+
+export {
+  ETH_SECP256K1,
+  SECP256K1,
+  ETH_SECP256K1_PUBKEY_TYPE_URL,
+  ETH_SECP256K1_AMINO_TYPE,
+  HD_WALLET_TYPE,
+  PRIVATE_KEY_WALLET_TYPE,
+  encodeEthSecp256k1Pubkey,
+  decodeEthSecp256k1Pubkey,
+  pubkeyToAddress,
+  hashSignBytes,
+  EthSecp256k1HdWallet,
+  EthSecp256k1Wallet
+};
\ No newline at end of file
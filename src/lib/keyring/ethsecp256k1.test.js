@@ -0,0 +1,86 @@
+// File: src/lib/keyring/ethsecp256k1.test.js
+// Description: Tests for eth_secp256k1 addresses and direct signing
+
+import { Secp256k1, Secp256k1Signature, keccak256 } from '@cosmjs/crypto';
+import { fromBase64, fromBech32, fromHex, toHex } from '@cosmjs/encoding';
+import { encodePubkey, makeAuthInfoBytes, makeSignBytes, makeSignDoc } from '@cosmjs/proto-signing';
+import { encodeSecp256k1Pubkey } from '@cosmjs/amino';
+import { AuthInfo } from 'cosmjs-types/cosmos/tx/v1beta1/tx';
+import { PubKey } from 'cosmjs-types/cosmos/crypto/secp256k1/keys';
+import {
+  EthSecp256k1HdWallet,
+  EthSecp256k1Wallet,
+  ETH_SECP256K1,
+  ETH_SECP256K1_PUBKEY_TYPE_URL,
+  SECP256K1
+} from './ethsecp256k1';
+
+// First account of the well-known Hardhat/Anvil test mnemonic
+const MNEMONIC = 'test test test test test test test test test test test junk';
+const PRIVATE_KEY = 'ac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const ETH_ADDRESS = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+const ADDRESS = 'creata17w0adeg64ky0daxwd2ugyuneellmjgnxh7ng8k';
+
+/**
+ * Builds a sign doc the way SigningStargateClient does, with a Cosmos
+ * secp256k1 pubkey in the auth info
+ * @param {Uint8Array} pubkey - Compressed public key of the signer
+ * @returns {Object} - SignDoc
+ */
+const createSignDoc = (pubkey) => {
+  const authInfoBytes = makeAuthInfoBytes(
+	[{ pubkey: encodePubkey(encodeSecp256k1Pubkey(pubkey)), sequence: 3 }],
+	[{ denom: 'acta', amount: '1000' }],
+	200000,
+	undefined,
+	undefined
+  );
+  return makeSignDoc(new Uint8Array([10, 0]), authInfoBytes, 'creata_9000-1', 7);
+};
+
+describe('eth_secp256k1 addresses', () => {
+  it('match the Ethereum address of the key', async () => {
+	const wallet = await EthSecp256k1HdWallet.fromMnemonic(MNEMONIC);
+	const [account] = await wallet.getAccounts();
+	expect(account).toMatchObject({ algo: ETH_SECP256K1, address: ADDRESS });
+	expect(`0x${toHex(fromBech32(account.address).data)}`).toBe(ETH_ADDRESS.toLowerCase());
+  });
+
+  it('are the same for the raw private key', async () => {
+	const wallet = await EthSecp256k1Wallet.fromKey(fromHex(PRIVATE_KEY));
+	const [account] = await wallet.getAccounts();
+	expect(account.address).toBe(ADDRESS);
+  });
+});
+
+describe('signDirect', () => {
+  it('replaces the auth info pubkey with the ethermint one', async () => {
+	const wallet = await EthSecp256k1HdWallet.fromMnemonic(MNEMONIC);
+	const [account] = await wallet.getAccounts();
+
+	const { signed, signature } = await wallet.signDirect(ADDRESS, createSignDoc(account.pubkey));
+	const [signerInfo] = AuthInfo.decode(signed.authInfoBytes).signerInfos;
+	expect(signerInfo.publicKey.typeUrl).toBe(ETH_SECP256K1_PUBKEY_TYPE_URL);
+	expect(toHex(PubKey.decode(signerInfo.publicKey.value).key)).toBe(toHex(account.pubkey));
+	expect(signerInfo.sequence.toString()).toBe('3');
+
+	// The signature covers the rewritten sign doc, hashed with Keccak
+	const valid = await Secp256k1.verifySignature(
+	  Secp256k1Signature.fromFixedLength(fromBase64(signature.signature)),
+	  keccak256(makeSignBytes(signed)),
+	  account.pubkey
+	);
+	expect(valid).toBe(true);
+  });
+
+  it('leaves the auth info of secp256k1 accounts alone', async () => {
+	const wallet = await EthSecp256k1HdWallet.fromMnemonic(MNEMONIC, {
+	  derivations: [{ hdPath: "m/44'/118'/0'/0/0", algo: SECP256K1 }]
+	});
+	const [account] = await wallet.getAccounts();
+	const signDoc = createSignDoc(account.pubkey);
+
+	const { signed } = await wallet.signDirect(account.address, signDoc);
+	expect(signed.authInfoBytes).toEqual(signDoc.authInfoBytes);
+  });
+});
\ No newline at end of file
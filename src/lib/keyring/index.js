@@ -2,26 +2,136 @@
 // Description: Keyring module for wallet account management
 
 import { DirectSecp256k1HdWallet } from '@cosmjs/proto-signing';
-import { stringToPath } from '@cosmjs/crypto';
-import { saveData, getData, removeData } from '../storage';
+import { Bip39, EnglishMnemonic, Random } from '@cosmjs/crypto';
+import { fromHex, toHex } from '@cosmjs/encoding';
+import {
+  saveData,
+  getData,
+  hasData,
+  reencryptData,
+  createBackup,
+  readBackup,
+  replaceAllData,
+  removeData,
+  openVault
+} from '../storage';
+import {
+  ETH_SECP256K1,
+  SECP256K1,
+  HD_WALLET_TYPE,
+  PRIVATE_KEY_WALLET_TYPE,
+  EthSecp256k1HdWallet,
+  EthSecp256k1Wallet
+} from './ethsecp256k1';
+import { WATCH_ONLY_WALLET_TYPE, WatchOnlyWallet } from './watchonly';
+import { decryptKeystore, encryptKeystore } from './keystore';
+import { makeADR36SignDoc, signArbitrary, verifyArbitrary } from './adr36';
+import { generateShares, combineShares } from '../slip39';
+import { runMigrations } from '../migrations';
 
 // Storage keys
-const WALLET_KEY = 'creata_wallet';
+const WALLETS_KEY = 'creata_wallets';
 const ACCOUNTS_KEY = 'creata_accounts';
 const CURRENT_ACCOUNT_KEY = 'creata_current_account';
 
+// Single-wallet key used before multi-wallet support
+const WALLET_KEY = 'creata_wallet';
+
+// Every key encrypted with the wallet password
+const SECURE_KEYS = [WALLETS_KEY, WALLET_KEY, ACCOUNTS_KEY, CURRENT_ACCOUNT_KEY];
+
+// Plaintext session password left by older versions; never written to a backup
+const SESSION_KEY = 'creata_session';
+
+// Wallet kinds
+const WALLET_TYPE_MNEMONIC = 'mnemonic';
+const WALLET_TYPE_PRIVATE_KEY = 'privateKey';
+const WALLET_TYPE_WATCH_ONLY = 'watchOnly';
+
+// Serialization type written by DirectSecp256k1HdWallet in 0.1.0
+const LEGACY_HD_WALLET_TYPE = 'directsecp256k1hdwallet-v1';
+
+// BIP44 coin types: 60 is used by Evmos-based chains and MetaMask, 118 by
+// Keplr and other Cosmos SDK wallets
+const ETH_COIN_TYPE = 60;
+const COSMOS_COIN_TYPE = 118;
+
+// Largest BIP32 index that can be hardened
+const MAX_HD_INDEX = 0x7fffffff;
+
+// Default HD path for Evmos-based chains; further accounts increment the last index
+const DEFAULT_HD_PATH = "m/44'/60'/0'/0/0";
+
+// Matches m/44'/<coin type>'/<account>'/<change>/<index>
+const HD_PATH_PATTERN = /^m\/44'\/(\d+)'\/(\d+)'\/(\d+)\/(\d+)$/;
+
+/**
+ * Normalizes a hex private key (with or without 0x prefix)
+ * @param {string} privateKey - Private key in hex format
+ * @returns {string} - Lowercase hex without prefix
+ */
+const normalizePrivateKey = (privateKey) => {
+  const hex = (privateKey || '').trim().replace(/^0x/i, '').toLowerCase();
+  if (!/^[0-9a-f]{64}$/.test(hex)) {
+	throw new Error('Private key must be 32 bytes of hex');
+  }
+  return hex;
+};
+
+/**
+ * Builds a BIP44 HD path
+ * @param {number} coinType - BIP44 coin type
+ * @param {number} account - Account index
+ * @param {number} change - Change index (0 external, 1 internal)
+ * @param {number} index - Address index
+ * @returns {string} - HD path
+ */
+const makeHdPath = (coinType = ETH_COIN_TYPE, account = 0, change = 0, index = 0) => {
+  const parts = [coinType, account, change, index].map(Number);
+  if (parts.some(part => !Number.isInteger(part) || part < 0 || part > MAX_HD_INDEX)) {
+	throw new Error('HD path components must be integers between 0 and 2147483647');
+  }
+  return `m/44'/${parts[0]}'/${parts[1]}'/${parts[2]}/${parts[3]}`;
+};
+
+/**
+ * Splits a BIP44 HD path into its components
+ * @param {string} hdPath - HD path
+ * @returns {Object} - { coinType, account, change, index }
+ */
+const parseHdPath = (hdPath) => {
+  const match = HD_PATH_PATTERN.exec(hdPath || '');
+  if (!match) {
+	throw new Error(`Unsupported HD path: ${hdPath}`);
+  }
+  const [coinType, account, change, index] = match.slice(1).map(Number);
+  return { coinType, account, change, index };
+};
+
+/**
+ * Picks the key algorithm for an HD path. Coin type 60 keys use Ethereum
+ * addresses; every other coin type uses Cosmos-style addresses like Keplr.
+ * @param {string} hdPath - HD path
+ * @returns {string} - Key algorithm
+ */
+const getAlgoForHdPath = (hdPath) => (
+  parseHdPath(hdPath).coinType === ETH_COIN_TYPE ? ETH_SECP256K1 : SECP256K1
+);
+
 /**
  * Generates a new wallet with mnemonic
  * @param {number} strength - Mnemonic strength (128, 160, 192, 224, 256)
+ * @param {string} bip39Password - Optional BIP39 passphrase
  * @returns {Promise<Object>} - Wallet object
  */
-const generateWallet = async (strength = 256) => {
+const generateWallet = async (strength = 256, bip39Password = '') => {
   try {
-	const wallet = await DirectSecp256k1HdWallet.generate(
-	  24, // 24 words for 256-bit entropy
+	const wallet = await EthSecp256k1HdWallet.generate(
+	  strength / 32 * 3, // 24 words for 256-bit entropy
 	  {
 		prefix: 'creata', // Address prefix
-		hdPaths: [stringToPath("m/44'/60'/0'/0/0")] // Evmos-compatible HD path
+		derivations: [{ hdPath: DEFAULT_HD_PATH, algo: ETH_SECP256K1 }],
+		bip39Password
 	  }
 	);
 	
@@ -35,15 +145,23 @@ const generateWallet = async (strength = 256) => {
 /**
  * Imports wallet from mnemonic
  * @param {string} mnemonic - Mnemonic phrase
+ * @param {string|Array<string>} hdPaths - HD path of each account to derive
+ * @param {string} bip39Password - Optional BIP39 passphrase
  * @returns {Promise<Object>} - Wallet object
  */
-const importFromMnemonic = async (mnemonic) => {
+const importFromMnemonic = async (mnemonic, hdPaths = DEFAULT_HD_PATH, bip39Password = '') => {
   try {
-	const wallet = await DirectSecp256k1HdWallet.fromMnemonic(
+	const paths = Array.isArray(hdPaths) ? hdPaths : [hdPaths];
+	if (paths.length === 0) {
+	  throw new Error('At least one HD path is required');
+	}
+	
+	const wallet = await EthSecp256k1HdWallet.fromMnemonic(
 	  mnemonic,
 	  {
 		prefix: 'creata', // Address prefix
-		hdPaths: [stringToPath("m/44'/60'/0'/0/0")] // Evmos-compatible HD path
+		derivations: paths.map(hdPath => ({ hdPath, algo: getAlgoForHdPath(hdPath) })),
+		bip39Password
 	  }
 	);
 	
@@ -54,47 +172,273 @@ const importFromMnemonic = async (mnemonic) => {
   }
 };
 
+/**
+ * Derives the first accounts of a mnemonic on coin types 60 and 118, so
+ * they can be checked on chain before choosing which ones to import
+ * @param {string} mnemonic - Mnemonic phrase
+ * @param {number} count - Number of address indices per coin type
+ * @param {string} bip39Password - Optional BIP39 passphrase
+ * @returns {Promise<Array>} - Candidates as { hdPath, algo, address }
+ */
+const discoverAccounts = async (mnemonic, count = 5, bip39Password = '') => {
+  const hdPaths = [ETH_COIN_TYPE, COSMOS_COIN_TYPE].flatMap(coinType =>
+	Array.from({ length: count }, (_, index) => makeHdPath(coinType, 0, 0, index))
+  );
+  
+  const wallet = await importFromMnemonic(mnemonic, hdPaths, bip39Password);
+  const accounts = await wallet.getAccounts();
+  return accounts.map(({ hdPath, algo, address }) => ({ hdPath, algo, address }));
+};
+
+/**
+ * Splits a recovery phrase into SLIP-39 shares. The phrase's BIP39 entropy is
+ * the shared secret, so recovering the shares gives back the same phrase.
+ * @param {string} mnemonic - Recovery phrase
+ * @param {number} threshold - Shares needed to recover the phrase
+ * @param {number} shareCount - Shares to create
+ * @returns {Promise<Array<string>>} - Share mnemonics
+ */
+const splitMnemonic = async (mnemonic, threshold, shareCount) => {
+  const entropy = Bip39.decode(new EnglishMnemonic(mnemonic));
+  return generateShares(entropy, threshold, shareCount);
+};
+
+/**
+ * Recovers a recovery phrase from SLIP-39 shares created by splitMnemonic
+ * @param {Array<string>} shares - Share mnemonics
+ * @returns {Promise<string>} - Recovery phrase
+ */
+const recoverMnemonic = async (shares) => {
+  const entropy = await combineShares(shares);
+  return Bip39.encode(entropy).toString();
+};
+
 /**
  * Imports wallet from private key
- * @param {string} privateKey - Private key in hex format
+ * @param {string} privateKey - Private key in hex format (0x-prefixed or bare)
  * @returns {Promise<Object>} - Wallet object
  */
 const importFromPrivateKey = async (privateKey) => {
   try {
-	// Implementation depends on the specific format of private keys
-	// For Evmos-based chains, this might need adaptation
-	throw new Error('Import from private key not implemented yet');
+	return await EthSecp256k1Wallet.fromKey(fromHex(normalizePrivateKey(privateKey)), ETH_SECP256K1, 'creata');
   } catch (error) {
 	console.error('Failed to import from private key:', error);
-	throw error;
+	throw new Error('Invalid private key');
+  }
+};
+
+/**
+ * Imports wallet from an Ethereum V3 keystore file
+ * @param {Object|string} keystore - Keystore JSON
+ * @param {string} keystorePassword - Password the keystore was encrypted with
+ * @returns {Promise<Object>} - Wallet object
+ */
+const importFromKeystore = async (keystore, keystorePassword) => {
+  let privkey;
+  try {
+	privkey = await decryptKeystore(keystore, keystorePassword);
+  } catch (error) {
+	console.error('Failed to decrypt keystore:', error);
+	throw new Error(error.message === 'Incorrect keystore password'
+	  ? error.message
+	  : 'Invalid keystore file');
+  }
+  
+  return EthSecp256k1Wallet.fromKey(privkey, ETH_SECP256K1, 'creata');
+};
+
+/**
+ * Creates a watch-only wallet for an address
+ * @param {string} address - Account address to monitor
+ * @returns {Promise<Object>} - Wallet object
+ */
+const importWatchOnly = async (address) => {
+  try {
+	return await WatchOnlyWallet.fromAddress((address || '').trim(), 'creata');
+  } catch (error) {
+	console.error('Failed to import watch-only address:', error);
+	throw new Error('Invalid address');
   }
 };
 
 /**
- * Stores wallet securely
+ * Gets the kind of a wallet object
  * @param {Object} wallet - Wallet object
- * @param {string} password - Encryption password
- * @returns {Promise<void>}
+ * @returns {string} - Wallet type
  */
-const storeWallet = async (wallet, password) => {
+const getWalletType = (wallet) => {
+  if (wallet.watchOnly) {
+	return WALLET_TYPE_WATCH_ONLY;
+  }
+  return wallet.mnemonic ? WALLET_TYPE_MNEMONIC : WALLET_TYPE_PRIVATE_KEY;
+};
+
+/**
+ * Builds the stored record for a wallet account
+ * @param {Object} account - Account returned by wallet.getAccounts()
+ * @param {number} index - Position of the account in the wallet
+ * @returns {Object} - Account record, without its wallet id
+ */
+const toAccountInfo = (account, index) => ({
+  walletId: null,
+  address: account.address,
+  algo: account.algo,
+  pubkey: account.pubkey ? toHex(account.pubkey) : null,
+  hdPath: account.hdPath || null,
+  name: `Account ${index + 1}`
+});
+
+/**
+ * Picks the derivation for the next account of an HD wallet. It continues
+ * the path and algorithm of the first account, so a wallet imported on a
+ * custom path, or upgraded from 0.1.0 with secp256k1 keys on coin type 60,
+ * derives its further accounts next to it.
+ * @param {Array} derivations - Existing derivations as { hdPath, algo }
+ * @returns {Object} - Next derivation
+ */
+const nextDerivation = (derivations) => {
+  const first = derivations.length > 0 ? derivations[0] : { hdPath: DEFAULT_HD_PATH, algo: null };
+  const { coinType, account, change } = parseHdPath(first.hdPath);
+  const algo = first.algo || getAlgoForHdPath(first.hdPath);
+  
+  // Indices are taken per path whatever the algorithm, so none is reused
+  const usedIndices = derivations
+	.map(({ hdPath }) => parseHdPath(hdPath))
+	.filter(path => path.coinType === coinType && path.account === account && path.change === change)
+	.map(path => path.index);
+  const nextIndex = usedIndices.length > 0 ? Math.max(...usedIndices) + 1 : 0;
+  
+  return { hdPath: makeHdPath(coinType, account, change, nextIndex), algo };
+};
+
+/**
+ * Creates a random wallet id
+ * @returns {string} - Wallet id
+ */
+const createWalletId = () => toHex(Random.getBytes(8));
+
+/**
+ * Restores a wallet object from its serialized form
+ * @param {string} serialized - Serialized wallet
+ * @param {string|Object} password - Wallet password or vault key; 0.1.0 wallets need the password
+ * @returns {Promise<Object>} - Wallet object and whether it was upgraded
+ */
+const deserializeWallet = async (serialized, password) => {
+  const { type } = JSON.parse(serialized);
+  switch (type) {
+	case HD_WALLET_TYPE:
+	  return { wallet: await EthSecp256k1HdWallet.deserialize(serialized), upgraded: false };
+	case PRIVATE_KEY_WALLET_TYPE:
+	  return { wallet: await EthSecp256k1Wallet.deserialize(serialized), upgraded: false };
+	case WATCH_ONLY_WALLET_TYPE:
+	  return { wallet: await WatchOnlyWallet.deserialize(serialized), upgraded: false };
+	case LEGACY_HD_WALLET_TYPE: {
+	  // Wallets created by 0.1.0 derived Cosmos-style addresses on the Evmos
+	  // path; keep that address and rewrite the vault in the current format
+	  if (typeof password !== 'string') {
+		throw new Error('The wallet password is needed to upgrade a 0.1.0 wallet');
+	  }
+	  const legacyWallet = await DirectSecp256k1HdWallet.deserialize(serialized, password);
+	  const wallet = await EthSecp256k1HdWallet.fromMnemonic(legacyWallet.mnemonic, {
+		prefix: 'creata',
+		derivations: [{ hdPath: DEFAULT_HD_PATH, algo: SECP256K1 }]
+	  });
+	  return { wallet, upgraded: true };
+	}
+	default:
+	  throw new Error(`Unsupported wallet type: ${type}`);
+  }
+};
+
+/**
+ * Rebuilds a wallet object from the output of wallet.serialize()
+ * @param {string} serialized - Serialized wallet
+ * @returns {Promise<Object>} - Wallet object
+ */
+const walletFromSerialized = async (serialized) => {
+  const { wallet } = await deserializeWallet(serialized);
+  return wallet;
+};
+
+/**
+ * Reads the wallet list, converting the single-wallet layout if needed
+ * @param {string|Object} password - Wallet password or vault key
+ * @returns {Promise<Array>} - Wallet entries as { id, name, type, serialized }
+ */
+const readWallets = async (password) => {
+  const wallets = await getData(WALLETS_KEY, true, password);
+  if (wallets) {
+	return wallets;
+  }
+  
+  const serialized = await getData(WALLET_KEY, true, password);
+  if (!serialized) {
+	return [];
+  }
+  
+  const { type } = JSON.parse(serialized);
+  const entry = {
+	id: createWalletId(),
+	name: 'Wallet 1',
+	type: type === PRIVATE_KEY_WALLET_TYPE ? WALLET_TYPE_PRIVATE_KEY : WALLET_TYPE_MNEMONIC,
+	serialized
+  };
+  const accountsInfo = (await getData(ACCOUNTS_KEY, true, password)) || [];
+  
+  await saveData(WALLETS_KEY, [entry], true, password);
+  await saveData(ACCOUNTS_KEY, accountsInfo.map(acc => ({ ...acc, walletId: entry.id })), true, password);
+  await removeData(WALLET_KEY);
+  
+  return [entry];
+};
+
+/**
+ * Stores a new wallet next to the existing ones and makes its first account current
+ * @param {Object} wallet - Wallet object
+ * @param {string|Object} password - Wallet password or vault key (must match existing wallets)
+ * @param {string} name - Wallet name
+ * @returns {Promise<string>} - Id of the stored wallet
+ */
+const storeWallet = async (wallet, password, name = '') => {
+  let accounts;
+  let wallets;
   try {
-	const serialized = await wallet.serialize(password);
-	await saveData(WALLET_KEY, serialized, true, password);
+	// Fails if the password does not match the existing wallets
+	wallets = await readWallets(password);
+	accounts = (await getData(ACCOUNTS_KEY, true, password)) || [];
+  } catch (error) {
+	console.error('Failed to read existing wallets:', error);
+	throw new Error('Incorrect password');
+  }
+  
+  const walletAccounts = await wallet.getAccounts();
+  if (walletAccounts.some(acc => accounts.some(existing => existing.address === acc.address))) {
+	throw new Error('This wallet has already been added');
+  }
+  
+  try {
+	const id = createWalletId();
 	
-	// Save account information
-	const accounts = await wallet.getAccounts();
-	const accountsInfo = accounts.map(acc => ({
-	  address: acc.address,
-	  algo: acc.algo,
-	  pubkey: Buffer.from(acc.pubkey).toString('hex')
-	}));
+	// The serialized wallet is plaintext; saveData encrypts it. Watch-only
+	// wallets hold no secret but live in the same encrypted list
+	const entry = {
+	  id,
+	  name: name.trim() || `Wallet ${wallets.length + 1}`,
+	  type: getWalletType(wallet),
+	  serialized: await wallet.serialize()
+	};
+	await saveData(WALLETS_KEY, [...wallets, entry], true, password);
 	
-	await saveData(ACCOUNTS_KEY, accountsInfo, true, password);
+	// Save account information
+	const accountsInfo = walletAccounts.map((acc, index) => ({ ...toAccountInfo(acc, index), walletId: id }));
+	await saveData(ACCOUNTS_KEY, [...accounts, ...accountsInfo], true, password);
 	
-	// Set current account to the first one
+	// Set current account to the first one of the new wallet
 	if (accountsInfo.length > 0) {
 	  await saveData(CURRENT_ACCOUNT_KEY, accountsInfo[0].address, true, password);
 	}
+	
+	return id;
   } catch (error) {
 	console.error('Failed to store wallet:', error);
 	throw new Error('Failed to securely store wallet');
@@ -103,17 +447,26 @@ const storeWallet = async (wallet, password) => {
 
 /**
  * Loads wallet from storage
- * @param {string} password - Decryption password
+ * @param {string|Object} password - Wallet password or vault key
+ * @param {string} walletId - Wallet id (defaults to the wallet of the current account)
  * @returns {Promise<Object>} - Wallet object
  */
-const loadWallet = async (password) => {
+const loadWallet = async (password, walletId = null) => {
   try {
-	const serialized = await getData(WALLET_KEY, true, password);
-	if (!serialized) {
+	const wallets = await readWallets(password);
+	if (wallets.length === 0) {
 	  throw new Error('No wallet found in storage');
 	}
 	
-	const wallet = await DirectSecp256k1HdWallet.deserialize(serialized, password);
+	const id = walletId || (await getCurrentWalletId(password));
+	const entry = wallets.find(w => w.id === id) || wallets[0];
+	
+	const { wallet, upgraded } = await deserializeWallet(entry.serialized, password);
+	if (upgraded) {
+	  const updatedEntry = { ...entry, serialized: await wallet.serialize() };
+	  await saveData(WALLETS_KEY, wallets.map(w => (w.id === entry.id ? updatedEntry : w)), true, password);
+	}
+	
 	return wallet;
   } catch (error) {
 	console.error('Failed to load wallet:', error);
@@ -122,13 +475,118 @@ const loadWallet = async (password) => {
 };
 
 /**
- * Gets all accounts from stored wallet
- * @param {string} password - Decryption password
+ * Gets all wallets without their secrets
+ * @param {string|Object} password - Wallet password or vault key
+ * @returns {Promise<Array>} - Array of { id, name, type }
+ */
+const getWallets = async (password) => {
+  try {
+	const wallets = await readWallets(password);
+	return wallets.map(({ id, name, type }) => ({ id, name, type }));
+  } catch (error) {
+	console.error('Failed to get wallets:', error);
+	throw error;
+  }
+};
+
+/**
+ * Gets the id of the wallet holding the current account
+ * @param {string|Object} password - Wallet password or vault key
+ * @returns {Promise<string|null>} - Wallet id
+ */
+const getCurrentWalletId = async (password) => {
+  try {
+	const accounts = (await getAccounts(password)) || [];
+	const currentAddress = await getCurrentAccount(password);
+	const current = accounts.find(acc => acc.address === currentAddress) || accounts[0];
+	return current ? current.walletId : null;
+  } catch (error) {
+	console.error('Failed to get current wallet:', error);
+	throw error;
+  }
+};
+
+/**
+ * Switches to another wallet by making its first account current
+ * @param {string} walletId - Wallet id
+ * @param {string|Object} password - Wallet password or vault key
+ * @returns {Promise<string>} - New current account address
+ */
+const setCurrentWallet = async (walletId, password) => {
+  try {
+	const accounts = (await getAccounts(password, walletId)) || [];
+	if (accounts.length === 0) {
+	  throw new Error(`Wallet ${walletId} has no accounts`);
+	}
+	await setCurrentAccount(accounts[0].address, password);
+	return accounts[0].address;
+  } catch (error) {
+	console.error('Failed to set current wallet:', error);
+	throw error;
+  }
+};
+
+/**
+ * Derives the next account from a stored mnemonic and makes it current
+ * @param {string|Object} password - Wallet password or vault key
+ * @param {string} walletId - Wallet id (defaults to the wallet of the current account)
+ * @returns {Promise<Object>} - New account record
+ */
+const addAccount = async (password, walletId = null) => {
+  try {
+	const id = walletId || (await getCurrentWalletId(password));
+	const wallet = await loadWallet(password, id);
+	if (!wallet.mnemonic) {
+	  throw new Error('Only wallets with a recovery phrase can derive more accounts');
+	}
+	
+	const derivations = [...wallet.derivations, nextDerivation(wallet.derivations)];
+	const updatedWallet = await EthSecp256k1HdWallet.fromMnemonic(wallet.mnemonic, {
+	  prefix: wallet.prefix,
+	  derivations,
+	  bip39Password: wallet.bip39Password
+	});
+	
+	const wallets = await readWallets(password);
+	const serialized = await updatedWallet.serialize();
+	await saveData(WALLETS_KEY, wallets.map(w => (w.id === id ? { ...w, serialized } : w)), true, password);
+	
+	// Keep existing records (and their names) and append the new one
+	const walletAccounts = await updatedWallet.getAccounts();
+	const accountsInfo = (await getData(ACCOUNTS_KEY, true, password)) || [];
+	const walletAccountCount = accountsInfo.filter(acc => acc.walletId === id).length;
+	const newAccount = {
+	  ...toAccountInfo(walletAccounts[walletAccounts.length - 1], walletAccountCount),
+	  walletId: id
+	};
+	await saveData(ACCOUNTS_KEY, [...accountsInfo, newAccount], true, password);
+	await saveData(CURRENT_ACCOUNT_KEY, newAccount.address, true, password);
+	
+	return newAccount;
+  } catch (error) {
+	console.error('Failed to add account:', error);
+	throw error;
+  }
+};
+
+/**
+ * Gets accounts from stored wallets
+ * @param {string|Object} password - Wallet password or vault key
+ * @param {string} walletId - Only return accounts of this wallet (optional)
  * @returns {Promise<Array>} - Array of account objects
  */
-const getAccounts = async (password) => {
+const getAccounts = async (password, walletId = null) => {
   try {
-	return await getData(ACCOUNTS_KEY, true, password);
+	// Make sure accounts of a single-wallet layout carry their wallet id
+	if (await hasData(WALLET_KEY)) {
+	  await readWallets(password);
+	}
+	
+	const accounts = await getData(ACCOUNTS_KEY, true, password);
+	if (!accounts || !walletId) {
+	  return accounts;
+	}
+	return accounts.filter(acc => acc.walletId === walletId);
   } catch (error) {
 	console.error('Failed to get accounts:', error);
 	throw error;
@@ -137,7 +595,7 @@ const getAccounts = async (password) => {
 
 /**
  * Gets current active account
- * @param {string} password - Decryption password
+ * @param {string|Object} password - Wallet password or vault key
  * @returns {Promise<string>} - Current account address
  */
 const getCurrentAccount = async (password) => {
@@ -152,7 +610,7 @@ const getCurrentAccount = async (password) => {
 /**
  * Sets current active account
  * @param {string} address - Account address
- * @param {string} password - Encryption password
+ * @param {string|Object} password - Wallet password or vault key
  * @returns {Promise<void>}
  */
 const setCurrentAccount = async (address, password) => {
@@ -165,11 +623,172 @@ const setCurrentAccount = async (address, password) => {
 };
 
 /**
- * Removes wallet from storage
+ * Decrypts the recovery phrase of a wallet
+ * @param {string|Object} password - Wallet password or vault key
+ * @param {string} walletId - Wallet id (defaults to the wallet of the current account)
+ * @returns {Promise<string>} - Mnemonic phrase
+ */
+const revealMnemonic = async (password, walletId = null) => {
+  // Throws if the password is wrong
+  const wallet = await loadWallet(password, walletId);
+  if (!wallet.mnemonic) {
+	throw new Error('This wallet has no recovery phrase');
+  }
+  return wallet.mnemonic;
+};
+
+/**
+ * Looks up an account and decrypts its private key
+ * @param {string|Object} password - Wallet password or vault key
+ * @param {string} address - Account address
+ * @returns {Promise<Object>} - The account record and its raw private key
+ */
+const findPrivateKey = async (password, address) => {
+  const accounts = (await getAccounts(password)) || [];
+  const account = accounts.find(acc => acc.address === address);
+  if (!account) {
+	throw new Error(`Address ${address} not found`);
+  }
+  
+  const wallet = await loadWallet(password, account.walletId);
+  if (!wallet.getPrivateKey) {
+	throw new Error('Watch-only accounts have no private key');
+  }
+  return { account, privkey: await wallet.getPrivateKey(address) };
+};
+
+/**
+ * Decrypts the private key of an account
+ * @param {string|Object} password - Wallet password or vault key
+ * @param {string} address - Account address
+ * @returns {Promise<string>} - Private key in hex, without 0x prefix
+ */
+const exportPrivateKey = async (password, address) => {
+  const { privkey } = await findPrivateKey(password, address);
+  return toHex(privkey);
+};
+
+/**
+ * Exports an eth_secp256k1 account as an Ethereum V3 keystore
+ * @param {string|Object} password - Wallet password or vault key
+ * @param {string} address - Account address
+ * @param {string} keystorePassword - Password to encrypt the keystore with
+ * @returns {Promise<Object>} - Keystore JSON
+ */
+const exportKeystore = async (password, address, keystorePassword) => {
+  if (!keystorePassword) {
+	throw new Error('Keystore password is required');
+  }
+  
+  const { account, privkey } = await findPrivateKey(password, address);
+  if (account.algo !== ETH_SECP256K1) {
+	throw new Error('Only eth_secp256k1 accounts can be exported as a keystore');
+  }
+  
+  try {
+	return await encryptKeystore(privkey, keystorePassword);
+  } catch (error) {
+	console.error('Failed to export keystore:', error);
+	throw new Error('Failed to export keystore');
+  }
+};
+
+/**
+ * Changes the wallet password, re-encrypting all stored wallet data
+ * @param {string} oldPassword - Current password
+ * @param {string} newPassword - New password
+ * @returns {Promise<void>}
+ */
+const changePassword = async (oldPassword, newPassword) => {
+  // Throws if the current password is wrong
+  const vaultKey = await openVault(oldPassword);
+  await loadWallet(vaultKey);
+  
+  try {
+	await reencryptData(SECURE_KEYS, vaultKey, newPassword);
+  } catch (error) {
+	console.error('Failed to change password:', error);
+	throw new Error('Failed to change password');
+  }
+};
+
+/**
+ * Exports wallets, account labels and all settings as an encrypted backup
+ * @param {string} password - Wallet password, also used to encrypt the backup
+ * @returns {Promise<Object>} - Backup file contents
+ */
+const exportBackup = async (password) => {
+  // Throws if the password is wrong
+  await loadWallet(await openVault(password));
+  
+  try {
+	return await createBackup(password, [SESSION_KEY]);
+  } catch (error) {
+	console.error('Failed to export backup:', error);
+	throw new Error('Failed to export backup');
+  }
+};
+
+/**
+ * Decrypts a backup created by exportBackup and checks that it holds a
+ * wallet, without touching stored data
+ * @param {Object} backup - Backup file contents
+ * @param {string} password - Password of the wallet the backup was made from
+ * @returns {Promise<Object>} - Stored items of the backup
+ */
+const openBackup = async (backup, password) => {
+  let items;
+  try {
+	items = await readBackup(backup, password);
+  } catch (error) {
+	console.error('Failed to read backup:', error);
+	throw new Error('Invalid backup file or incorrect password');
+  }
+  
+  if (items[WALLETS_KEY] === undefined && items[WALLET_KEY] === undefined) {
+	throw new Error('Backup does not contain a wallet');
+  }
+  return items;
+};
+
+/**
+ * Replaces all stored data with the items of a backup opened by openBackup
+ * @param {Object} items - Stored items of the backup
+ * @param {string} password - Password of the wallet the backup was made from
+ * @returns {Promise<void>}
+ */
+const restoreBackupItems = async (items, password) => {
+  const previous = await replaceAllData(items);
+  try {
+	// Backups from older releases need the same migrations as an update
+	await runMigrations();
+	
+	// The restored wallets must open with the same password
+	await loadWallet(password);
+  } catch (error) {
+	console.error('Restored wallet failed to load, rolling back:', error);
+	await replaceAllData(previous);
+	throw new Error('Backup wallet could not be opened with this password');
+  }
+};
+
+/**
+ * Restores a backup created by exportBackup, replacing all stored data
+ * @param {Object} backup - Backup file contents
+ * @param {string} password - Password of the wallet the backup was made from
+ * @returns {Promise<void>}
+ */
+const restoreBackup = async (backup, password) => (
+  restoreBackupItems(await openBackup(backup, password), password)
+);
+
+/**
+ * Removes all wallets from storage
  * @returns {Promise<void>}
  */
 const removeWallet = async () => {
   try {
+	await removeData(WALLETS_KEY);
 	await removeData(WALLET_KEY);
 	await removeData(ACCOUNTS_KEY);
 	await removeData(CURRENT_ACCOUNT_KEY);
@@ -185,22 +804,51 @@ const removeWallet = async () => {
  */
 const hasWallet = async () => {
   try {
-	const serialized = await getData(WALLET_KEY, false);
-	return !!serialized;
+	return (await hasData(WALLETS_KEY)) || (await hasData(WALLET_KEY));
   } catch (error) {
 	return false;
   }
 };
 
 export {
+  ETH_SECP256K1,
+  WALLET_TYPE_MNEMONIC,
+  WALLET_TYPE_PRIVATE_KEY,
+  WALLET_TYPE_WATCH_ONLY,
+  ETH_COIN_TYPE,
+  COSMOS_COIN_TYPE,
+  DEFAULT_HD_PATH,
+  makeHdPath,
+  parseHdPath,
   generateWallet,
   importFromMnemonic,
+  discoverAccounts,
+  splitMnemonic,
+  recoverMnemonic,
   importFromPrivateKey,
+  importFromKeystore,
+  importWatchOnly,
+  walletFromSerialized,
   storeWallet,
   loadWallet,
+  getWallets,
+  getCurrentWalletId,
+  setCurrentWallet,
+  addAccount,
   getAccounts,
   getCurrentAccount,
   setCurrentAccount,
+  revealMnemonic,
+  exportPrivateKey,
+  exportKeystore,
+  changePassword,
+  exportBackup,
+  openBackup,
+  restoreBackupItems,
+  restoreBackup,
   removeWallet,
-  hasWallet
+  hasWallet,
+  makeADR36SignDoc,
+  signArbitrary,
+  verifyArbitrary
 };
\ No newline at end of file
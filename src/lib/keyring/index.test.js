@@ -0,0 +1,39 @@
+// File: src/lib/keyring/index.test.js
+// Description: Tests for stored wallets and their accounts
+
+import { createChromeMock } from '../../test/chrome';
+import { EthSecp256k1HdWallet, ETH_SECP256K1, SECP256K1 } from './ethsecp256k1';
+import { importFromMnemonic, storeWallet, addAccount, getAccounts } from '.';
+import { lockVault } from '../storage';
+
+const PASSWORD = 'correct horse battery';
+const MNEMONIC = 'test test test test test test test test test test test junk';
+
+beforeEach(() => {
+  global.chrome = createChromeMock();
+  lockVault();
+});
+
+describe('addAccount', () => {
+  it('derives the next index on the path of the first account', async () => {
+	await storeWallet(await importFromMnemonic(MNEMONIC), PASSWORD);
+
+	const account = await addAccount(PASSWORD);
+	expect(account).toMatchObject({ hdPath: "m/44'/60'/0'/0/1", algo: ETH_SECP256K1 });
+  }, 60000);
+
+  it('keeps secp256k1 keys for a wallet upgraded from 0.1.0', async () => {
+	// 0.1.0 derived Cosmos-style addresses on the Evmos path
+	const wallet = await EthSecp256k1HdWallet.fromMnemonic(MNEMONIC, {
+	  prefix: 'creata',
+	  derivations: [{ hdPath: "m/44'/60'/0'/0/0", algo: SECP256K1 }]
+	});
+	await storeWallet(wallet, PASSWORD);
+
+	const account = await addAccount(PASSWORD);
+	expect(account).toMatchObject({ hdPath: "m/44'/60'/0'/0/1", algo: SECP256K1 });
+
+	const addresses = (await getAccounts(PASSWORD)).map(acc => acc.address);
+	expect(new Set(addresses).size).toBe(2);
+  }, 60000);
+});
\ No newline at end of file
@@ -0,0 +1,166 @@
+// File: src/lib/keyring/keystore.js
+// Description: Ethereum V3 keystore (Web3 Secret Storage) encryption for private keys
+
+import { Random, Secp256k1, keccak256 } from '@cosmjs/crypto';
+import { fromHex, toHex } from '@cosmjs/encoding';
+import { scryptAsync } from '@noble/hashes/scrypt';
+
+// Keystore format version
+const KEYSTORE_VERSION = 3;
+
+// Scrypt parameters for new keys; geth's standard N is 2^18, we use 2^17 so
+// encryption in the background service worker needs 128 MB instead of 256 MB
+const SCRYPT_PARAMS = { n: 131072, r: 8, p: 1 };
+
+// Largest scrypt cost accepted on import; higher values need too much memory
+const MAX_SCRYPT_N = 262144;
+
+/**
+ * Converts a string to UTF-8 bytes
+ * @param {string} text - Text
+ * @returns {Uint8Array}
+ */
+const utf8 = (text) => new TextEncoder().encode(text);
+
+/**
+ * Derives the keystore key from a password
+ * @param {string} password - Keystore password
+ * @param {string} kdf - Key derivation function (scrypt or pbkdf2)
+ * @param {Object} kdfparams - Key derivation parameters
+ * @returns {Promise<Uint8Array>} - Derived key
+ */
+const deriveKey = async (password, kdf, kdfparams) => {
+  const salt = fromHex(kdfparams.salt);
+
+  if (kdf === 'scrypt') {
+	const { n, r, p, dklen } = kdfparams;
+	if (n > MAX_SCRYPT_N) {
+	  throw new Error(`Scrypt cost ${n} is too high`);
+	}
+	return scryptAsync(utf8(password), salt, { N: n, r, p, dkLen: dklen });
+  }
+
+  if (kdf === 'pbkdf2') {
+	const { c, dklen, prf } = kdfparams;
+	if (prf !== 'hmac-sha256') {
+	  throw new Error(`Unsupported PBKDF2 function: ${prf}`);
+	}
+	const keyMaterial = await crypto.subtle.importKey('raw', utf8(password), { name: 'PBKDF2' }, false, ['deriveBits']);
+	const bits = await crypto.subtle.deriveBits(
+	  { name: 'PBKDF2', salt, iterations: c, hash: 'SHA-256' },
+	  keyMaterial,
+	  dklen * 8
+	);
+	return new Uint8Array(bits);
+  }
+
+  throw new Error(`Unsupported key derivation function: ${kdf}`);
+};
+
+/**
+ * Runs AES-128-CTR over data (encryption and decryption are the same)
+ * @param {Uint8Array} key - 16-byte key
+ * @param {Uint8Array} iv - 16-byte initial counter
+ * @param {Uint8Array} data - Input
+ * @returns {Promise<Uint8Array>} - Output
+ */
+const aes128Ctr = async (key, iv, data) => {
+  const cryptoKey = await crypto.subtle.importKey('raw', key, { name: 'AES-CTR' }, false, ['encrypt']);
+  const result = await crypto.subtle.encrypt({ name: 'AES-CTR', counter: iv, length: 128 }, cryptoKey, data);
+  return new Uint8Array(result);
+};
+
+/**
+ * Computes the keystore MAC: keccak256(derivedKey[16..32] ++ ciphertext)
+ * @param {Uint8Array} derivedKey - Derived key
+ * @param {Uint8Array} ciphertext - Encrypted private key
+ * @returns {string} - MAC in hex
+ */
+const computeMac = (derivedKey, ciphertext) => (
+  toHex(keccak256(new Uint8Array([...derivedKey.slice(16, 32), ...ciphertext])))
+);
+
+/**
+ * Derives the Ethereum address of a private key
+ * @param {Uint8Array} privkey - Raw private key
+ * @returns {Promise<string>} - Lowercase hex address without 0x
+ */
+const ethAddressFromPrivateKey = async (privkey) => {
+  const { pubkey } = await Secp256k1.makeKeypair(privkey);
+  return toHex(keccak256(pubkey.slice(1)).slice(-20));
+};
+
+/**
+ * Decrypts a V3 keystore
+ * @param {Object|string} keystore - Keystore JSON
+ * @param {string} password - Keystore password
+ * @returns {Promise<Uint8Array>} - Raw private key
+ */
+const decryptKeystore = async (keystore, password) => {
+  const json = typeof keystore === 'string' ? JSON.parse(keystore) : keystore;
+  // geth writes "crypto", some older tools "Crypto"
+  const cryptoParams = json && (json.crypto || json.Crypto);
+  if (!cryptoParams || json.version !== KEYSTORE_VERSION) {
+	throw new Error('Not a V3 keystore');
+  }
+
+  const { cipher, cipherparams, ciphertext, kdf, kdfparams, mac } = cryptoParams;
+  if (cipher !== 'aes-128-ctr') {
+	throw new Error(`Unsupported cipher: ${cipher}`);
+  }
+
+  const derivedKey = await deriveKey(password, kdf, kdfparams);
+  const ciphertextBytes = fromHex(ciphertext);
+  if (computeMac(derivedKey, ciphertextBytes) !== mac.toLowerCase()) {
+	throw new Error('Incorrect keystore password');
+  }
+
+  const privkey = await aes128Ctr(derivedKey.slice(0, 16), fromHex(cipherparams.iv), ciphertextBytes);
+  if (privkey.length !== 32) {
+	throw new Error('Keystore does not hold a 32-byte private key');
+  }
+  return privkey;
+};
+
+/**
+ * Encrypts a private key as a V3 keystore with scrypt
+ * @param {Uint8Array} privkey - Raw private key
+ * @param {string} password - Keystore password
+ * @returns {Promise<Object>} - Keystore JSON
+ */
+const encryptKeystore = async (privkey, password) => {
+  const kdfparams = {
+	...SCRYPT_PARAMS,
+	dklen: 32,
+	salt: toHex(Random.getBytes(32))
+  };
+  const iv = Random.getBytes(16);
+
+  const derivedKey = await deriveKey(password, 'scrypt', kdfparams);
+  const ciphertext = await aes128Ctr(derivedKey.slice(0, 16), iv, privkey);
+
+  // Random UUID v4 as the keystore id
+  const uuid = Random.getBytes(16);
+  uuid[6] = (uuid[6] & 0x0f) | 0x40;
+  uuid[8] = (uuid[8] & 0x3f) | 0x80;
+  const id = toHex(uuid).replace(/^(.{8})(.{4})(.{4})(.{4})(.{12})$/, '$1-$2-$3-$4-$5');
+
+  return {
+	version: KEYSTORE_VERSION,
+	id,
+	address: await ethAddressFromPrivateKey(privkey),
+	crypto: {
+	  cipher: 'aes-128-ctr',
+	  cipherparams: { iv: toHex(iv) },
+	  ciphertext: toHex(ciphertext),
+	  kdf: 'scrypt',
+	  kdfparams,
+	  mac: computeMac(derivedKey, ciphertext)
+	}
+  };
+};
+
+export {
+  decryptKeystore,
+  encryptKeystore
+};
\ No newline at end of file
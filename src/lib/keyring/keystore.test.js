@@ -0,0 +1,82 @@
+// File: src/lib/keyring/keystore.test.js
+// Description: Tests for V3 keystores against the Web3 Secret Storage test vectors
+
+import { toHex, fromHex } from '@cosmjs/encoding';
+import { decryptKeystore, encryptKeystore } from './keystore';
+
+// Test vectors of the Web3 Secret Storage Definition
+const PASSWORD = 'testpassword';
+const PRIVATE_KEY = '7a28b5ba57c53603b0b07b56bba752f7784bf506fa95edc395f5cf6c7514fe9d';
+const ADDRESS = '008aeeda4d805471df9b2a5b0f38a0c3bcba786b';
+
+const PBKDF2_KEYSTORE = {
+  crypto: {
+	cipher: 'aes-128-ctr',
+	cipherparams: { iv: '6087dab2f9fdbbfaddc31a909735c1e6' },
+	ciphertext: '5318b4d5bcd28de64ee5559e671353e16f075ecae9f99c7a79a38af5f869aa46',
+	kdf: 'pbkdf2',
+	kdfparams: {
+	  c: 262144,
+	  dklen: 32,
+	  prf: 'hmac-sha256',
+	  salt: 'ae3cd4e7013836a3df6bd7241b12db061dbe2c6785853cce422d148a624ce0bd'
+	},
+	mac: '517ead924a9d0dc3124507e3393d175ce3ff7c1e96529c6c555ce9e51205e9b2'
+  },
+  id: '3198bc9c-6672-5ab3-d995-4942343ae5b6',
+  version: 3
+};
+
+const SCRYPT_KEYSTORE = {
+  crypto: {
+	cipher: 'aes-128-ctr',
+	cipherparams: { iv: '83dbcc02d8ccb40e466191a123791e0e' },
+	ciphertext: 'd172bf743a674da9cdad04534d56926ef8358534d458fffccd4e6ad2fbde479c',
+	kdf: 'scrypt',
+	kdfparams: {
+	  dklen: 32,
+	  n: 262144,
+	  r: 1,
+	  p: 8,
+	  salt: 'ab0c7876052600dd703518d6fc3fe8984592145b591fc8fb5c6d43190334ba19'
+	},
+	mac: '2103ac29920d71da29f15d75b4a16dbe95cfd7ff8faea1056c33131d846e3097'
+  },
+  id: '3198bc9c-6672-5ab3-d995-4942343ae5b6',
+  version: 3
+};
+
+describe('decryptKeystore', () => {
+  it.each([
+	['pbkdf2', PBKDF2_KEYSTORE],
+	['scrypt', SCRYPT_KEYSTORE]
+  ])('decrypts the %s test vector', async (_, keystore) => {
+	expect(toHex(await decryptKeystore(keystore, PASSWORD))).toBe(PRIVATE_KEY);
+	expect(toHex(await decryptKeystore(JSON.stringify(keystore), PASSWORD))).toBe(PRIVATE_KEY);
+  }, 60000);
+
+  it('rejects a wrong password', async () => {
+	await expect(decryptKeystore(PBKDF2_KEYSTORE, 'wrongpassword')).rejects.toThrow('Incorrect keystore password');
+  }, 60000);
+
+  it('rejects other versions and ciphers', async () => {
+	await expect(decryptKeystore({ ...PBKDF2_KEYSTORE, version: 1 }, PASSWORD)).rejects.toThrow('Not a V3 keystore');
+	await expect(decryptKeystore(
+	  { ...PBKDF2_KEYSTORE, crypto: { ...PBKDF2_KEYSTORE.crypto, cipher: 'aes-128-cbc' } },
+	  PASSWORD
+	)).rejects.toThrow('Unsupported cipher: aes-128-cbc');
+  });
+});
+
+describe('encryptKeystore', () => {
+  it('writes a scrypt keystore that decrypts to the same key', async () => {
+	const keystore = await encryptKeystore(fromHex(PRIVATE_KEY), PASSWORD);
+	expect(keystore).toMatchObject({
+	  version: 3,
+	  address: ADDRESS,
+	  crypto: { cipher: 'aes-128-ctr', kdf: 'scrypt', kdfparams: { n: 131072, r: 8, p: 1, dklen: 32 } }
+	});
+	expect(keystore.id).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+	expect(toHex(await decryptKeystore(keystore, PASSWORD))).toBe(PRIVATE_KEY);
+  }, 60000);
+});
\ No newline at end of file
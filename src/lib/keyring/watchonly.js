@@ -0,0 +1,80 @@
+// File: src/lib/keyring/watchonly.js
+// Description: Address-only wallet for monitoring accounts without their keys
+
+import { fromBech32 } from '@cosmjs/encoding';
+
+// Serialization type
+const WATCH_ONLY_WALLET_TYPE = 'creata-watchonly-v1';
+
+/**
+ * Wallet holding only an address. It exposes the account like the other
+ * wallets so balances and delegations can be queried, but cannot sign.
+ */
+class WatchOnlyWallet {
+  /**
+   * Creates a wallet for an address
+   * @param {string} address - Bech32 account address
+   * @param {string} prefix - Expected bech32 prefix
+   * @returns {Promise<WatchOnlyWallet>}
+   */
+  static async fromAddress(address, prefix = 'creata') {
+	const { prefix: addressPrefix, data } = fromBech32(address);
+	if (addressPrefix !== prefix || data.length !== 20) {
+	  throw new Error(`Not a ${prefix} account address: ${address}`);
+	}
+	return new WatchOnlyWallet(address, prefix);
+  }
+
+  /**
+   * Restores a wallet serialized with serialize()
+   * @param {string} serialized - Serialized wallet
+   * @returns {Promise<WatchOnlyWallet>}
+   */
+  static async deserialize(serialized) {
+	const { type, address, prefix } = JSON.parse(serialized);
+	if (type !== WATCH_ONLY_WALLET_TYPE) {
+	  throw new Error(`Unsupported serialization type: ${type}`);
+	}
+	return WatchOnlyWallet.fromAddress(address, prefix);
+  }
+
+  constructor(address, prefix) {
+	this.address = address;
+	this.prefix = prefix;
+	this.watchOnly = true;
+  }
+
+  async getAccounts() {
+	return [{ algo: null, pubkey: null, address: this.address }];
+  }
+
+  async signDirect() {
+	throw new Error('Watch-only accounts cannot sign transactions');
+  }
+
+  async signAmino() {
+	throw new Error('Watch-only accounts cannot sign messages');
+  }
+
+  /**
+   * Nothing to wipe; the wallet holds no secret
+   */
+  wipe() {}
+
+  /**
+   * Serializes the wallet. It holds no secret.
+   * @returns {Promise<string>}
+   */
+  async serialize() {
+	return JSON.stringify({
+	  type: WATCH_ONLY_WALLET_TYPE,
+	  prefix: this.prefix,
+	  address: this.address
+	});
+  }
+}
+
+export {
+  WATCH_ONLY_WALLET_TYPE,
+  WatchOnlyWallet
+};
\ No newline at end of file
@@ -0,0 +1,125 @@
+// File: src/lib/migrations/index.js
+// Description: Storage schema version and the migrations between versions
+
+// Storage key of the schema version
+const SCHEMA_VERSION_KEY = 'creata_schema_version';
+
+// Layout written by 0.1.0, which had no version marker
+const LEGACY_SCHEMA_VERSION = 1;
+
+// chrome.storage.local marker telling the first unlock after the update to
+// trust and seal data written before integrity tags existed. It is kept on
+// disk so a browser restart before that unlock does not flag the data, and
+// is removed once the data is sealed.
+const INTEGRITY_TRUST_KEY = 'creata_integrity_trust';
+
+/**
+ * Migrations in order. Each one moves storage from version - 1 to version
+ * and must be safe to run again if it was interrupted.
+ *
+ * Only data readable without the wallet password can be migrated here.
+ * Encrypted data is converted the next time the wallet is opened:
+ * a single creata_wallet becomes the creata_wallets list, cosmjs wallet
+ * serializations become eth_secp256k1 wallets, values encrypted with
+ * their own salt move to the vault key, and a vault derived with an older
+ * KDF is re-keyed at unlock.
+ */
+const MIGRATIONS = [
+  {
+	version: 2,
+	description: 'Remove the plaintext session password',
+	migrate: async () => {
+	  // 0.1.0 kept the unlocked password in local storage
+	  await chrome.storage.local.remove('creata_session');
+	}
+  },
+  {
+	version: 3,
+	description: 'Record the key derivation function of the vault',
+	migrate: async () => {
+	  // The first vaults only stored a salt and always used PBKDF2
+	  const { creata_vault: vault } = await chrome.storage.local.get(['creata_vault']);
+	  if (vault && !vault.kdf) {
+		await chrome.storage.local.set({
+		  creata_vault: { kdf: 'pbkdf2', kdfParams: { iterations: 100000 }, ...vault }
+		});
+	  }
+	}
+  },
+  {
+	version: 4,
+	description: 'Trust data written before integrity tags once',
+	migrate: async () => {
+	  // Tagging needs the vault key, so the data is sealed at the next unlock
+	  const { creata_integrity: record } = await chrome.storage.local.get(['creata_integrity']);
+	  if (!record) {
+		await chrome.storage.local.set({ [INTEGRITY_TRUST_KEY]: true });
+	  }
+	}
+  }
+];
+
+// Version written by this release
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Gets the schema version of the stored data
+ * @returns {Promise<number|null>} - Version, or null when storage is empty
+ */
+const getSchemaVersion = async () => {
+  const items = await chrome.storage.local.get(null);
+  if (items[SCHEMA_VERSION_KEY] !== undefined) {
+	return items[SCHEMA_VERSION_KEY];
+  }
+  return Object.keys(items).length > 0 ? LEGACY_SCHEMA_VERSION : null;
+};
+
+/**
+ * Marks freshly created storage with the current schema version
+ * @returns {Promise<void>}
+ */
+const initializeSchema = async () => {
+  await chrome.storage.local.set({ [SCHEMA_VERSION_KEY]: SCHEMA_VERSION });
+};
+
+/**
+ * Brings stored data up to the current schema version. The version is
+ * saved after every migration, so an interrupted run resumes where it
+ * stopped.
+ * @returns {Promise<number>} - Schema version after the run
+ */
+const runMigrations = async () => {
+  const version = await getSchemaVersion();
+  if (version === null) {
+	await initializeSchema();
+	return SCHEMA_VERSION;
+  }
+
+  if (version > SCHEMA_VERSION) {
+	// Data written by a newer release; leave it untouched
+	console.warn(`Storage schema ${version} is newer than ${SCHEMA_VERSION}`);
+	return version;
+  }
+
+  for (const migration of MIGRATIONS.filter(m => m.version > version)) {
+	try {
+	  await migration.migrate();
+	  await chrome.storage.local.set({ [SCHEMA_VERSION_KEY]: migration.version });
+	  console.log(`Migrated storage to schema ${migration.version}: ${migration.description}`);
+	} catch (error) {
+	  console.error(`Failed to migrate storage to schema ${migration.version}:`, error);
+	  throw new Error('Failed to migrate wallet data');
+	}
+  }
+
+  return SCHEMA_VERSION;
+};
+
+export {
+  SCHEMA_VERSION,
+  SCHEMA_VERSION_KEY,
+  INTEGRITY_TRUST_KEY,
+  getSchemaVersion,
+  initializeSchema,
+  runMigrations
+};
\ No newline at end of file
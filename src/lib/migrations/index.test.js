@@ -0,0 +1,221 @@
+// File: src/lib/migrations/index.test.js
+// Description: Tests for schema migrations, starting from data written by 0.1.0
+
+import { DirectSecp256k1HdWallet } from '@cosmjs/proto-signing';
+import { stringToPath } from '@cosmjs/crypto';
+import { createChromeMock } from '../../test/chrome';
+import { SCHEMA_VERSION, SCHEMA_VERSION_KEY, INTEGRITY_TRUST_KEY, getSchemaVersion, runMigrations } from '.';
+import { getData, lockVault, unlockVault } from '../storage';
+import { getAccounts, loadWallet, restoreBackup } from '../keyring';
+
+const PASSWORD = 'correct horse battery';
+const MNEMONIC = 'test test test test test test test test test test test junk';
+
+/**
+ * Converts bytes to base64
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string}
+ */
+const toBase64 = (bytes) => Buffer.from(bytes).toString('base64');
+
+/**
+ * Derives a PBKDF2 AES-GCM key the way 0.1.0 and the first vaults did
+ * @param {string} password - Password
+ * @param {Uint8Array} salt - Salt
+ * @returns {Promise<CryptoKey>}
+ */
+const derivePbkdf2Key = async (password, salt) => {
+  const keyMaterial = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+	{ name: 'PBKDF2', salt, iterations: 100000, hash: 'SHA-256' },
+	keyMaterial,
+	{ name: 'AES-GCM', length: 256 },
+	false,
+	['encrypt']
+  );
+};
+
+/**
+ * Encrypts a value with AES-GCM
+ * @param {any} value - Value, stored as JSON
+ * @param {CryptoKey} key - Key
+ * @returns {Promise<Uint8Array>} - IV followed by the ciphertext
+ */
+const encryptJson = async (value, key) => {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+  return new Uint8Array([...iv, ...new Uint8Array(ciphertext)]);
+};
+
+/**
+ * Encrypts a value like 0.1.0 did: a fresh salt per value, then IV and ciphertext
+ * @param {any} value - Value, stored as JSON
+ * @param {string} password - Password
+ * @returns {Promise<string>}
+ */
+const encryptLegacy = async (value, password) => {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  return toBase64([...salt, ...await encryptJson(value, await derivePbkdf2Key(password, salt))]);
+};
+
+/**
+ * Builds the storage of a 0.1.0 install with one unlocked wallet
+ * @returns {Promise<Object>} - Raw storage items
+ */
+const createLegacyItems = async () => {
+  const wallet = await DirectSecp256k1HdWallet.fromMnemonic(MNEMONIC, {
+	prefix: 'creata',
+	hdPaths: [stringToPath("m/44'/60'/0'/0/0")]
+  });
+  const [account] = await wallet.getAccounts();
+  return {
+	creata_wallet: await encryptLegacy(await wallet.serialize(PASSWORD), PASSWORD),
+	creata_accounts: await encryptLegacy([{ address: account.address, name: 'Account 1', index: 0 }], PASSWORD),
+	creata_current_account: await encryptLegacy(account.address, PASSWORD),
+	creata_active_network: 'mainnet',
+	// 0.1.0 kept the password of the open wallet in plaintext
+	creata_session: PASSWORD
+  };
+};
+
+let legacyItems;
+
+beforeAll(async () => {
+  global.chrome = createChromeMock();
+  legacyItems = await createLegacyItems();
+}, 60000);
+
+beforeEach(() => {
+  global.chrome = createChromeMock();
+  lockVault();
+});
+
+describe('runMigrations', () => {
+  it('marks empty storage with the current version', async () => {
+	expect(await getSchemaVersion()).toBeNull();
+	expect(await runMigrations()).toBe(SCHEMA_VERSION);
+	expect(chrome.storage.local.items[SCHEMA_VERSION_KEY]).toBe(SCHEMA_VERSION);
+  });
+
+  it('upgrades 0.1.0 data and keeps the wallet readable', async () => {
+	chrome.storage.local.items = { ...legacyItems };
+	expect(await getSchemaVersion()).toBe(1);
+
+	expect(await runMigrations()).toBe(SCHEMA_VERSION);
+	expect(chrome.storage.local.items[SCHEMA_VERSION_KEY]).toBe(SCHEMA_VERSION);
+	expect(chrome.storage.local.items.creata_session).toBeUndefined();
+	expect(chrome.storage.local.items.creata_active_network).toBe('mainnet');
+
+	const [account] = await getAccounts(PASSWORD);
+	const wallet = await loadWallet(PASSWORD);
+	expect((await wallet.getAccounts())[0].address).toBe(account.address);
+	expect(chrome.storage.local.items.creata_wallet).toBeUndefined();
+	expect(chrome.storage.local.items.creata_wallets).toMatch(/^vault:/);
+  }, 60000);
+
+  it('trusts data written before integrity tags at the next unlock only', async () => {
+	chrome.storage.local.items = { ...legacyItems };
+	await runMigrations();
+	expect(chrome.storage.local.items[INTEGRITY_TRUST_KEY]).toBe(true);
+
+	// The marker outlives a browser restart before the first unlock
+	chrome.storage.session.items = {};
+	await loadWallet(PASSWORD);
+	expect((await unlockVault(PASSWORD)).tamperedKeys).toEqual([]);
+	expect(chrome.storage.local.items[INTEGRITY_TRUST_KEY]).toBeUndefined();
+
+	// Deleting the tags afterwards does not turn the check off
+	lockVault();
+	delete chrome.storage.local.items.creata_integrity;
+	expect((await unlockVault(PASSWORD)).tamperedKeys).toEqual([
+	  'creata_accounts',
+	  'creata_active_network',
+	  'creata_current_account',
+	  'creata_wallets'
+	]);
+  }, 60000);
+
+  it('records the KDF of a vault created before it was stored', async () => {
+	const salt = crypto.getRandomValues(new Uint8Array(16));
+	const key = await derivePbkdf2Key(PASSWORD, salt);
+	chrome.storage.local.items = {
+	  [SCHEMA_VERSION_KEY]: 2,
+	  creata_vault: { salt: toBase64(salt) },
+	  creata_current_account: 'vault:' + toBase64(await encryptJson('creata1account', key))
+	};
+
+	await runMigrations();
+	expect(chrome.storage.local.items.creata_vault).toEqual({
+	  kdf: 'pbkdf2',
+	  kdfParams: { iterations: 100000 },
+	  salt: toBase64(salt)
+	});
+
+	// Unlocking re-keys the vault with the current KDF
+	expect((await unlockVault(PASSWORD)).tamperedKeys).toEqual([]);
+	expect(chrome.storage.local.items.creata_vault.kdf).toBe('scrypt');
+	expect(chrome.storage.local.items.creata_vault.salt).not.toBe(toBase64(salt));
+	expect(await getData('creata_current_account', true, PASSWORD)).toBe('creata1account');
+  }, 60000);
+
+  it('leaves data of a newer release untouched', async () => {
+	chrome.storage.local.items = { [SCHEMA_VERSION_KEY]: SCHEMA_VERSION + 1, creata_session: 'kept' };
+	expect(await runMigrations()).toBe(SCHEMA_VERSION + 1);
+	expect(chrome.storage.local.items.creata_session).toBe('kept');
+  });
+
+  it('keeps the last finished version when a migration fails', async () => {
+	chrome.storage.local.items = { ...legacyItems, creata_vault: { salt: 'c2FsdA==' } };
+	const { get } = chrome.storage.local;
+	chrome.storage.local.get = (keys, callback) => (
+	  Array.isArray(keys) && keys.includes('creata_vault') ? Promise.reject(new Error('Storage unavailable')) : get(keys, callback)
+	);
+
+	await expect(runMigrations()).rejects.toThrow('Failed to migrate wallet data');
+	expect(chrome.storage.local.items[SCHEMA_VERSION_KEY]).toBe(2);
+	expect(chrome.storage.local.items.creata_session).toBeUndefined();
+  });
+});
+
+describe('restoreBackup', () => {
+  /**
+   * Creates a backup file the way exportBackup does
+   * @param {Object} items - Raw storage items
+   * @returns {Promise<Object>}
+   */
+  const createBackupFile = async (items) => ({
+	type: 'creata-backup-v1',
+	createdAt: new Date().toISOString(),
+	data: await encryptLegacy(items, PASSWORD)
+  });
+
+  it('migrates a backup of 0.1.0 data', async () => {
+	chrome.storage.local.items = { [SCHEMA_VERSION_KEY]: SCHEMA_VERSION, creata_active_network: 'testnet' };
+
+	await restoreBackup(await createBackupFile(legacyItems), PASSWORD);
+	expect(chrome.storage.local.items[SCHEMA_VERSION_KEY]).toBe(SCHEMA_VERSION);
+	expect(chrome.storage.local.items.creata_session).toBeUndefined();
+	expect(chrome.storage.local.items.creata_active_network).toBe('mainnet');
+	expect(await getAccounts(PASSWORD)).toHaveLength(1);
+  }, 60000);
+
+  it('rolls back when the restored wallet does not open with the password', async () => {
+	const current = { [SCHEMA_VERSION_KEY]: SCHEMA_VERSION, creata_active_network: 'testnet' };
+	chrome.storage.local.items = { ...current };
+	const backup = await createBackupFile({
+	  ...legacyItems,
+	  creata_wallet: await encryptLegacy('{}', 'another password')
+	});
+
+	await expect(restoreBackup(backup, PASSWORD)).rejects.toThrow('Backup wallet could not be opened with this password');
+	expect(chrome.storage.local.items).toEqual(current);
+  }, 60000);
+
+  it('rejects a backup made with another password without touching storage', async () => {
+	const current = { [SCHEMA_VERSION_KEY]: SCHEMA_VERSION, creata_active_network: 'testnet' };
+	chrome.storage.local.items = { ...current };
+
+	await expect(restoreBackup(await createBackupFile(legacyItems), 'wrong password')).rejects.toThrow('Invalid backup file or incorrect password');
+	expect(chrome.storage.local.items).toEqual(current);
+  });
+});
\ No newline at end of file
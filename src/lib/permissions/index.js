@@ -0,0 +1,119 @@
+// File: src/lib/permissions/index.js
+// Description: Per-origin permissions granted to websites (dApps)
+
+import { saveData, getData } from '../storage';
+
+// Storage key of the permissions, by origin
+const PERMISSIONS_KEY = 'creata_permissions';
+
+/**
+ * Gets every stored permission
+ * @returns {Promise<Object>} - Permissions by origin
+ */
+const getPermissions = async () => {
+  return (await getData(PERMISSIONS_KEY)) || {};
+};
+
+/**
+ * Gets the permission of an origin
+ * @param {string} origin - Website origin, e.g. https://app.example.com
+ * @returns {Promise<Object|null>} - Permission as { origin, accounts, chains, grantedAt, lastUsedAt }
+ */
+const getPermission = async (origin) => {
+  const permissions = await getPermissions();
+  return permissions[origin] || null;
+};
+
+/**
+ * Grants an origin access to accounts on a chain. Accounts replace the ones
+ * granted before; chains are added to them.
+ * @param {string} origin - Website origin
+ * @param {Array<string>} accounts - Approved account addresses
+ * @param {string} chainId - Chain id
+ * @returns {Promise<Object>} - Updated permission
+ */
+const grantPermission = async (origin, accounts, chainId) => {
+  if (!accounts || accounts.length === 0) {
+	throw new Error('At least one account must be approved');
+  }
+
+  const permissions = await getPermissions();
+  const chains = permissions[origin] ? permissions[origin].chains : [];
+  const now = new Date().toISOString();
+  const permission = {
+	origin,
+	accounts: [...accounts],
+	chains: chains.includes(chainId) ? chains : [...chains, chainId],
+	grantedAt: now,
+	lastUsedAt: now
+  };
+
+  await saveData(PERMISSIONS_KEY, { ...permissions, [origin]: permission });
+  return permission;
+};
+
+/**
+ * Records that an origin used its permission
+ * @param {string} origin - Website origin
+ * @returns {Promise<void>}
+ */
+const touchPermission = async (origin) => {
+  const permissions = await getPermissions();
+  if (!permissions[origin]) {
+	return;
+  }
+
+  permissions[origin] = { ...permissions[origin], lastUsedAt: new Date().toISOString() };
+  await saveData(PERMISSIONS_KEY, permissions);
+};
+
+/**
+ * Removes the permission of an origin
+ * @param {string} origin - Website origin
+ * @returns {Promise<boolean>} - Whether the origin had a permission
+ */
+const revokePermission = async (origin) => {
+  const permissions = await getPermissions();
+  if (!permissions[origin]) {
+	return false;
+  }
+
+  delete permissions[origin];
+  await saveData(PERMISSIONS_KEY, permissions);
+  return true;
+};
+
+/**
+ * Removes every permission
+ * @returns {Promise<Array<string>>} - Origins that had a permission
+ */
+const revokeAllPermissions = async () => {
+  const origins = Object.keys(await getPermissions());
+  await saveData(PERMISSIONS_KEY, {});
+  return origins;
+};
+
+/**
+ * Gets the accounts an origin may use on a chain
+ * @param {string} origin - Website origin
+ * @param {string} chainId - Chain id
+ * @returns {Promise<Array<string>|null>} - Approved addresses, or null when the origin has no access to the chain
+ */
+const getPermittedAccounts = async (origin, chainId) => {
+  const permission = await getPermission(origin);
+  if (!permission || !permission.chains.includes(chainId)) {
+	return null;
+  }
+  return permission.accounts;
+};
+
+export {
+  PERMISSIONS_KEY,
+  getPermissions,
+  getPermission,
+  grantPermission,
+  touchPermission,
+  revokePermission,
+  revokeAllPermissions,
+  getPermittedAccounts
+};
\ No newline at end of file
@@ -0,0 +1,311 @@
+// File: src/lib/session/index.js
+// Description: Client for the wallet session held by the background service worker
+
+import { fromBase64, toBase64 } from '@cosmjs/encoding';
+import { SignDoc } from 'cosmjs-types/cosmos/tx/v1beta1/tx';
+import { WALLET_TYPE_WATCH_ONLY } from '../keyring';
+
+/**
+ * Sends a message to the background and unwraps its response
+ * @param {string} type - Message type
+ * @param {Object} payload - Message fields
+ * @returns {Promise<any>} - Response result
+ */
+const sendMessage = (type, payload = {}) => new Promise((resolve, reject) => {
+  chrome.runtime.sendMessage({ type, ...payload }, (response) => {
+	if (chrome.runtime.lastError) {
+	  reject(new Error(chrome.runtime.lastError.message));
+	} else if (!response || !response.success) {
+	  reject(new Error((response && response.error) || `${type} failed`));
+	} else {
+	  resolve(response.result);
+	}
+  });
+});
+
+/**
+ * Converts a SignDoc to a form that survives extension messaging
+ * @param {Object} signDoc - SignDoc
+ * @returns {Object}
+ */
+const encodeSignDoc = (signDoc) => ({
+  bodyBytes: toBase64(signDoc.bodyBytes),
+  authInfoBytes: toBase64(signDoc.authInfoBytes),
+  chainId: signDoc.chainId,
+  accountNumber: signDoc.accountNumber.toString()
+});
+
+/**
+ * Restores a SignDoc encoded by encodeSignDoc
+ * @param {Object} encoded - Encoded SignDoc
+ * @returns {Object} - SignDoc
+ */
+const decodeSignDoc = (encoded) => SignDoc.fromPartial({
+  bodyBytes: fromBase64(encoded.bodyBytes),
+  authInfoBytes: fromBase64(encoded.authInfoBytes),
+  chainId: encoded.chainId,
+  accountNumber: encoded.accountNumber
+});
+
+/**
+ * Converts a signer account to a form that survives extension messaging
+ * @param {Object} account - Account as { algo, pubkey, address }
+ * @returns {Object}
+ */
+const encodeAccount = ({ algo, pubkey, address }) => ({
+  algo,
+  pubkey: pubkey ? toBase64(pubkey) : null,
+  address
+});
+
+/**
+ * Restores a signer account encoded by encodeAccount
+ * @param {Object} encoded - Encoded account
+ * @returns {Object} - Account as { algo, pubkey, address }
+ */
+const decodeAccount = ({ algo, pubkey, address }) => ({
+  algo,
+  pubkey: pubkey ? fromBase64(pubkey) : null,
+  address
+});
+
+/**
+ * Gets the background state
+ * @returns {Promise<Object>} - State as { isUnlocked, tamperedKeys, network }
+ */
+const getState = () => sendMessage('GET_STATE');
+
+/**
+ * Unlocks the session with the wallet password
+ * @param {string} password - Wallet password
+ * @returns {Promise<Object>} - { tamperedKeys }: keys changed outside the wallet
+ */
+const unlock = (password) => sendMessage('UNLOCK_WALLET', { password });
+
+/**
+ * Settles keys changed outside the wallet
+ * @param {boolean} discard - Remove the changed values (true) or keep them (false)
+ * @returns {Promise<Array<string>>} - Encrypted keys that could not be removed
+ */
+const resolveTampering = (discard) => sendMessage('RESOLVE_TAMPERING', { discard });
+
+/**
+ * Locks the session
+ * @returns {Promise<void>}
+ */
+const lock = () => sendMessage('LOCK_WALLET');
+
+/**
+ * Gets all wallets without their secrets
+ * @returns {Promise<Array>} - Array of { id, name, type }
+ */
+const getWallets = () => sendMessage('GET_WALLETS');
+
+/**
+ * Gets the id of the wallet holding the current account
+ * @returns {Promise<string|null>}
+ */
+const getCurrentWalletId = () => sendMessage('GET_CURRENT_WALLET_ID');
+
+/**
+ * Switches to another wallet
+ * @param {string} walletId - Wallet id
+ * @returns {Promise<string>} - New current account address
+ */
+const setCurrentWallet = (walletId) => sendMessage('SET_CURRENT_WALLET', { walletId });
+
+/**
+ * Stores a wallet next to the existing ones, encrypted with the session's vault key
+ * @param {Object} wallet - Wallet object
+ * @param {string} name - Wallet name
+ * @returns {Promise<string>} - Id of the stored wallet
+ */
+const addWallet = async (wallet, name = '') => (
+  sendMessage('ADD_WALLET', { serialized: await wallet.serialize(), name })
+);
+
+/**
+ * Gets account records
+ * @param {string} walletId - Only return accounts of this wallet (optional)
+ * @returns {Promise<Array>}
+ */
+const getAccounts = (walletId = null) => sendMessage('GET_ACCOUNTS', { walletId });
+
+/**
+ * Gets the current account address
+ * @returns {Promise<string>}
+ */
+const getCurrentAccount = () => sendMessage('GET_CURRENT_ACCOUNT');
+
+/**
+ * Sets the current account
+ * @param {string} address - Account address
+ * @returns {Promise<void>}
+ */
+const setCurrentAccount = (address) => sendMessage('SET_CURRENT_ACCOUNT', { address });
+
+/**
+ * Derives the next account of a wallet and makes it current
+ * @param {string} walletId - Wallet id (defaults to the wallet of the current account)
+ * @returns {Promise<Object>} - New account record
+ */
+const addAccount = (walletId = null) => sendMessage('ADD_ACCOUNT', { walletId });
+
+/**
+ * Gets a signer for a wallet. Keys stay in the background; signDirect sends
+ * the SignDoc there and returns the signature.
+ * @param {string} walletId - Wallet id (defaults to the wallet of the current account)
+ * @returns {Promise<Object>} - OfflineDirectSigner with a watchOnly flag
+ */
+const getSigner = async (walletId = null) => {
+  const id = walletId || (await getCurrentWalletId());
+  const wallets = await getWallets();
+  const entry = wallets.find(w => w.id === id) || wallets[0];
+
+  return {
+	watchOnly: entry.type === WALLET_TYPE_WATCH_ONLY,
+	getAccounts: async () => (await sendMessage('GET_SIGNER_ACCOUNTS', { walletId: entry.id })).map(decodeAccount),
+	signDirect: async (signerAddress, signDoc) => {
+	  const response = await sendMessage('SIGN_DIRECT', { signerAddress, signDoc: encodeSignDoc(signDoc) });
+	  return { signed: decodeSignDoc(response.signed), signature: response.signature };
+	}
+  };
+};
+
+/**
+ * Decrypts the recovery phrase of a wallet
+ * @param {string} password - Wallet password, asked again before showing it
+ * @param {string} walletId - Wallet id (defaults to the wallet of the current account)
+ * @returns {Promise<string>} - Mnemonic phrase
+ */
+const revealMnemonic = (password, walletId = null) => sendMessage('REVEAL_MNEMONIC', { password, walletId });
+
+/**
+ * Decrypts the private key of an account
+ * @param {string} password - Wallet password, asked again before showing it
+ * @param {string} address - Account address
+ * @returns {Promise<string>} - Private key in hex, without 0x prefix
+ */
+const exportPrivateKey = (password, address) => sendMessage('EXPORT_PRIVATE_KEY', { password, address });
+
+/**
+ * Exports an eth_secp256k1 account as an Ethereum V3 keystore
+ * @param {string} password - Wallet password
+ * @param {string} address - Account address
+ * @param {string} keystorePassword - Password to encrypt the keystore with
+ * @returns {Promise<Object>} - Keystore JSON
+ */
+const exportKeystore = (password, address, keystorePassword) => (
+  sendMessage('EXPORT_KEYSTORE', { password, address, keystorePassword })
+);
+
+/**
+ * Changes the wallet password; the session ends and the wallet must be unlocked again
+ * @param {string} oldPassword - Current password
+ * @param {string} newPassword - New password
+ * @returns {Promise<void>}
+ */
+const changePassword = (oldPassword, newPassword) => sendMessage('CHANGE_PASSWORD', { oldPassword, newPassword });
+
+/**
+ * Exports wallets, account labels and all settings as an encrypted backup
+ * @param {string} password - Wallet password, also used to encrypt the backup
+ * @returns {Promise<Object>} - Backup file contents
+ */
+const exportBackup = (password) => sendMessage('EXPORT_BACKUP', { password });
+
+/**
+ * Restores a backup, replacing all stored data and ending any session
+ * @param {Object} backup - Backup file contents
+ * @param {string} password - Password of the wallet the backup was made from
+ * @returns {Promise<void>}
+ */
+const restoreBackup = (backup, password) => sendMessage('RESTORE_BACKUP', { backup, password });
+
+/**
+ * Ends the session and removes all wallets and settings from this device
+ * @param {string} password - Wallet password, confirmed before anything is removed
+ * @returns {Promise<void>}
+ */
+const removeWallet = (password) => sendMessage('REMOVE_WALLET', { password });
+
+/**
+ * Saves wallet settings, e.g. { creata_active_network: 'testnet' }
+ * @param {Object} settings - Setting values by storage key
+ * @returns {Promise<void>}
+ */
+const saveSettings = (settings) => sendMessage('SAVE_SETTINGS', { settings });
+
+/**
+ * Gets a website request waiting for approval
+ * @param {string} requestId - Request id
+ * @returns {Promise<Object>} - Request as { id, type, origin, params, createdAt }
+ */
+const getRequest = (requestId) => sendMessage('GET_REQUEST', { requestId });
+
+/**
+ * Approves a website request
+ * @param {string} requestId - Request id
+ * @param {Object} result - Result for the website, e.g. { accounts } for a connection
+ * @returns {Promise<void>}
+ */
+const approveRequest = (requestId, result) => sendMessage('APPROVE_REQUEST', { requestId, result });
+
+/**
+ * Rejects a website request
+ * @param {string} requestId - Request id
+ * @returns {Promise<void>}
+ */
+const rejectRequest = (requestId) => sendMessage('REJECT_REQUEST', { requestId });
+
+/**
+ * Gets the websites connected to the wallet
+ * @returns {Promise<Object>} - Permissions by origin as { origin, accounts, chains, grantedAt, lastUsedAt }
+ */
+const getConnectedSites = () => sendMessage('GET_PERMISSIONS');
+
+/**
+ * Disconnects a website; its open tabs are notified
+ * @param {string} origin - Website origin
+ * @returns {Promise<void>}
+ */
+const disconnectSite = (origin) => sendMessage('REVOKE_PERMISSION', { origin });
+
+/**
+ * Disconnects every website
+ * @returns {Promise<void>}
+ */
+const disconnectAllSites = () => sendMessage('REVOKE_ALL_PERMISSIONS');
+
+export {
+  encodeSignDoc,
+  decodeSignDoc,
+  encodeAccount,
+  getState,
+  unlock,
+  resolveTampering,
+  lock,
+  getWallets,
+  getCurrentWalletId,
+  setCurrentWallet,
+  addWallet,
+  getAccounts,
+  getCurrentAccount,
+  setCurrentAccount,
+  addAccount,
+  getSigner,
+  revealMnemonic,
+  exportPrivateKey,
+  exportKeystore,
+  changePassword,
+  exportBackup,
+  restoreBackup,
+  removeWallet,
+  saveSettings,
+  getRequest,
+  approveRequest,
+  rejectRequest,
+  getConnectedSites,
+  disconnectSite,
+  disconnectAllSites
+};
\ No newline at end of file
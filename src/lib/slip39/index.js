@@ -0,0 +1,497 @@
+// File: src/lib/slip39/index.js
+// Description: SLIP-0039 Shamir secret sharing for mnemonic codes
+
+import { WORDLIST } from './wordlist';
+
+// Bits per mnemonic word
+const RADIX_BITS = 10;
+
+// Most member shares a group can have
+const MAX_SHARE_COUNT = 16;
+
+// Words taken by the share header and the checksum
+const ID_EXP_WORDS = 2;
+const SHARE_PARAMS_WORDS = 2;
+const CHECKSUM_WORDS = 3;
+
+// Shortest valid share (128-bit secret)
+const MIN_MNEMONIC_WORDS = 20;
+
+// Shortest secret that can be shared, in bytes
+const MIN_SECRET_BYTES = 16;
+
+// Checksum customization strings
+const CUSTOMIZATION_STRING = 'shamir';
+const CUSTOMIZATION_STRING_EXTENDABLE = 'shamir_extendable';
+
+// PBKDF2 iterations for an iteration exponent of 0, split over the Feistel rounds
+const BASE_ITERATION_COUNT = 10000;
+const ROUND_COUNT = 4;
+
+// Reserved x coordinates holding the digest and the secret
+const DIGEST_INDEX = 254;
+const SECRET_INDEX = 255;
+const DIGEST_LENGTH = 4;
+
+// RS1024 checksum generator
+const RS1024_GENERATOR = [
+  0xe0e040, 0x1c1c080, 0x3838100, 0x7070200, 0xe0e0009,
+  0x1c0c2412, 0x38086c24, 0x3090fc48, 0x21b1f890, 0x3f3f120
+];
+
+// Word lookup by spelling
+const WORD_INDEX = new Map(WORDLIST.map((word, index) => [word, index]));
+
+// GF(256) exponent and logarithm tables (Rijndael polynomial, generator 3)
+const EXP_TABLE = new Array(255);
+const LOG_TABLE = new Array(256);
+let poly = 1;
+for (let i = 0; i < 255; i++) {
+  EXP_TABLE[i] = poly;
+  LOG_TABLE[poly] = i;
+  poly = (poly << 1) ^ poly;
+  if (poly & 0x100) {
+	poly ^= 0x11b;
+  }
+}
+
+/**
+ * Computes the RS1024 checksum polynomial
+ * @param {Array<number>} values - 10-bit values
+ * @returns {number}
+ */
+const rs1024Polymod = (values) => {
+  let chk = 1;
+  values.forEach((value) => {
+	const b = chk >> 20;
+	chk = ((chk & 0xfffff) << 10) ^ value;
+	for (let i = 0; i < 10; i++) {
+	  if ((b >> i) & 1) {
+		chk ^= RS1024_GENERATOR[i];
+	  }
+	}
+  });
+  return chk;
+};
+
+/**
+ * Gets the checksum customization values for a share
+ * @param {boolean} extendable - Extendable backup flag
+ * @returns {Array<number>}
+ */
+const customizationValues = (extendable) => (
+  [...(extendable ? CUSTOMIZATION_STRING_EXTENDABLE : CUSTOMIZATION_STRING)].map(c => c.charCodeAt(0))
+);
+
+/**
+ * Creates the three checksum words for share data
+ * @param {Array<number>} data - Share words without checksum
+ * @param {boolean} extendable - Extendable backup flag
+ * @returns {Array<number>}
+ */
+const createChecksum = (data, extendable) => {
+  const polymod = rs1024Polymod([...customizationValues(extendable), ...data, 0, 0, 0]) ^ 1;
+  return [2, 1, 0].map(i => (polymod >> (RADIX_BITS * i)) & 1023);
+};
+
+/**
+ * Splits an integer into 10-bit words
+ * @param {bigint} value - Integer
+ * @param {number} wordCount - Number of words
+ * @returns {Array<number>}
+ */
+const intToWords = (value, wordCount) => {
+  const words = [];
+  for (let i = wordCount - 1; i >= 0; i--) {
+	words.push(Number((value >> BigInt(i * RADIX_BITS)) & 1023n));
+  }
+  return words;
+};
+
+/**
+ * Joins 10-bit words into an integer
+ * @param {Array<number>} words - Words
+ * @returns {bigint}
+ */
+const wordsToInt = (words) => (
+  words.reduce((value, word) => (value << BigInt(RADIX_BITS)) | BigInt(word), 0n)
+);
+
+/**
+ * Converts bytes to a big-endian integer
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {bigint}
+ */
+const bytesToInt = (bytes) => bytes.reduce((value, byte) => (value << 8n) | BigInt(byte), 0n);
+
+/**
+ * Converts a big-endian integer to bytes
+ * @param {bigint} value - Integer
+ * @param {number} length - Byte length
+ * @returns {Uint8Array}
+ */
+const intToBytes = (value, length) => {
+  const bytes = new Uint8Array(length);
+  for (let i = length - 1; i >= 0; i--) {
+	bytes[i] = Number(value & 0xffn);
+	value >>= 8n;
+  }
+  return bytes;
+};
+
+/**
+ * XORs two byte arrays of equal length
+ * @param {Uint8Array} a - Bytes
+ * @param {Uint8Array} b - Bytes
+ * @returns {Uint8Array}
+ */
+const xorBytes = (a, b) => a.map((byte, i) => byte ^ b[i]);
+
+/**
+ * Concatenates byte arrays
+ * @param {...Uint8Array} parts - Byte arrays
+ * @returns {Uint8Array}
+ */
+const concatBytes = (...parts) => {
+  const result = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+  let offset = 0;
+  parts.forEach((part) => {
+	result.set(part, offset);
+	offset += part.length;
+  });
+  return result;
+};
+
+/**
+ * Computes HMAC-SHA256
+ * @param {Uint8Array} key - Key
+ * @param {Uint8Array} data - Message
+ * @returns {Promise<Uint8Array>}
+ */
+const hmacSha256 = async (key, data) => {
+  const cryptoKey = await crypto.subtle.importKey('raw', key, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  return new Uint8Array(await crypto.subtle.sign('HMAC', cryptoKey, data));
+};
+
+/**
+ * Evaluates at x the polynomial through the given points in GF(256)
+ * @param {Array<Object>} shares - Points as { x, value }
+ * @param {number} x - X coordinate to evaluate
+ * @returns {Uint8Array}
+ */
+const interpolate = (shares, x) => {
+  const match = shares.find(share => share.x === x);
+  if (match) {
+	return match.value;
+  }
+
+  const logProd = shares.reduce((sum, share) => sum + LOG_TABLE[share.x ^ x], 0);
+  const result = new Uint8Array(shares[0].value.length);
+  shares.forEach((share) => {
+	const logBasis = (
+	  logProd
+	  - LOG_TABLE[share.x ^ x]
+	  - shares.reduce((sum, other) => (other.x === share.x ? sum : sum + LOG_TABLE[share.x ^ other.x]), 0)
+	) % 255;
+	share.value.forEach((byte, i) => {
+	  if (byte !== 0) {
+		result[i] ^= EXP_TABLE[(((LOG_TABLE[byte] + logBasis) % 255) + 255) % 255];
+	  }
+	});
+  });
+  return result;
+};
+
+/**
+ * Splits a secret into shares, any threshold of which recover it
+ * @param {number} threshold - Shares needed to recover
+ * @param {number} shareCount - Shares to create
+ * @param {Uint8Array} secret - Secret
+ * @returns {Promise<Array<Object>>} - Shares as { x, value }
+ */
+const splitSecret = async (threshold, shareCount, secret) => {
+  if (threshold === 1) {
+	return Array.from({ length: shareCount }, (_, x) => ({ x, value: secret }));
+  }
+
+  const shares = Array.from({ length: threshold - 2 }, (_, x) => ({
+	x,
+	value: crypto.getRandomValues(new Uint8Array(secret.length))
+  }));
+  const randomPart = crypto.getRandomValues(new Uint8Array(secret.length - DIGEST_LENGTH));
+  const digest = (await hmacSha256(randomPart, secret)).slice(0, DIGEST_LENGTH);
+  const baseShares = [
+	...shares,
+	{ x: DIGEST_INDEX, value: concatBytes(digest, randomPart) },
+	{ x: SECRET_INDEX, value: secret }
+  ];
+
+  for (let x = threshold - 2; x < shareCount; x++) {
+	shares.push({ x, value: interpolate(baseShares, x) });
+  }
+  return shares;
+};
+
+/**
+ * Recovers a secret from threshold shares and checks its digest
+ * @param {number} threshold - Shares needed to recover
+ * @param {Array<Object>} shares - Shares as { x, value }
+ * @returns {Promise<Uint8Array>}
+ */
+const recoverSecret = async (threshold, shares) => {
+  if (threshold === 1) {
+	return shares[0].value;
+  }
+
+  const secret = interpolate(shares, SECRET_INDEX);
+  const digestShare = interpolate(shares, DIGEST_INDEX);
+  const digest = await hmacSha256(digestShare.slice(DIGEST_LENGTH), secret);
+  if (digest.slice(0, DIGEST_LENGTH).some((byte, i) => byte !== digestShare[i])) {
+	throw new Error('Shares do not belong together');
+  }
+  return secret;
+};
+
+/**
+ * Encrypts or decrypts the master secret with the four-round Feistel cipher
+ * @param {Uint8Array} secret - Master secret or encrypted master secret
+ * @param {string} passphrase - Printable ASCII passphrase
+ * @param {Object} params - Share set parameters { identifier, extendable, iterationExponent }
+ * @param {boolean} encrypt - Whether to encrypt (true) or decrypt (false)
+ * @returns {Promise<Uint8Array>}
+ */
+const feistel = async (secret, passphrase, { identifier, extendable, iterationExponent }, encrypt) => {
+  const half = secret.length / 2;
+  const salt = extendable
+	? new Uint8Array(0)
+	: concatBytes(new TextEncoder().encode(CUSTOMIZATION_STRING), intToBytes(BigInt(identifier), 2));
+  const iterations = (BASE_ITERATION_COUNT << iterationExponent) / ROUND_COUNT;
+  const rounds = encrypt ? [0, 1, 2, 3] : [3, 2, 1, 0];
+
+  let left = secret.slice(0, half);
+  let right = secret.slice(half);
+  for (const round of rounds) {
+	const keyMaterial = await crypto.subtle.importKey(
+	  'raw',
+	  concatBytes(new Uint8Array([round]), new TextEncoder().encode(passphrase)),
+	  { name: 'PBKDF2' },
+	  false,
+	  ['deriveBits']
+	);
+	const bits = await crypto.subtle.deriveBits(
+	  { name: 'PBKDF2', salt: concatBytes(salt, right), iterations, hash: 'SHA-256' },
+	  keyMaterial,
+	  half * 8
+	);
+	[left, right] = [right, xorBytes(left, new Uint8Array(bits))];
+  }
+  return concatBytes(right, left);
+};
+
+/**
+ * Encodes a share as a mnemonic
+ * @param {Object} share - Share fields
+ * @returns {string}
+ */
+const encodeShare = (share) => {
+  const idExp = (BigInt(share.identifier) << 5n)
+	| (BigInt(share.extendable ? 1 : 0) << 4n)
+	| BigInt(share.iterationExponent);
+  const params = (BigInt(share.groupIndex) << 16n)
+	| (BigInt(share.groupThreshold - 1) << 12n)
+	| (BigInt(share.groupCount - 1) << 8n)
+	| (BigInt(share.memberIndex) << 4n)
+	| BigInt(share.memberThreshold - 1);
+  const valueWordCount = Math.ceil((share.value.length * 8) / RADIX_BITS);
+
+  const data = [
+	...intToWords(idExp, ID_EXP_WORDS),
+	...intToWords(params, SHARE_PARAMS_WORDS),
+	...intToWords(bytesToInt(share.value), valueWordCount)
+  ];
+  return [...data, ...createChecksum(data, share.extendable)].map(index => WORDLIST[index]).join(' ');
+};
+
+/**
+ * Decodes and validates a share mnemonic
+ * @param {string} mnemonic - Share mnemonic
+ * @returns {Object} - Share fields
+ */
+const decodeShare = (mnemonic) => {
+  const words = mnemonic.trim().toLowerCase().split(/\s+/);
+  if (words.length < MIN_MNEMONIC_WORDS) {
+	throw new Error(`A share must have at least ${MIN_MNEMONIC_WORDS} words`);
+  }
+
+  const indices = words.map((word) => {
+	if (!WORD_INDEX.has(word)) {
+	  throw new Error(`Invalid share word: ${word}`);
+	}
+	return WORD_INDEX.get(word);
+  });
+
+  const valueWordCount = indices.length - ID_EXP_WORDS - SHARE_PARAMS_WORDS - CHECKSUM_WORDS;
+  const paddingBits = (RADIX_BITS * valueWordCount) % 16;
+  if (paddingBits > 8) {
+	throw new Error('Invalid share length');
+  }
+
+  const idExp = Number(wordsToInt(indices.slice(0, ID_EXP_WORDS)));
+  const extendable = Boolean((idExp >> 4) & 1);
+  if (rs1024Polymod([...customizationValues(extendable), ...indices]) !== 1) {
+	throw new Error('Invalid share checksum');
+  }
+
+  const params = Number(wordsToInt(indices.slice(ID_EXP_WORDS, ID_EXP_WORDS + SHARE_PARAMS_WORDS)));
+  const share = {
+	identifier: idExp >> 5,
+	extendable,
+	iterationExponent: idExp & 0xf,
+	groupIndex: params >> 16,
+	groupThreshold: ((params >> 12) & 0xf) + 1,
+	groupCount: ((params >> 8) & 0xf) + 1,
+	memberIndex: (params >> 4) & 0xf,
+	memberThreshold: (params & 0xf) + 1
+  };
+  if (share.groupThreshold > share.groupCount) {
+	throw new Error('Invalid share group threshold');
+  }
+
+  const valueBits = RADIX_BITS * valueWordCount - paddingBits;
+  const value = wordsToInt(indices.slice(ID_EXP_WORDS + SHARE_PARAMS_WORDS, -CHECKSUM_WORDS));
+  if (value >> BigInt(valueBits) !== 0n) {
+	throw new Error('Invalid share padding');
+  }
+  share.value = intToBytes(value, valueBits / 8);
+
+  return share;
+};
+
+/**
+ * Checks that a passphrase only uses printable ASCII, as SLIP-0039 requires
+ * @param {string} passphrase - Passphrase
+ */
+const checkPassphrase = (passphrase) => {
+  if (!/^[\x20-\x7e]*$/.test(passphrase)) {
+	throw new Error('Passphrase must only contain printable ASCII characters');
+  }
+};
+
+/**
+ * Splits a secret into a single group of threshold-of-shareCount share mnemonics
+ * @param {Uint8Array} secret - Master secret (16 to 32 bytes, even length)
+ * @param {number} threshold - Shares needed to recover the secret
+ * @param {number} shareCount - Shares to create
+ * @param {Object} options - Options
+ * @param {string} options.passphrase - Passphrase encrypting the secret
+ * @param {number} options.iterationExponent - PBKDF2 cost exponent
+ * @returns {Promise<Array<string>>} - Share mnemonics
+ */
+const generateShares = async (secret, threshold, shareCount, { passphrase = '', iterationExponent = 1 } = {}) => {
+  if (secret.length < MIN_SECRET_BYTES || secret.length % 2 !== 0) {
+	throw new Error(`Secret must be an even number of bytes, at least ${MIN_SECRET_BYTES}`);
+  }
+  if (!Number.isInteger(threshold) || !Number.isInteger(shareCount)
+	|| threshold < 1 || threshold > shareCount || shareCount > MAX_SHARE_COUNT) {
+	throw new Error(`Threshold must be between 1 and the share count (at most ${MAX_SHARE_COUNT})`);
+  }
+  if (threshold === 1 && shareCount > 1) {
+	// Every share would be the secret itself
+	throw new Error('A threshold of 1 only allows a single share');
+  }
+  checkPassphrase(passphrase);
+
+  const identifier = crypto.getRandomValues(new Uint16Array(1))[0] >> 1;
+  const setParams = { identifier, extendable: true, iterationExponent };
+  const encryptedSecret = await feistel(secret, passphrase, setParams, true);
+  const memberShares = await splitSecret(threshold, shareCount, encryptedSecret);
+
+  return memberShares.map(({ x, value }) => encodeShare({
+	...setParams,
+	groupIndex: 0,
+	groupThreshold: 1,
+	groupCount: 1,
+	memberIndex: x,
+	memberThreshold: threshold,
+	value
+  }));
+};
+
+/**
+ * Recovers the master secret from share mnemonics
+ * @param {Array<string>} mnemonics - Share mnemonics
+ * @param {string} passphrase - Passphrase the secret was encrypted with
+ * @returns {Promise<Uint8Array>} - Master secret
+ */
+const combineShares = async (mnemonics, passphrase = '') => {
+  if (!mnemonics || mnemonics.length === 0) {
+	throw new Error('No shares provided');
+  }
+  checkPassphrase(passphrase);
+
+  const shares = mnemonics.map(decodeShare);
+  const first = shares[0];
+  const sameSet = shares.every(share => (
+	share.identifier === first.identifier
+	&& share.extendable === first.extendable
+	&& share.iterationExponent === first.iterationExponent
+	&& share.groupThreshold === first.groupThreshold
+	&& share.groupCount === first.groupCount
+	&& share.value.length === first.value.length
+  ));
+  if (!sameSet) {
+	throw new Error('Shares do not belong together');
+  }
+
+  // Sort member shares into their groups
+  const groups = new Map();
+  shares.forEach((share) => {
+	const group = groups.get(share.groupIndex) || [];
+	if (group.length > 0 && group[0].memberThreshold !== share.memberThreshold) {
+	  throw new Error('Shares do not belong together');
+	}
+	if (group.some(member => member.memberIndex === share.memberIndex)) {
+	  throw new Error('The same share was entered twice');
+	}
+	groups.set(share.groupIndex, [...group, share]);
+  });
+
+  const completeGroups = [...groups.entries()]
+	.filter(([, members]) => members.length >= members[0].memberThreshold);
+  if (completeGroups.length < first.groupThreshold) {
+	throw new Error(first.groupCount === 1
+	  ? `${first.memberThreshold} shares are needed to recover the secret`
+	  : 'Not enough shares to recover the secret');
+  }
+
+  const groupShares = [];
+  for (const [groupIndex, members] of completeGroups.slice(0, first.groupThreshold)) {
+	const threshold = members[0].memberThreshold;
+	const points = members.slice(0, threshold).map(member => ({ x: member.memberIndex, value: member.value }));
+	groupShares.push({ x: groupIndex, value: await recoverSecret(threshold, points) });
+  }
+
+  const encryptedSecret = await recoverSecret(first.groupThreshold, groupShares);
+  return feistel(encryptedSecret, passphrase, first, false);
+};
+
+/**
+ * Checks whether a mnemonic is a well-formed share
+ * @param {string} mnemonic - Share mnemonic
+ * @returns {boolean}
+ */
+const isValidShare = (mnemonic) => {
+  try {
+	decodeShare(mnemonic);
+	return true;
+  } catch (error) {
+	return false;
+  }
+};
+
+export {
+  MAX_SHARE_COUNT,
+  generateShares,
+  combineShares,
+  isValidShare
+};
\ No newline at end of file
@@ -0,0 +1,75 @@
+// File: src/lib/slip39/index.test.js
+// Description: Tests for SLIP-0039 shares against the reference test vectors
+
+import { fromHex, toHex } from '@cosmjs/encoding';
+import { generateShares, combineShares, isValidShare } from '.';
+import vectors from './vectors.json';
+
+// Passphrase of every reference vector
+const PASSPHRASE = 'TREZOR';
+
+// Reference vectors of SLIP-0039 as [description, mnemonics, secret hex, xprv];
+// an empty secret marks shares that must be rejected
+const VALID = vectors.filter(([, , secret]) => secret !== '');
+const INVALID = vectors.filter(([, , secret]) => secret === '');
+
+describe('combineShares', () => {
+  it.each(VALID)('recovers %s', async (_, mnemonics, secret) => {
+	expect(toHex(await combineShares(mnemonics, PASSPHRASE))).toBe(secret);
+  });
+
+  it.each(INVALID)('rejects %s', async (_, mnemonics) => {
+	await expect(combineShares(mnemonics, PASSPHRASE)).rejects.toThrow();
+  });
+
+  it('recovers another secret with another passphrase', async () => {
+	// SLIP-0039 has no passphrase check: any passphrase gives a valid secret
+	const [, mnemonics, secret] = VALID[0];
+	const recovered = toHex(await combineShares(mnemonics, ''));
+	expect(recovered).not.toBe(secret);
+	expect(recovered).toHaveLength(secret.length);
+  });
+
+  it('rejects passphrases outside printable ASCII', async () => {
+	const [, mnemonics] = VALID[0];
+	await expect(combineShares(mnemonics, 'TREZORé')).rejects.toThrow();
+  });
+});
+
+describe('isValidShare', () => {
+  it('accepts the shares of the valid vectors', () => {
+	VALID.forEach(([, mnemonics]) => mnemonics.forEach(mnemonic => expect(isValidShare(mnemonic)).toBe(true)));
+  });
+
+  it.each(INVALID.filter(([description]) => /checksum|padding|length/.test(description)))(
+	'rejects the share of %s',
+	(_, [mnemonic]) => {
+	  expect(isValidShare(mnemonic)).toBe(false);
+	}
+  );
+});
+
+describe('generateShares', () => {
+  const SECRET = fromHex('bb54aac4b89dc868ba37d9cc21b2cece');
+
+  it('splits a secret that any threshold of shares recovers', async () => {
+	const shares = await generateShares(SECRET, 3, 5, { passphrase: PASSPHRASE });
+	expect(shares).toHaveLength(5);
+	shares.forEach(share => expect(isValidShare(share)).toBe(true));
+
+	expect(await combineShares([shares[4], shares[0], shares[2]], PASSPHRASE)).toEqual(SECRET);
+	expect(await combineShares(shares.slice(1, 4), PASSPHRASE)).toEqual(SECRET);
+	await expect(combineShares(shares.slice(0, 2), PASSPHRASE)).rejects.toThrow('3 shares are needed to recover the secret');
+  });
+
+  it('needs the passphrase to recover the secret', async () => {
+	const shares = await generateShares(SECRET, 2, 3, { passphrase: PASSPHRASE });
+	expect(await combineShares(shares.slice(0, 2), '')).not.toEqual(SECRET);
+  });
+
+  it('rejects invalid secrets and thresholds', async () => {
+	await expect(generateShares(SECRET.slice(0, 15), 2, 3)).rejects.toThrow('Secret must be an even number of bytes');
+	await expect(generateShares(SECRET, 4, 3)).rejects.toThrow('Threshold must be between 1 and the share count');
+	await expect(generateShares(SECRET, 1, 2)).rejects.toThrow('A threshold of 1 only allows a single share');
+  });
+});
\ No newline at end of file
@@ -1,63 +1,151 @@
 // File: src/lib/storage/index.js
 // Description: Secure storage module for wallet data
 
+import { scryptAsync } from '@noble/hashes/scrypt';
+import { SCHEMA_VERSION_KEY, INTEGRITY_TRUST_KEY } from '../migrations';
+
+// Backup file format
+const BACKUP_TYPE = 'creata-backup-v1';
+
+// Storage key of the vault envelope: the KDF, its parameters and the salt
+// the vault key is derived with. None of them is secret, so the envelope is
+// stored in plaintext next to the data.
+const VAULT_KEY = 'creata_vault';
+
+// Prefix of values encrypted with the vault key; older values have none
+const VAULT_PREFIX = 'vault:';
+
+// PBKDF2 iterations for backups and values written by older versions
+const PBKDF2_ITERATIONS = 100000;
+
+// KDF of new vaults. Vaults created with anything else are re-keyed with it
+// on the next unlock. scrypt with N = 2^15 and r = 8 needs 32 MiB.
+const VAULT_KDF = 'scrypt';
+const VAULT_KDF_PARAMS = { n: 32768, r: 8, p: 1 };
+
+// Storage key of the integrity tags: an HMAC of each wallet-owned key under
+// a MAC key derived from the vault key
+const INTEGRITY_KEY = 'creata_integrity';
+
+// HKDF info string of the integrity MAC key
+const INTEGRITY_INFO = 'creata-storage-integrity';
+
+// Prefix of every key the wallet owns
+const WALLET_KEY_PREFIX = 'creata_';
+
+// Wallet-owned keys without a tag. A tampered vault envelope derives another
+// key and fails to decrypt anything, and the schema version and the trust
+// marker are written by migrations, which run before the wallet is unlocked.
+const UNAUTHENTICATED_KEYS = [VAULT_KEY, INTEGRITY_KEY, SCHEMA_VERSION_KEY, INTEGRITY_TRUST_KEY];
+
+// Tagged writes read and rewrite the integrity record, so they run one at a
+// time
+let pendingWrite = Promise.resolve();
+
+// Vault key of the unlocked session as { salt, key, macKey }, or null while
+// locked. Secure values are read and written with it instead of the password.
+let unlockedVault = null;
+
+/**
+ * Converts bytes to base64
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string}
+ */
+const toBase64 = (bytes) => btoa(String.fromCharCode(...bytes));
+
+/**
+ * Converts base64 to bytes
+ * @param {string} base64 - Base64 string
+ * @returns {Uint8Array}
+ */
+const fromBase64 = (base64) => Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+
+/**
+ * Derives an AES-GCM key from a password with PBKDF2
+ * @param {string} password - Password
+ * @param {Uint8Array} salt - Salt
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<CryptoKey>}
+ */
+const deriveKey = async (password, salt, iterations = PBKDF2_ITERATIONS) => {
+  const keyMaterial = await crypto.subtle.importKey(
+	'raw',
+	new TextEncoder().encode(password),
+	{ name: 'PBKDF2' },
+	false,
+	['deriveKey']
+  );
+  
+  return crypto.subtle.deriveKey(
+	{
+	  name: 'PBKDF2',
+	  salt,
+	  iterations,
+	  hash: 'SHA-256'
+	},
+	keyMaterial,
+	{ name: 'AES-GCM', length: 256 },
+	false,
+	['encrypt', 'decrypt']
+  );
+};
+
 /**
- * Encrypts sensitive data before storing
+ * Encrypts data with an AES-GCM key
+ * @param {string} data - Data to encrypt
+ * @param {CryptoKey} key - Encryption key
+ * @returns {Promise<Uint8Array>} - IV followed by the ciphertext
+ */
+const encryptWithKey = async (data, key) => {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const encryptedBuffer = await crypto.subtle.encrypt(
+	{ name: 'AES-GCM', iv },
+	key,
+	new TextEncoder().encode(data)
+  );
+  
+  const encryptedArray = new Uint8Array(iv.length + encryptedBuffer.byteLength);
+  encryptedArray.set(iv, 0);
+  encryptedArray.set(new Uint8Array(encryptedBuffer), iv.length);
+  return encryptedArray;
+};
+
+/**
+ * Decrypts data encrypted by encryptWithKey
+ * @param {Uint8Array} encryptedArray - IV followed by the ciphertext
+ * @param {CryptoKey} key - Decryption key
+ * @returns {Promise<string>} - Decrypted data
+ */
+const decryptWithKey = async (encryptedArray, key) => {
+  const decryptedBuffer = await crypto.subtle.decrypt(
+	{ name: 'AES-GCM', iv: encryptedArray.slice(0, 12) },
+	key,
+	encryptedArray.slice(12)
+  );
+  return new TextDecoder().decode(decryptedBuffer);
+};
+
+/**
+ * Encrypts data with a key derived from the password and a fresh salt.
+ * Used for backups and by older versions for every secure value.
  * @param {string} data - Data to encrypt
  * @param {string} password - Encryption password
  * @returns {string} - Encrypted data
  */
 const encrypt = async (data, password) => {
   try {
-	// Convert string to array buffer
-	const textEncoder = new TextEncoder();
-	const dataBuffer = textEncoder.encode(data);
-	const passwordBuffer = textEncoder.encode(password);
-	
-	// Create a key from the password
-	const keyMaterial = await window.crypto.subtle.importKey(
-	  'raw',
-	  passwordBuffer,
-	  { name: 'PBKDF2' },
-	  false,
-	  ['deriveKey']
-	);
-	
-	// Generate a random salt
-	const salt = window.crypto.getRandomValues(new Uint8Array(16));
-	
-	// Derive an encryption key using PBKDF2
-	const key = await window.crypto.subtle.deriveKey(
-	  {
-		name: 'PBKDF2',
-		salt,
-		iterations: 100000,
-		hash: 'SHA-256'
-	  },
-	  keyMaterial,
-	  { name: 'AES-GCM', length: 256 },
-	  false,
-	  ['encrypt']
-	);
-	
-	// Generate a random IV
-	const iv = window.crypto.getRandomValues(new Uint8Array(12));
-	
-	// Encrypt the data
-	const encryptedBuffer = await window.crypto.subtle.encrypt(
-	  { name: 'AES-GCM', iv },
-	  key,
-	  dataBuffer
-	);
+	// Generate a random salt and derive the key from it
+	const salt = crypto.getRandomValues(new Uint8Array(16));
+	const key = await deriveKey(password, salt);
+	const encrypted = await encryptWithKey(data, key);
 	
 	// Combine the salt, IV, and encrypted data
-	const encryptedArray = new Uint8Array(salt.length + iv.length + encryptedBuffer.byteLength);
+	const encryptedArray = new Uint8Array(salt.length + encrypted.length);
 	encryptedArray.set(salt, 0);
-	encryptedArray.set(iv, salt.length);
-	encryptedArray.set(new Uint8Array(encryptedBuffer), salt.length + iv.length);
+	encryptedArray.set(encrypted, salt.length);
 	
 	// Convert to base64 string for storage
-	return btoa(String.fromCharCode(...encryptedArray));
+	return toBase64(encryptedArray);
   } catch (error) {
 	console.error('Encryption failed:', error);
 	throw new Error('Failed to encrypt data');
@@ -65,90 +153,501 @@ const encrypt = async (data, password) => {
 };
 
 /**
- * Decrypts encrypted data
+ * Decrypts data encrypted by encrypt
  * @param {string} encryptedData - Encrypted data in base64
  * @param {string} password - Decryption password
  * @returns {string} - Decrypted data
  */
 const decrypt = async (encryptedData, password) => {
   try {
-	// Convert base64 string to array buffer
-	const encryptedArray = Uint8Array.from(atob(encryptedData), c => c.charCodeAt(0));
-	
-	// Extract salt, IV, and encrypted data
-	const salt = encryptedArray.slice(0, 16);
-	const iv = encryptedArray.slice(16, 28);
-	const encryptedBuffer = encryptedArray.slice(28);
-	
-	// Convert password to key material
-	const textEncoder = new TextEncoder();
-	const passwordBuffer = textEncoder.encode(password);
-	const keyMaterial = await window.crypto.subtle.importKey(
-	  'raw',
-	  passwordBuffer,
-	  { name: 'PBKDF2' },
-	  false,
-	  ['deriveKey']
-	);
-	
-	// Derive the key using the same parameters as during encryption
-	const key = await window.crypto.subtle.deriveKey(
-	  {
-		name: 'PBKDF2',
-		salt,
-		iterations: 100000,
-		hash: 'SHA-256'
-	  },
+	// The salt comes first, then the IV and the encrypted data
+	const encryptedArray = fromBase64(encryptedData);
+	const key = await deriveKey(password, encryptedArray.slice(0, 16));
+	return await decryptWithKey(encryptedArray.slice(16), key);
+  } catch (error) {
+	console.error('Decryption failed:', error);
+	throw new Error('Failed to decrypt data. Incorrect password or corrupted data.');
+  }
+};
+
+/**
+ * Creates a vault envelope with the current KDF and a fresh salt
+ * @returns {Object} - Envelope as { kdf, kdfParams, salt }
+ */
+const createVault = () => ({
+  kdf: VAULT_KDF,
+  kdfParams: { ...VAULT_KDF_PARAMS },
+  salt: toBase64(crypto.getRandomValues(new Uint8Array(16)))
+});
+
+/**
+ * Checks whether a vault uses the current KDF and parameters
+ * @param {Object} vault - Vault envelope
+ * @returns {boolean}
+ */
+const hasCurrentKdf = (vault) => (
+  vault.kdf === VAULT_KDF
+  && Object.keys(VAULT_KDF_PARAMS).every(name => vault.kdfParams[name] === VAULT_KDF_PARAMS[name])
+);
+
+/**
+ * Derives the raw vault key from the password with the vault's KDF
+ * @param {string} password - Wallet password
+ * @param {Object} vault - Vault envelope
+ * @returns {Promise<Uint8Array>} - 32-byte key
+ */
+const deriveVaultKeyBytes = async (password, vault) => {
+  const salt = fromBase64(vault.salt);
+  const passwordBytes = new TextEncoder().encode(password);
+  
+  if (vault.kdf === 'scrypt') {
+	const { n, r, p } = vault.kdfParams;
+	return scryptAsync(passwordBytes, salt, { N: n, r, p, dkLen: 32 });
+  }
+  if (vault.kdf === 'pbkdf2') {
+	const keyMaterial = await crypto.subtle.importKey('raw', passwordBytes, { name: 'PBKDF2' }, false, ['deriveBits']);
+	const bits = await crypto.subtle.deriveBits(
+	  { name: 'PBKDF2', salt, iterations: vault.kdfParams.iterations, hash: 'SHA-256' },
 	  keyMaterial,
-	  { name: 'AES-GCM', length: 256 },
-	  false,
-	  ['decrypt']
+	  256
 	);
-	
-	// Decrypt the data
-	const decryptedBuffer = await window.crypto.subtle.decrypt(
-	  { name: 'AES-GCM', iv },
-	  key,
-	  encryptedBuffer
-	);
-	
-	// Convert the decrypted data to string
-	const textDecoder = new TextDecoder();
-	return textDecoder.decode(decryptedBuffer);
+	return new Uint8Array(bits);
+  }
+  throw new Error(`Unsupported key derivation function: ${vault.kdf}`);
+};
+
+/**
+ * Imports a raw vault key: the AES-GCM key for secure values and the HMAC
+ * key for integrity tags, which is derived from it with HKDF
+ * @param {Uint8Array} keyBytes - 32-byte key
+ * @param {string} salt - Salt of the vault the key belongs to
+ * @returns {Promise<Object>} - Vault key as { salt, key, macKey }
+ */
+const importVaultKey = async (keyBytes, salt) => {
+  const key = await crypto.subtle.importKey('raw', keyBytes, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+  const hkdfKey = await crypto.subtle.importKey('raw', keyBytes, { name: 'HKDF' }, false, ['deriveKey']);
+  const macKey = await crypto.subtle.deriveKey(
+	{ name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info: new TextEncoder().encode(INTEGRITY_INFO) },
+	hkdfKey,
+	{ name: 'HMAC', hash: 'SHA-256', length: 256 },
+	false,
+	['sign', 'verify']
+  );
+  return { salt, key, macKey };
+};
+
+/**
+ * Derives the vault key from the password
+ * @param {string} password - Wallet password
+ * @param {Object} vault - Vault envelope
+ * @returns {Promise<Object>} - Vault key as { salt, key, macKey }
+ */
+const deriveVaultKeys = async (password, vault) => {
+  const keyBytes = await deriveVaultKeyBytes(password, vault);
+  try {
+	return await importVaultKey(keyBytes, vault.salt);
+  } finally {
+	keyBytes.fill(0);
+  }
+};
+
+/**
+ * Reads the vault envelope
+ * @param {boolean} create - Whether to create the vault when there is none
+ * @returns {Promise<Object|null>}
+ */
+const getVault = async (create = false) => {
+  const data = await getRawData([VAULT_KEY]);
+  if (data[VAULT_KEY]) {
+	return data[VAULT_KEY];
+  }
+  if (!create) {
+	return null;
+  }
+  
+  const vault = createVault();
+  await setRawData({ [VAULT_KEY]: vault });
+  return vault;
+};
+
+/**
+ * Gets the key of the vault. A password is run through the KDF on every
+ * call; a vault key from openVault or the unlocked session is used as is.
+ * @param {string|Object} password - Wallet password or vault key
+ * @param {boolean} create - Whether to create the vault when there is none
+ * @returns {Promise<Object|null>} - Vault key as { salt, key, macKey }, or
+ *   null when there is no vault
+ */
+const getVaultKey = async (password, create = false) => {
+  const vault = await getVault(create);
+  if (!vault) {
+	return null;
+  }
+  
+  if (typeof password !== 'string') {
+	if (password.salt !== vault.salt) {
+	  // The vault was re-keyed, e.g. by a password change
+	  throw new Error('Vault key is out of date');
+	}
+	return password;
+  }
+  return deriveVaultKeys(password, vault);
+};
+
+/**
+ * Encrypts a secure value with the vault key
+ * @param {string} data - Data to encrypt
+ * @param {string|Object} password - Wallet password or vault key
+ * @returns {Promise<string>} - Encrypted value
+ */
+const encryptSecure = async (data, password) => {
+  try {
+	const { key } = await getVaultKey(password, true);
+	return VAULT_PREFIX + toBase64(await encryptWithKey(data, key));
+  } catch (error) {
+	console.error('Encryption failed:', error);
+	throw new Error('Failed to encrypt data');
+  }
+};
+
+/**
+ * Decrypts a secure value, written either with the vault key or by an older
+ * version with its own salt
+ * @param {string} value - Encrypted value
+ * @param {string|Object} password - Wallet password or vault key; values of
+ *   older versions need the password
+ * @returns {Promise<string>} - Decrypted data
+ */
+const decryptSecure = async (value, password) => {
+  if (!value.startsWith(VAULT_PREFIX)) {
+	if (typeof password !== 'string') {
+	  throw new Error('The wallet password is needed to upgrade data of an older version');
+	}
+	return decrypt(value, password);
+  }
+  
+  try {
+	const vaultKey = await getVaultKey(password);
+	if (!vaultKey) {
+	  throw new Error('Vault parameters are missing');
+	}
+	return await decryptWithKey(fromBase64(value.slice(VAULT_PREFIX.length)), vaultKey.key);
   } catch (error) {
 	console.error('Decryption failed:', error);
 	throw new Error('Failed to decrypt data. Incorrect password or corrupted data.');
   }
 };
 
+/**
+ * Writes values encrypted under a new vault, together with its envelope, in
+ * a single call. If the written data cannot be read back, the previous
+ * values are restored.
+ * @param {Object} values - Plaintext values by storage key
+ * @param {Object} vault - New vault envelope
+ * @param {CryptoKey} key - Key of the new vault
+ * @returns {Promise<void>}
+ */
+const replaceVault = async (values, vault, key) => {
+  const keys = Object.keys(values);
+  const original = await getRawData([...keys, VAULT_KEY]);
+  
+  const items = { [VAULT_KEY]: vault };
+  for (const name of keys) {
+	items[name] = VAULT_PREFIX + toBase64(await encryptWithKey(values[name], key));
+  }
+  
+  try {
+	await setRawData(items);
+	
+	// Verify the new values before dropping the old ones
+	const written = await getRawData(keys);
+	for (const name of keys) {
+	  await decryptWithKey(fromBase64(written[name].slice(VAULT_PREFIX.length)), key);
+	}
+  } catch (error) {
+	console.error('Re-encryption failed, restoring previous data:', error);
+	const previous = {};
+	[...keys, VAULT_KEY].forEach(name => {
+	  if (original[name] !== undefined) {
+		previous[name] = original[name];
+	  }
+	});
+	await setRawData(previous);
+	if (original[VAULT_KEY] === undefined) {
+	  await removeData(VAULT_KEY);
+	}
+	throw new Error('Failed to re-encrypt data');
+  }
+};
+
+/**
+ * Checks whether a storage key is covered by the integrity tags
+ * @param {string} name - Storage key
+ * @returns {boolean}
+ */
+const isAuthenticatedKey = (name) => (
+  name.startsWith(WALLET_KEY_PREFIX) && !UNAUTHENTICATED_KEYS.includes(name)
+);
+
+/**
+ * Encodes a stored value for its integrity tag. The key name is included so
+ * values cannot be swapped between keys.
+ * @param {string} name - Storage key
+ * @param {any} value - Stored value
+ * @returns {Uint8Array}
+ */
+const encodeTagged = (name, value) => new TextEncoder().encode(JSON.stringify([name, value]));
+
+/**
+ * Computes the integrity tag of a stored value
+ * @param {CryptoKey} macKey - Integrity MAC key
+ * @param {string} name - Storage key
+ * @param {any} value - Stored value
+ * @returns {Promise<string>} - Base64 tag
+ */
+const signTagged = async (macKey, name, value) => (
+  toBase64(new Uint8Array(await crypto.subtle.sign('HMAC', macKey, encodeTagged(name, value))))
+);
+
+/**
+ * Tags every wallet-owned key with the given MAC key
+ * @param {CryptoKey} macKey - Integrity MAC key
+ * @param {Array<string>} skipKeys - Keys left untagged, e.g. ones already
+ *   found tampered
+ * @returns {Promise<void>}
+ */
+const sealWith = async (macKey, skipKeys = []) => {
+  const items = await getRawData(null);
+  const tags = {};
+  for (const name of Object.keys(items).filter(isAuthenticatedKey)) {
+	if (!skipKeys.includes(name)) {
+	  tags[name] = await signTagged(macKey, name, items[name]);
+	}
+  }
+  await setRawData({ [INTEGRITY_KEY]: { tags } });
+};
+
+/**
+ * Checks whether data written before integrity tags existed is to be
+ * trusted at this unlock; see the schema 4 migration
+ * @param {Object} items - Raw values by key
+ * @returns {boolean}
+ */
+const isIntegrityTrusted = (items) => items[INTEGRITY_TRUST_KEY] === true;
+
+/**
+ * Lists wallet-owned keys that were changed, added or removed without a
+ * matching integrity tag. Without an integrity record every key counts as
+ * tampered, so deleting the record does not turn the check off; only data
+ * trusted once by the schema 4 migration is accepted untagged.
+ * @param {CryptoKey} macKey - Integrity MAC key
+ * @returns {Promise<Array<string>>} - Tampered keys
+ */
+const findTamperedKeys = async (macKey) => {
+  const items = await getRawData(null);
+  if (isIntegrityTrusted(items)) {
+	return [];
+  }
+  
+  const record = items[INTEGRITY_KEY] || { tags: {} };
+  const names = new Set([...Object.keys(record.tags), ...Object.keys(items).filter(isAuthenticatedKey)]);
+  const tampered = [];
+  for (const name of names) {
+	const tag = record.tags[name];
+	const intact = tag !== undefined
+	  && items[name] !== undefined
+	  && await crypto.subtle.verify('HMAC', macKey, fromBase64(tag), encodeTagged(name, items[name]));
+	if (!intact) {
+	  tampered.push(name);
+	}
+  }
+  return tampered.sort();
+};
+
+/**
+ * Checks that a vault key opens the stored data. A wrong password derives
+ * a key that decrypts nothing, and its MAC key must never seal the data.
+ * @param {CryptoKey} key - AES-GCM key of the vault
+ * @returns {Promise<void>}
+ */
+const verifyVaultKey = async (key) => {
+  const items = await getRawData(null);
+  const value = Object.values(items).find(item => typeof item === 'string' && item.startsWith(VAULT_PREFIX));
+  if (!value) {
+	throw new Error('No vault found in storage');
+  }
+  
+  try {
+	await decryptWithKey(fromBase64(value.slice(VAULT_PREFIX.length)), key);
+  } catch (error) {
+	throw new Error('Incorrect password');
+  }
+};
+
+/**
+ * Derives the vault key once and keeps it until lockVault; the keyring then
+ * reads and writes secure values with getUnlockedVault() instead of the
+ * password. Checks the password against the stored data and the integrity
+ * tags first; when nothing was tampered with, a vault created with an
+ * older KDF is re-keyed with the current one and the data is sealed again.
+ * Data of 0.1.0 has no vault yet and must be converted with the password
+ * before.
+ * @param {string} password - Wallet password
+ * @returns {Promise<Object>} - { tamperedKeys, sessionKey }: keys changed
+ *   outside the wallet, and the raw vault key for resumeVault
+ */
+const unlockVault = async (password) => {
+  let vault = await getVault();
+  if (!vault) {
+	throw new Error('No vault found in storage');
+  }
+  
+  let keyBytes = await deriveVaultKeyBytes(password, vault);
+  try {
+	let vaultKey = await importVaultKey(keyBytes, vault.salt);
+	await verifyVaultKey(vaultKey.key);
+	
+	const tamperedKeys = await findTamperedKeys(vaultKey.macKey);
+	if (tamperedKeys.length === 0) {
+	  if (!hasCurrentKdf(vault)) {
+		const items = await getRawData(null);
+		const values = {};
+		for (const [name, value] of Object.entries(items)) {
+		  if (typeof value === 'string' && value.startsWith(VAULT_PREFIX)) {
+			values[name] = await decryptWithKey(fromBase64(value.slice(VAULT_PREFIX.length)), vaultKey.key);
+		  }
+		}
+		
+		vault = createVault();
+		keyBytes.fill(0);
+		keyBytes = await deriveVaultKeyBytes(password, vault);
+		vaultKey = await importVaultKey(keyBytes, vault.salt);
+		await replaceVault(values, vault, vaultKey.key);
+	  }
+	  await sealWith(vaultKey.macKey);
+	  await removeData(INTEGRITY_TRUST_KEY);
+	}
+	
+	unlockedVault = vaultKey;
+	return { tamperedKeys, sessionKey: { salt: vault.salt, key: toBase64(keyBytes) } };
+  } finally {
+	keyBytes.fill(0);
+  }
+};
+
+/**
+ * Restores the unlocked vault from the session key returned by unlockVault,
+ * e.g. after the service worker restarted. Nothing is sealed: changes made
+ * outside the wallet meanwhile are reported instead.
+ * @param {Object} sessionKey - Session key as { salt, key }
+ * @returns {Promise<Array<string>|null>} - Keys changed outside the wallet,
+ *   or null when the vault was re-keyed since
+ */
+const resumeVault = async (sessionKey) => {
+  const vault = await getVault();
+  if (!vault || vault.salt !== sessionKey.salt) {
+	return null;
+  }
+  
+  const keyBytes = fromBase64(sessionKey.key);
+  try {
+	const vaultKey = await importVaultKey(keyBytes, vault.salt);
+	const tamperedKeys = await findTamperedKeys(vaultKey.macKey);
+	unlockedVault = vaultKey;
+	return tamperedKeys;
+  } finally {
+	keyBytes.fill(0);
+  }
+};
+
+/**
+ * Gets the vault key of the unlocked session
+ * @returns {Object|null} - Vault key, or null while locked
+ */
+const getUnlockedVault = () => unlockedVault;
+
+/**
+ * Derives the vault key for a password typed to confirm a sensitive action,
+ * so the action reads every secure value with a single KDF run. The key is
+ * checked against the stored data, so a wrong password fails here before
+ * the action starts.
+ * @param {string} password - Wallet password
+ * @returns {Promise<Object>} - Vault key
+ */
+const openVault = async (password) => {
+  const vault = await getVault();
+  if (!vault) {
+	throw new Error('No vault found in storage');
+  }
+  const vaultKey = await deriveVaultKeys(password, vault);
+  await verifyVaultKey(vaultKey.key);
+  return vaultKey;
+};
+
+/**
+ * Forgets the vault key derived at unlock
+ */
+const lockVault = () => {
+  unlockedVault = null;
+};
+
+/**
+ * Tags all current data with the unlocked vault's MAC key, e.g. after the
+ * user chose to keep changes made outside the wallet. Does nothing while
+ * locked or once the vault was replaced, e.g. by a password change, which
+ * seals the data itself.
+ * @returns {Promise<void>}
+ */
+const sealStorage = async () => {
+  if (!unlockedVault) {
+	return;
+  }
+  const vault = await getVault();
+  if (vault && vault.salt === unlockedVault.salt) {
+	await sealWith(unlockedVault.macKey);
+  }
+};
+
+/**
+ * Removes tampered keys so their defaults apply again. Encrypted values are
+ * kept: they cannot be forged without the password, and removing them
+ * would delete wallets.
+ * @param {Array<string>} names - Tampered keys
+ * @returns {Promise<Array<string>>} - Keys that were kept
+ */
+const discardTamperedData = async (names) => {
+  const items = await getRawData(names);
+  const kept = names.filter(name => typeof items[name] === 'string' && items[name].startsWith(VAULT_PREFIX));
+  const removed = names.filter(name => !kept.includes(name));
+  if (removed.length > 0) {
+	await removeData(removed);
+  }
+  return kept;
+};
+
 /**
  * Saves data to Chrome storage
  * @param {string} key - Storage key
  * @param {any} value - Data to store
  * @param {boolean} secure - Whether to encrypt the data
- * @param {string} password - Encryption password (required if secure=true)
+ * @param {string|Object} password - Wallet password or vault key (required if secure=true)
  * @returns {Promise<void>}
  */
 const saveData = async (key, value, secure = false, password = null) => {
   try {
 	let dataToStore = JSON.stringify(value);
+	let vaultKey = null;
 	
 	if (secure) {
 	  if (!password) {
 		throw new Error('Password is required for secure storage');
 	  }
-	  dataToStore = await encrypt(dataToStore, password);
+	  // Derived once for both the encryption and the integrity tag
+	  vaultKey = await getVaultKey(password, true);
+	  dataToStore = await encryptSecure(dataToStore, vaultKey);
 	}
 	
-	return new Promise((resolve, reject) => {
-	  chrome.storage.local.set({ [key]: dataToStore }, () => {
-		if (chrome.runtime.lastError) {
-		  reject(chrome.runtime.lastError);
-		} else {
-		  resolve();
-		}
-	  });
-	});
+	await setRawData({ [key]: dataToStore }, vaultKey);
   } catch (error) {
 	console.error('Save data failed:', error);
 	throw error;
@@ -159,7 +658,7 @@ const saveData = async (key, value, secure = false, password = null) => {
  * Retrieves data from Chrome storage
  * @param {string} key - Storage key
  * @param {boolean} secure - Whether the data is encrypted
- * @param {string} password - Decryption password (required if secure=true)
+ * @param {string|Object} password - Wallet password or vault key (required if secure=true)
  * @returns {Promise<any>} - Retrieved data
  */
 const getData = async (key, secure = false, password = null) => {
@@ -184,7 +683,14 @@ const getData = async (key, secure = false, password = null) => {
 		  }
 		  
 		  try {
-			const decryptedData = await decrypt(data, password);
+			const decryptedData = await decryptSecure(data, password);
+			
+			// Move values written by older versions to the vault key
+			if (!data.startsWith(VAULT_PREFIX)) {
+			  const vaultKey = await getVaultKey(password, true);
+			  await setRawData({ [key]: await encryptSecure(decryptedData, vaultKey) }, vaultKey);
+			}
+			
 			resolve(JSON.parse(decryptedData));
 		  } catch (error) {
 			reject(error);
@@ -201,13 +707,93 @@ const getData = async (key, secure = false, password = null) => {
 };
 
 /**
- * Removes data from Chrome storage
+ * Checks whether a key is present in Chrome storage, without decrypting it
  * @param {string} key - Storage key
+ * @returns {Promise<boolean>}
+ */
+const hasData = async (key) => {
+  return new Promise((resolve, reject) => {
+	chrome.storage.local.get([key], (result) => {
+	  if (chrome.runtime.lastError) {
+		reject(chrome.runtime.lastError);
+	  } else {
+		resolve(result[key] !== undefined);
+	  }
+	});
+  });
+};
+
+/**
+ * Reads raw stored values
+ * @param {Array<string>} keys - Storage keys
+ * @returns {Promise<Object>} - Stored values by key
+ */
+const getRawData = async (keys) => {
+  return new Promise((resolve, reject) => {
+	chrome.storage.local.get(keys, (result) => {
+	  if (chrome.runtime.lastError) {
+		reject(chrome.runtime.lastError);
+	  } else {
+		resolve(result);
+	  }
+	});
+  });
+};
+
+/**
+ * Runs a write after the ones already queued
+ * @param {Function} write - Write to run
+ * @returns {Promise<any>} - Result of the write
+ */
+const queueWrite = (write) => {
+  const result = pendingWrite.then(write);
+  pendingWrite = result.catch(() => {});
+  return result;
+};
+
+/**
+ * Gets the MAC key for tagging a write: that of the given vault key, else
+ * that of the unlocked session, as long as it belongs to the current vault
+ * @param {Object} vaultKey - Vault key the data was written with (optional)
+ * @returns {Promise<CryptoKey|null>} - MAC key, or null when none applies
+ */
+const getWriteMacKey = async (vaultKey) => {
+  const current = vaultKey || unlockedVault;
+  if (!current) {
+	return null;
+  }
+  const vault = await getVault();
+  return vault && vault.salt === current.salt ? current.macKey : null;
+};
+
+/**
+ * Writes raw values in a single storage call. Wallet-owned keys get their
+ * integrity tags in the same call; the tags of other keys are kept. Values
+ * written while locked get no tag and show up as tampered at the next
+ * unlock. Writes that replace the vault or the tags are sealed by their
+ * caller.
+ * @param {Object} items - Values by key
+ * @param {Object} vaultKey - Vault key to tag with (defaults to the unlocked session's)
  * @returns {Promise<void>}
  */
-const removeData = async (key) => {
+const setRawData = async (items, vaultKey = null) => queueWrite(async () => {
+  const names = Object.keys(items).filter(isAuthenticatedKey);
+  const macKey = items[VAULT_KEY] === undefined && items[INTEGRITY_KEY] === undefined && names.length > 0
+	? await getWriteMacKey(vaultKey)
+	: null;
+  
+  let toStore = items;
+  if (macKey) {
+	const { [INTEGRITY_KEY]: record } = await getRawData([INTEGRITY_KEY]);
+	const tags = { ...(record ? record.tags : {}) };
+	for (const name of names) {
+	  tags[name] = await signTagged(macKey, name, items[name]);
+	}
+	toStore = { ...items, [INTEGRITY_KEY]: { tags } };
+  }
+  
   return new Promise((resolve, reject) => {
-	chrome.storage.local.remove(key, () => {
+	chrome.storage.local.set(toStore, () => {
 	  if (chrome.runtime.lastError) {
 		reject(chrome.runtime.lastError);
 	  } else {
@@ -215,8 +801,124 @@ const removeData = async (key) => {
 	  }
 	});
   });
+});
+
+/**
+ * Re-encrypts secure keys with a new password under a fresh vault. Every
+ * value is decrypted and re-encrypted in memory first and all of them are
+ * written in one call together with the envelope; if the written data
+ * cannot be read back with the new password, the previous values are
+ * restored.
+ * @param {Array<string>} keys - Secure storage keys (missing keys are skipped)
+ * @param {string|Object} oldPassword - Current password or vault key
+ * @param {string} newPassword - New password
+ * @returns {Promise<void>}
+ */
+const reencryptData = async (keys, oldPassword, newPassword) => {
+  if (!oldPassword || !newPassword) {
+	throw new Error('Both passwords are required to re-encrypt data');
+  }
+  
+  const original = await getRawData(keys);
+  const presentKeys = keys.filter(key => original[key] !== undefined);
+  
+  // Nothing is written unless every key decrypts with the old password
+  const values = {};
+  for (const key of presentKeys) {
+	values[key] = await decryptSecure(original[key], oldPassword);
+  }
+  
+  // Keys changed outside the wallet stay untagged under the new key too
+  const oldKey = await getVaultKey(oldPassword);
+  const tampered = oldKey ? await findTamperedKeys(oldKey.macKey) : [];
+  
+  const vault = createVault();
+  const { key, macKey } = await deriveVaultKeys(newPassword, vault);
+  await replaceVault(values, vault, key);
+  await sealWith(macKey, tampered);
+};
+
+/**
+ * Creates an encrypted backup of everything in Chrome storage. Secure keys
+ * stay encrypted with their own password inside the backup.
+ * @param {string} password - Backup password
+ * @param {Array<string>} excludeKeys - Keys left out of the backup
+ * @returns {Promise<Object>} - Backup file contents
+ */
+const createBackup = async (password, excludeKeys = []) => {
+  if (!password) {
+	throw new Error('Password is required to create a backup');
+  }
+  
+  const items = await getRawData(null);
+  excludeKeys.forEach(key => {
+	delete items[key];
+  });
+  
+  return {
+	type: BACKUP_TYPE,
+	createdAt: new Date().toISOString(),
+	data: await encrypt(JSON.stringify(items), password)
+  };
+};
+
+/**
+ * Validates and decrypts a backup created by createBackup
+ * @param {Object} backup - Backup file contents
+ * @param {string} password - Backup password
+ * @returns {Promise<Object>} - Stored values by key
+ */
+const readBackup = async (backup, password) => {
+  if (!backup || backup.type !== BACKUP_TYPE || typeof backup.data !== 'string') {
+	throw new Error('Not a Creata Wallet backup file');
+  }
+  
+  const items = JSON.parse(await decrypt(backup.data, password));
+  if (!items || typeof items !== 'object' || Array.isArray(items)) {
+	throw new Error('Backup contents are invalid');
+  }
+  
+  return items;
+};
+
+/**
+ * Replaces everything in Chrome storage
+ * @param {Object} items - Raw values by key
+ * @returns {Promise<Object>} - Previous raw values, for rolling back
+ */
+const replaceAllData = async (items) => {
+  const previous = await getRawData(null);
+  await clearAllData();
+  await setRawData(items);
+  return previous;
 };
 
+/**
+ * Removes data from Chrome storage together with its integrity tags
+ * @param {string|Array<string>} key - Storage key or keys
+ * @returns {Promise<void>}
+ */
+const removeData = async (key) => queueWrite(async () => {
+  const names = typeof key === 'string' ? [key] : key;
+  const { [INTEGRITY_KEY]: record } = await getRawData([INTEGRITY_KEY]);
+  
+  await new Promise((resolve, reject) => {
+	chrome.storage.local.remove(names, () => {
+	  if (chrome.runtime.lastError) {
+		reject(chrome.runtime.lastError);
+	  } else {
+		resolve();
+	  }
+	});
+  });
+  
+  if (record && names.some(name => record.tags[name] !== undefined)) {
+	const tags = { ...record.tags };
+	names.forEach(name => delete tags[name]);
+	await chrome.storage.local.set({ [INTEGRITY_KEY]: { tags } });
+  }
+});
+
 /**
  * Clears all wallet data from storage
  * @returns {Promise<void>}
@@ -236,6 +938,19 @@ const clearAllData = async () => {
 export {
   saveData,
   getData,
+  hasData,
+  reencryptData,
+  unlockVault,
+  resumeVault,
+  getUnlockedVault,
+  openVault,
+  lockVault,
+  sealStorage,
+  discardTamperedData,
+  createBackup,
+  readBackup,
+  replaceAllData,
+  setRawData,
   removeData,
   clearAllData
 };
\ No newline at end of file
@@ -0,0 +1,70 @@
+// File: src/lib/storage/index.test.js
+// Description: Tests for the vault and the integrity tags of wallet data
+
+import { createChromeMock } from '../../test/chrome';
+import { saveData, setRawData, removeData, reencryptData, unlockVault, openVault, lockVault } from '.';
+
+const PASSWORD = 'correct horse battery';
+
+/**
+ * Locks and unlocks the vault again, as at the next start of the wallet
+ * @param {string} password - Wallet password
+ * @returns {Promise<Array<string>>} - Keys changed outside the wallet
+ */
+const reopen = async (password = PASSWORD) => {
+  lockVault();
+  return (await unlockVault(password)).tamperedKeys;
+};
+
+beforeEach(async () => {
+  global.chrome = createChromeMock();
+  lockVault();
+  await saveData('creata_current_account', 'creata1account', true, PASSWORD);
+  await unlockVault(PASSWORD);
+}, 30000);
+
+describe('integrity tags', () => {
+  it('tag values the wallet writes while unlocked', async () => {
+	await saveData('creata_active_network', 'testnet');
+	await setRawData({ creata_session_timeout: 15 });
+	expect(await reopen()).toEqual([]);
+  }, 30000);
+
+  it('report values changed outside the wallet instead of sealing them', async () => {
+	await chrome.storage.local.set({ creata_active_network: 'testnet' });
+	expect(await reopen()).toEqual(['creata_active_network']);
+	expect(await reopen()).toEqual(['creata_active_network']);
+  }, 30000);
+
+  it('report every key when the integrity record is missing', async () => {
+	await saveData('creata_active_network', 'testnet');
+	await chrome.storage.local.remove('creata_integrity');
+	expect(await reopen()).toEqual(['creata_active_network', 'creata_current_account']);
+  }, 30000);
+
+  it('are dropped with the values the wallet removes', async () => {
+	await saveData('creata_active_network', 'testnet');
+	await removeData(['creata_active_network']);
+	expect(chrome.storage.local.items.creata_integrity.tags.creata_active_network).toBeUndefined();
+	expect(await reopen()).toEqual([]);
+  }, 30000);
+
+  it('are not written while locked', async () => {
+	lockVault();
+	await saveData('creata_active_network', 'testnet');
+	expect(await unlockVault(PASSWORD)).toMatchObject({ tamperedKeys: ['creata_active_network'] });
+  }, 30000);
+
+  it('stay missing for changed values after a password change', async () => {
+	await chrome.storage.local.set({ creata_active_network: 'testnet' });
+	await reencryptData(['creata_current_account'], PASSWORD, 'new password');
+	expect(await reopen('new password')).toEqual(['creata_active_network']);
+  }, 30000);
+});
+
+describe('openVault', () => {
+  it('rejects a wrong password before anything is read with it', async () => {
+	await expect(openVault('wrong password')).rejects.toThrow('Incorrect password');
+	await expect(openVault(PASSWORD)).resolves.toMatchObject({ salt: expect.any(String) });
+  }, 30000);
+});
\ No newline at end of file
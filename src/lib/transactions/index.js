@@ -1,11 +1,346 @@
 // File: src/lib/transactions/index.js
 // Description: Module for handling Creata blockchain transactions
 
-import { SigningStargateClient, GasPrice } from '@cosmjs/stargate';
+import { SigningStargateClient, GasPrice, accountFromAny } from '@cosmjs/stargate';
 import { calculateFee, coins } from '@cosmjs/stargate';
+import { decodePubkey } from '@cosmjs/proto-signing';
+import { ModuleAccount } from 'cosmjs-types/cosmos/auth/v1beta1/auth';
 import { networks, parseTokenAmount } from '../../config/network';
+import { ETH_SECP256K1_PUBKEY_TYPE_URL, decodeEthSecp256k1Pubkey } from '../keyring/ethsecp256k1';
 import CreataApiClient from '../api';
 
+// Account type used by Evmos-based chains
+const ETH_ACCOUNT_TYPE_URL = '/ethermint.types.v1.EthAccount';
+
+// Field holding the signer of each message type websites may request
+const MESSAGE_SIGNER_FIELDS = {
+  '/cosmos.bank.v1beta1.MsgSend': 'fromAddress',
+  '/cosmos.staking.v1beta1.MsgDelegate': 'delegatorAddress',
+  '/cosmos.staking.v1beta1.MsgUndelegate': 'delegatorAddress',
+  '/cosmos.staking.v1beta1.MsgBeginRedelegate': 'delegatorAddress',
+  '/cosmos.distribution.v1beta1.MsgWithdrawDelegatorReward': 'delegatorAddress',
+  '/ibc.applications.transfer.v1.MsgTransfer': 'sender'
+};
+
+// Margin added to simulated gas
+const GAS_ADJUSTMENT = 1.3;
+
+// Gas per message for unsigned transactions; they cannot be simulated
+// without the signer's public key, so the offline signer may adjust it
+const UNSIGNED_TX_GAS_PER_MESSAGE = 250000;
+
+/**
+ * Parses on-chain accounts, including ethermint EthAccounts
+ * @param {Object} input - Protobuf Any holding the account
+ * @returns {Object} - Account with address, pubkey, accountNumber and sequence
+ */
+const parseAccount = (input) => {
+  if (input.typeUrl !== ETH_ACCOUNT_TYPE_URL) {
+	return accountFromAny(input);
+  }
+  
+  // EthAccount is { base_account = 1; code_hash = 2 }, the same wire layout
+  // as ModuleAccount's first two fields
+  const { baseAccount } = ModuleAccount.decode(input.value);
+  if (!baseAccount) {
+	throw new Error('EthAccount without base account');
+  }
+  
+  const { address, pubKey, accountNumber, sequence } = baseAccount;
+  let pubkey = null;
+  if (pubKey) {
+	pubkey = pubKey.typeUrl === ETH_SECP256K1_PUBKEY_TYPE_URL
+	  ? decodeEthSecp256k1Pubkey(pubKey)
+	  : decodePubkey(pubKey);
+  }
+  
+  return {
+	address,
+	pubkey,
+	accountNumber: Number(accountNumber.toString()),
+	sequence: Number(sequence.toString())
+  };
+};
+
+/**
+ * Builds a MsgSend
+ * @param {string} fromAddress - Sender address
+ * @param {string} toAddress - Recipient address
+ * @param {string} amount - Amount in base units
+ * @param {string} denom - Token denomination
+ * @returns {Object} - Encode object
+ */
+const buildSendMsg = (fromAddress, toAddress, amount, denom) => ({
+  typeUrl: "/cosmos.bank.v1beta1.MsgSend",
+  value: {
+	fromAddress,
+	toAddress,
+	amount: coins(amount, denom)
+  }
+});
+
+/**
+ * Builds a MsgDelegate or MsgUndelegate
+ * @param {string} typeUrl - Message type URL
+ * @param {string} delegatorAddress - Delegator address
+ * @param {string} validatorAddress - Validator address
+ * @param {string} amount - Amount in base units
+ * @param {string} denom - Token denomination
+ * @returns {Object} - Encode object
+ */
+const buildDelegationMsg = (typeUrl, delegatorAddress, validatorAddress, amount, denom) => ({
+  typeUrl,
+  value: {
+	delegatorAddress,
+	validatorAddress,
+	amount: { denom, amount }
+  }
+});
+
+/**
+ * Builds MsgWithdrawDelegatorReward messages for all delegations of an address
+ * @param {string} delegatorAddress - Delegator address
+ * @param {Object} apiClient - CreataApiClient instance
+ * @returns {Promise<Array>} - Encode objects
+ */
+const buildClaimRewardsMsgs = async (delegatorAddress, apiClient) => {
+  // Get delegations to know which validators to claim from
+  const delegations = await apiClient.getDelegations(delegatorAddress);
+  
+  // Create message for each validator
+  const msgs = delegations.map(delegation => ({
+	typeUrl: "/cosmos.distribution.v1beta1.MsgWithdrawDelegatorReward",
+	value: {
+	  delegatorAddress,
+	  validatorAddress: delegation.delegation.validator_address
+	}
+  }));
+  
+  if (msgs.length === 0) {
+	throw new Error('No delegations found to claim rewards from');
+  }
+  
+  return msgs;
+};
+
+/**
+ * Converts an encode object value to proto JSON field names
+ * @param {*} value - Message value
+ * @returns {*} - Value with snake_case keys
+ */
+const toProtoJson = (value) => {
+  if (Array.isArray(value)) {
+	return value.map(toProtoJson);
+  }
+  if (value && typeof value === 'object') {
+	return Object.fromEntries(Object.entries(value).map(([key, field]) => [
+	  key.replace(/[A-Z]/g, char => `_${char.toLowerCase()}`),
+	  toProtoJson(field)
+	]));
+  }
+  return value;
+};
+
+/**
+ * Builds an unsigned transaction for offline signing. The result has the
+ * layout of `evmosd tx ... --generate-only`, so it can be signed with
+ * `evmosd tx sign` and broadcast with `evmosd tx broadcast`.
+ * @param {Array} msgs - Encode objects
+ * @param {string} memo - Transaction memo
+ * @param {string} networkId - Network ID
+ * @returns {Object} - Unsigned transaction JSON
+ */
+const createUnsignedTx = (msgs, memo = '', networkId = 'mainnet') => {
+  const network = networks[networkId];
+  const fee = calculateFee(
+	UNSIGNED_TX_GAS_PER_MESSAGE * msgs.length,
+	GasPrice.fromString(`${network.gasPrice}${network.nativeDenom}`)
+  );
+  
+  return {
+	body: {
+	  messages: msgs.map(({ typeUrl, value }) => ({ '@type': typeUrl, ...toProtoJson(value) })),
+	  memo,
+	  timeout_height: '0',
+	  extension_options: [],
+	  non_critical_extension_options: []
+	},
+	auth_info: {
+	  signer_infos: [],
+	  fee: {
+		amount: fee.amount,
+		gas_limit: fee.gas,
+		payer: '',
+		granter: ''
+	  }
+	},
+	signatures: []
+  };
+};
+
+/**
+ * Builds an unsigned send transaction
+ * @param {string} senderAddress - Sender address
+ * @param {string} recipientAddress - Recipient address
+ * @param {string} amount - Amount to send
+ * @param {string} denom - Token denomination
+ * @param {string} memo - Transaction memo
+ * @param {string} networkId - Network ID
+ * @returns {Object} - Unsigned transaction JSON
+ */
+const createUnsignedSendTx = (
+  senderAddress,
+  recipientAddress,
+  amount,
+  denom = 'ucta',
+  memo = '',
+  networkId = 'mainnet'
+) => {
+  const parsedAmount = parseTokenAmount(amount, networks[networkId]);
+  return createUnsignedTx([buildSendMsg(senderAddress, recipientAddress, parsedAmount, denom)], memo, networkId);
+};
+
+/**
+ * Builds an unsigned delegate or undelegate transaction
+ * @param {string} typeUrl - MsgDelegate or MsgUndelegate type URL
+ * @param {string} delegatorAddress - Delegator address
+ * @param {string} validatorAddress - Validator address
+ * @param {string} amount - Amount to (un)delegate
+ * @param {string} networkId - Network ID
+ * @returns {Object} - Unsigned transaction JSON
+ */
+const createUnsignedDelegationTx = (
+  typeUrl,
+  delegatorAddress,
+  validatorAddress,
+  amount,
+  networkId = 'mainnet'
+) => {
+  const network = networks[networkId];
+  const parsedAmount = parseTokenAmount(amount, network);
+  return createUnsignedTx(
+	[buildDelegationMsg(typeUrl, delegatorAddress, validatorAddress, parsedAmount, network.nativeDenom)],
+	'',
+	networkId
+  );
+};
+
+/**
+ * Builds an unsigned delegate transaction
+ * @param {string} delegatorAddress - Delegator address
+ * @param {string} validatorAddress - Validator address
+ * @param {string} amount - Amount to delegate
+ * @param {string} networkId - Network ID
+ * @returns {Object} - Unsigned transaction JSON
+ */
+const createUnsignedDelegateTx = (delegatorAddress, validatorAddress, amount, networkId = 'mainnet') =>
+  createUnsignedDelegationTx("/cosmos.staking.v1beta1.MsgDelegate", delegatorAddress, validatorAddress, amount, networkId);
+
+/**
+ * Builds an unsigned undelegate transaction
+ * @param {string} delegatorAddress - Delegator address
+ * @param {string} validatorAddress - Validator address
+ * @param {string} amount - Amount to undelegate
+ * @param {string} networkId - Network ID
+ * @returns {Object} - Unsigned transaction JSON
+ */
+const createUnsignedUndelegateTx = (delegatorAddress, validatorAddress, amount, networkId = 'mainnet') =>
+  createUnsignedDelegationTx("/cosmos.staking.v1beta1.MsgUndelegate", delegatorAddress, validatorAddress, amount, networkId);
+
+/**
+ * Builds an unsigned transaction claiming all staking rewards
+ * @param {string} delegatorAddress - Delegator address
+ * @param {string} networkId - Network ID
+ * @returns {Promise<Object>} - Unsigned transaction JSON
+ */
+const createUnsignedClaimRewardsTx = async (delegatorAddress, networkId = 'mainnet') => {
+  const apiClient = new CreataApiClient(networkId);
+  const msgs = await buildClaimRewardsMsgs(delegatorAddress, apiClient);
+  return createUnsignedTx(msgs, '', networkId);
+};
+
+/**
+ * Verifies that an address belongs to the loaded wallet
+ * @param {Object} wallet - Wallet object
+ * @param {string} signerAddress - Address expected to sign
+ * @returns {Promise<string>} - Signer address
+ */
+const assertWalletAccount = async (wallet, signerAddress) => {
+  if (!signerAddress) {
+	throw new Error('Signer address is required');
+  }
+  
+  const accounts = await wallet.getAccounts();
+  if (!accounts.some(acc => acc.address === signerAddress)) {
+	throw new Error(`Address ${signerAddress} does not belong to the loaded wallet`);
+  }
+  
+  return signerAddress;
+};
+
+/**
+ * Checks messages a website asked to sign. Only message types the wallet can
+ * show are accepted, and every message must be signed by the signer.
+ * @param {Array} msgs - Encode objects as { typeUrl, value }
+ * @param {string} signerAddress - Address that signs the transaction
+ * @returns {Array} - The messages
+ */
+const validateTxMessages = (msgs, signerAddress) => {
+  if (!Array.isArray(msgs) || msgs.length === 0) {
+	throw new Error('Transaction has no messages');
+  }
+  
+  msgs.forEach(msg => {
+	const signerField = msg && MESSAGE_SIGNER_FIELDS[msg.typeUrl];
+	if (!signerField || !msg.value) {
+	  throw new Error(`Unsupported message type: ${msg && msg.typeUrl}`);
+	}
+	if (msg.value[signerField] !== signerAddress) {
+	  throw new Error(`Message ${msg.typeUrl} is not signed by ${signerAddress}`);
+	}
+  });
+  
+  return msgs;
+};
+
+/**
+ * Checks whether a value is an integer string, as cosmjs expects for amounts
+ * and gas; numbers may already have lost precision
+ * @param {*} value - Value
+ * @returns {boolean}
+ */
+const isIntegerString = (value) => typeof value === 'string' && /^\d+$/.test(value);
+
+/**
+ * Checks a fee suggested by a website
+ * @param {Object} fee - Fee as { amount: [{ denom, amount }], gas }
+ * @returns {Object} - The fee
+ */
+const validateFee = (fee) => {
+  const validCoins = fee && Array.isArray(fee.amount) && fee.amount.every(coin => (
+	coin && typeof coin.denom === 'string' && isIntegerString(coin.amount)
+  ));
+  if (!validCoins || !isIntegerString(fee.gas)) {
+	throw new Error('Invalid fee');
+  }
+  return fee;
+};
+
+/**
+ * Builds a fee from a gas limit and the network gas price
+ * @param {number} gasLimit - Gas limit
+ * @param {string} networkId - Network ID
+ * @param {number} multiplier - Gas price multiplier
+ * @returns {Object} - Fee as { amount, gas }
+ */
+const buildFee = (gasLimit, networkId = 'mainnet', multiplier = 1) => {
+  const network = networks[networkId];
+  
+  // Round away float noise such as 0.037500000000000006
+  const gasPrice = Number((network.gasPrice * multiplier).toPrecision(12));
+  return calculateFee(gasLimit, GasPrice.fromString(`${gasPrice}${network.nativeDenom}`));
+};
+
 /**
  * Creates a signing client for Creata blockchain
  * @param {Object} wallet - Wallet object
@@ -20,7 +355,7 @@ const createSigningClient = async (wallet, networkId = 'mainnet') => {
 	const client = await SigningStargateClient.connectWithSigner(
 	  network.rpcEndpoint,
 	  wallet,
-	  { gasPrice }
+	  { gasPrice, accountParser: parseAccount }
 	);
 	
 	return client;
@@ -33,6 +368,7 @@ const createSigningClient = async (wallet, networkId = 'mainnet') => {
 /**
  * Sends tokens
  * @param {Object} wallet - Wallet object
+ * @param {string} signerAddress - Sender address, must belong to the wallet
  * @param {string} recipientAddress - Recipient address
  * @param {string} amount - Amount to send
  * @param {string} denom - Token denomination
@@ -42,6 +378,7 @@ const createSigningClient = async (wallet, networkId = 'mainnet') => {
  */
 const sendTokens = async (
   wallet,
+  signerAddress,
   recipientAddress,
   amount,
   denom = 'ucta',
@@ -51,8 +388,7 @@ const sendTokens = async (
   try {
 	const network = networks[networkId];
 	const client = await createSigningClient(wallet, networkId);
-	const accounts = await wallet.getAccounts();
-	const senderAddress = accounts[0].address;
+	const senderAddress = await assertWalletAccount(wallet, signerAddress);
 	
 	// Parse amount to proper format
 	const parsedAmount = parseTokenAmount(amount, network);
@@ -60,14 +396,7 @@ const sendTokens = async (
 	// Estimate gas for the transaction
 	const gasEstimate = await client.simulate(
 	  senderAddress,
-	  [{
-		typeUrl: "/cosmos.bank.v1beta1.MsgSend",
-		value: {
-		  fromAddress: senderAddress,
-		  toAddress: recipientAddress,
-		  amount: coins(parsedAmount, denom)
-		}
-	  }],
+	  [buildSendMsg(senderAddress, recipientAddress, parsedAmount, denom)],
 	  memo
 	);
 	
@@ -96,6 +425,7 @@ const sendTokens = async (
 /**
  * Delegates tokens to a validator
  * @param {Object} wallet - Wallet object
+ * @param {string} signerAddress - Delegator address, must belong to the wallet
  * @param {string} validatorAddress - Validator address
  * @param {string} amount - Amount to delegate
  * @param {string} networkId - Network ID
@@ -103,6 +433,7 @@ const sendTokens = async (
  */
 const delegateTokens = async (
   wallet,
+  signerAddress,
   validatorAddress,
   amount,
   networkId = 'mainnet'
@@ -110,23 +441,18 @@ const delegateTokens = async (
   try {
 	const network = networks[networkId];
 	const client = await createSigningClient(wallet, networkId);
-	const accounts = await wallet.getAccounts();
-	const delegatorAddress = accounts[0].address;
+	const delegatorAddress = await assertWalletAccount(wallet, signerAddress);
 	
 	// Parse amount to proper format
 	const parsedAmount = parseTokenAmount(amount, network);
 	
-	const msg = {
-	  typeUrl: "/cosmos.staking.v1beta1.MsgDelegate",
-	  value: {
-		delegatorAddress,
-		validatorAddress,
-		amount: {
-		  denom: network.nativeDenom,
-		  amount: parsedAmount
-		}
-	  }
-	};
+	const msg = buildDelegationMsg(
+	  "/cosmos.staking.v1beta1.MsgDelegate",
+	  delegatorAddress,
+	  validatorAddress,
+	  parsedAmount,
+	  network.nativeDenom
+	);
 	
 	// Estimate gas
 	const gasEstimate = await client.simulate(delegatorAddress, [msg], "");
@@ -154,6 +480,7 @@ const delegateTokens = async (
 /**
  * Undelegates tokens from a validator
  * @param {Object} wallet - Wallet object
+ * @param {string} signerAddress - Delegator address, must belong to the wallet
  * @param {string} validatorAddress - Validator address
  * @param {string} amount - Amount to undelegate
  * @param {string} networkId - Network ID
@@ -161,6 +488,7 @@ const delegateTokens = async (
  */
 const undelegateTokens = async (
   wallet,
+  signerAddress,
   validatorAddress,
   amount,
   networkId = 'mainnet'
@@ -168,23 +496,18 @@ const undelegateTokens = async (
   try {
 	const network = networks[networkId];
 	const client = await createSigningClient(wallet, networkId);
-	const accounts = await wallet.getAccounts();
-	const delegatorAddress = accounts[0].address;
+	const delegatorAddress = await assertWalletAccount(wallet, signerAddress);
 	
 	// Parse amount to proper format
 	const parsedAmount = parseTokenAmount(amount, network);
 	
-	const msg = {
-	  typeUrl: "/cosmos.staking.v1beta1.MsgUndelegate",
-	  value: {
-		delegatorAddress,
-		validatorAddress,
-		amount: {
-		  denom: network.nativeDenom,
-		  amount: parsedAmount
-		}
-	  }
-	};
+	const msg = buildDelegationMsg(
+	  "/cosmos.staking.v1beta1.MsgUndelegate",
+	  delegatorAddress,
+	  validatorAddress,
+	  parsedAmount,
+	  network.nativeDenom
+	);
 	
 	// Estimate gas
 	const gasEstimate = await client.simulate(delegatorAddress, [msg], "");
@@ -212,35 +535,23 @@ const undelegateTokens = async (
 /**
  * Claims staking rewards
  * @param {Object} wallet - Wallet object
+ * @param {string} signerAddress - Delegator address, must belong to the wallet
  * @param {string} networkId - Network ID
  * @returns {Promise<Object>} - Transaction result
  */
 const claimRewards = async (
   wallet,
+  signerAddress,
   networkId = 'mainnet'
 ) => {
   try {
 	const network = networks[networkId];
 	const apiClient = new CreataApiClient(networkId);
 	const client = await createSigningClient(wallet, networkId);
-	const accounts = await wallet.getAccounts();
-	const delegatorAddress = accounts[0].address;
-	
-	// Get delegations to know which validators to claim from
-	const delegations = await apiClient.getDelegations(delegatorAddress);
+	const delegatorAddress = await assertWalletAccount(wallet, signerAddress);
 	
-	// Create message for each validator
-	const msgs = delegations.map(delegation => ({
-	  typeUrl: "/cosmos.distribution.v1beta1.MsgWithdrawDelegatorReward",
-	  value: {
-		delegatorAddress,
-		validatorAddress: delegation.delegation.validator_address
-	  }
-	}));
-	
-	if (msgs.length === 0) {
-	  throw new Error('No delegations found to claim rewards from');
-	}
+	// One withdraw message per delegation
+	const msgs = await buildClaimRewardsMsgs(delegatorAddress, apiClient);
 	
 	// Estimate gas
 	const gasEstimate = await client.simulate(delegatorAddress, msgs, "");
@@ -268,6 +579,7 @@ const claimRewards = async (
 /**
  * Redelegate tokens from one validator to another
  * @param {Object} wallet - Wallet object
+ * @param {string} signerAddress - Delegator address, must belong to the wallet
  * @param {string} srcValidatorAddress - Source validator address
  * @param {string} dstValidatorAddress - Destination validator address
  * @param {string} amount - Amount to redelegate
@@ -276,6 +588,7 @@ const claimRewards = async (
  */
 const redelegateTokens = async (
   wallet,
+  signerAddress,
   srcValidatorAddress,
   dstValidatorAddress,
   amount,
@@ -284,8 +597,7 @@ const redelegateTokens = async (
   try {
 	const network = networks[networkId];
 	const client = await createSigningClient(wallet, networkId);
-	const accounts = await wallet.getAccounts();
-	const delegatorAddress = accounts[0].address;
+	const delegatorAddress = await assertWalletAccount(wallet, signerAddress);
 	
 	// Parse amount to proper format
 	const parsedAmount = parseTokenAmount(amount, network);
@@ -326,11 +638,69 @@ const redelegateTokens = async (
   }
 };
 
+/**
+ * Estimates the gas limit of a transaction
+ * @param {Object} wallet - Wallet object
+ * @param {string} signerAddress - Signer address, must belong to the wallet
+ * @param {Array} msgs - Encode objects
+ * @param {string} memo - Transaction memo
+ * @param {string} networkId - Network ID
+ * @returns {Promise<number>} - Gas limit with a safety margin
+ */
+const estimateGas = async (wallet, signerAddress, msgs, memo = '', networkId = 'mainnet') => {
+  try {
+	const client = await createSigningClient(wallet, networkId);
+	const address = await assertWalletAccount(wallet, signerAddress);
+	const gasEstimate = await client.simulate(address, msgs, memo);
+	return Math.floor(gasEstimate * GAS_ADJUSTMENT);
+  } catch (error) {
+	console.error('Failed to estimate gas:', error);
+	throw error;
+  }
+};
+
+/**
+ * Signs and broadcasts messages with a given fee
+ * @param {Object} wallet - Wallet object
+ * @param {string} signerAddress - Signer address, must belong to the wallet
+ * @param {Array} msgs - Encode objects
+ * @param {Object} fee - Fee as { amount, gas }
+ * @param {string} memo - Transaction memo
+ * @param {string} networkId - Network ID
+ * @returns {Promise<Object>} - Transaction result
+ */
+const signAndBroadcastTx = async (
+  wallet,
+  signerAddress,
+  msgs,
+  fee,
+  memo = '',
+  networkId = 'mainnet'
+) => {
+  try {
+	const client = await createSigningClient(wallet, networkId);
+	const address = await assertWalletAccount(wallet, signerAddress);
+	return await client.signAndBroadcast(address, msgs, fee, memo);
+  } catch (error) {
+	console.error('Failed to sign and broadcast transaction:', error);
+	throw error;
+  }
+};
+
 export {
+  validateTxMessages,
+  validateFee,
+  buildFee,
+  estimateGas,
+  signAndBroadcastTx,
   createSigningClient,
   sendTokens,
   delegateTokens,
   undelegateTokens,
   claimRewards,
-  redelegateTokens
+  redelegateTokens,
+  createUnsignedSendTx,
+  createUnsignedDelegateTx,
+  createUnsignedUndelegateTx,
+  createUnsignedClaimRewardsTx
 };
\ No newline at end of file
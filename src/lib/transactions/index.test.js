@@ -0,0 +1,76 @@
+// File: src/lib/transactions/index.test.js
+// Description: Tests for the checks on transactions websites ask to sign
+
+import { validateTxMessages, validateFee } from '.';
+
+const SIGNER = 'creata1signer';
+const OTHER = 'creata1other';
+
+/**
+ * Builds a MsgSend encode object
+ * @param {string} fromAddress - Sender address
+ * @returns {Object}
+ */
+const sendMsg = (fromAddress) => ({
+  typeUrl: '/cosmos.bank.v1beta1.MsgSend',
+  value: { fromAddress, toAddress: OTHER, amount: [{ denom: 'acta', amount: '1000' }] }
+});
+
+describe('validateTxMessages', () => {
+  it('accepts supported messages of the signer', () => {
+	const msgs = [
+	  sendMsg(SIGNER),
+	  {
+		typeUrl: '/cosmos.staking.v1beta1.MsgDelegate',
+		value: { delegatorAddress: SIGNER, validatorAddress: 'creatavaloper1x', amount: { denom: 'acta', amount: '5' } }
+	  },
+	  {
+		typeUrl: '/ibc.applications.transfer.v1.MsgTransfer',
+		value: { sender: SIGNER, receiver: 'cosmos1x', sourcePort: 'transfer', sourceChannel: 'channel-0' }
+	  }
+	];
+	expect(validateTxMessages(msgs, SIGNER)).toBe(msgs);
+  });
+
+  it('rejects message types the wallet cannot show', () => {
+	const msgs = [
+	  sendMsg(SIGNER),
+	  { typeUrl: '/cosmos.authz.v1beta1.MsgExec', value: { grantee: SIGNER, msgs: [] } }
+	];
+	expect(() => validateTxMessages(msgs, SIGNER)).toThrow('Unsupported message type: /cosmos.authz.v1beta1.MsgExec');
+  });
+
+  it('rejects messages signed by another address', () => {
+	expect(() => validateTxMessages([sendMsg(SIGNER), sendMsg(OTHER)], SIGNER))
+	  .toThrow(`Message /cosmos.bank.v1beta1.MsgSend is not signed by ${SIGNER}`);
+  });
+
+  it('rejects empty and malformed message lists', () => {
+	expect(() => validateTxMessages([], SIGNER)).toThrow('Transaction has no messages');
+	expect(() => validateTxMessages(sendMsg(SIGNER), SIGNER)).toThrow('Transaction has no messages');
+	expect(() => validateTxMessages([null], SIGNER)).toThrow('Unsupported message type');
+	expect(() => validateTxMessages([{ typeUrl: '/cosmos.bank.v1beta1.MsgSend' }], SIGNER)).toThrow('Unsupported message type');
+  });
+});
+
+describe('validateFee', () => {
+  it('accepts a fee with integer amounts and gas', () => {
+	const fee = { amount: [{ denom: 'acta', amount: '7500000000000000' }], gas: '200000' };
+	expect(validateFee(fee)).toBe(fee);
+	expect(validateFee({ amount: [], gas: '0' })).toEqual({ amount: [], gas: '0' });
+  });
+
+  it.each([
+	['no fee', undefined],
+	['amount that is not a list', { amount: { denom: 'acta', amount: '1' }, gas: '200000' }],
+	['decimal amount', { amount: [{ denom: 'acta', amount: '1.5' }], gas: '200000' }],
+	['negative amount', { amount: [{ denom: 'acta', amount: '-1' }], gas: '200000' }],
+	['numeric amount', { amount: [{ denom: 'acta', amount: 1 }], gas: '200000' }],
+	['missing denom', { amount: [{ amount: '1' }], gas: '200000' }],
+	['missing gas', { amount: [{ denom: 'acta', amount: '1' }] }],
+	['non-integer gas', { amount: [{ denom: 'acta', amount: '1' }], gas: '2e5' }],
+	['numeric gas', { amount: [{ denom: 'acta', amount: '1' }], gas: 200000 }]
+  ])('rejects a fee with %s', (_, fee) => {
+	expect(() => validateFee(fee)).toThrow('Invalid fee');
+  });
+});
\ No newline at end of file
@@ -3,17 +3,26 @@
 
 import React, { useState, useEffect } from 'react';
 import { hasWallet } from '../lib/keyring';
+import { getState, lock } from '../lib/session';
 
 // Import all components
 import Welcome from './components/Welcome';
 import CreateWallet from './components/CreateWallet';
 import ImportWallet from './components/ImportWallet';
+import RestoreBackup from './components/RestoreBackup';
 import Login from './components/Login';
 import Dashboard from './components/Dashboard';
 import Send from './components/Send';
 import Receive from './components/Receive';
 import Settings from './components/Settings';
 import Stake from './components/Stake';
+import ApproveRequest from './components/ApproveRequest';
+
+// Request id when the popup was opened to approve a website request
+const requestId = new URLSearchParams(window.location.search).get('request');
+
+// First page after the wallet is unlocked
+const homePage = requestId ? 'approve' : 'dashboard';
 
 /**
  * Main App component
@@ -33,7 +42,21 @@ const App = () => {
 		setLoading(true);
 		const walletExists = await hasWallet();
 		setInitialized(walletExists);
-		setCurrentPage(walletExists ? 'login' : 'welcome');
+		
+		// A session unlocked earlier stays open until it times out. Data
+		// changed outside the wallet is settled on the login page first.
+		let unlocked = false;
+		if (walletExists) {
+		  try {
+			const state = await getState();
+			unlocked = state.isUnlocked && state.tamperedKeys.length === 0;
+		  } catch (err) {
+			console.error('Failed to get session state:', err);
+		  }
+		}
+		
+		setAuthenticated(unlocked);
+		setCurrentPage(unlocked ? homePage : (walletExists ? 'login' : 'welcome'));
 	  } catch (err) {
 		console.error('Error checking wallet:', err);
 		setError('Failed to initialize wallet');
@@ -48,11 +71,16 @@ const App = () => {
   // Handle login
   const handleLogin = () => {
 	setAuthenticated(true);
-	setCurrentPage('dashboard');
+	setCurrentPage(homePage);
   };
   
   // Handle logout
-  const handleLogout = () => {
+  const handleLogout = async () => {
+	try {
+	  await lock();
+	} catch (err) {
+	  console.error('Failed to lock wallet:', err);
+	}
 	setAuthenticated(false);
 	setCurrentPage('login');
   };
@@ -87,11 +115,23 @@ const App = () => {
   const renderPage = () => {
 	switch (currentPage) {
 	  case 'welcome':
-		return <Welcome onCreateWallet={() => navigateTo('create')} onImportWallet={() => navigateTo('import')} />;
+		return (
+		  <Welcome
+			onCreateWallet={() => navigateTo('create')}
+			onImportWallet={() => navigateTo('import')}
+			onRestoreBackup={() => navigateTo('restore')}
+		  />
+		);
 	  case 'create':
 		return <CreateWallet onSuccess={() => navigateTo('dashboard')} onBack={() => navigateTo('welcome')} />;
 	  case 'import':
 		return <ImportWallet onSuccess={() => navigateTo('dashboard')} onBack={() => navigateTo('welcome')} />;
+	  case 'restore':
+		return <RestoreBackup onSuccess={() => navigateTo('login')} onBack={() => navigateTo('welcome')} />;
+	  case 'addCreate':
+		return <CreateWallet addWallet onSuccess={() => navigateTo('dashboard')} onBack={() => navigateTo('dashboard')} />;
+	  case 'addImport':
+		return <ImportWallet addWallet onSuccess={() => navigateTo('dashboard')} onBack={() => navigateTo('dashboard')} />;
 	  case 'login':
 		return <Login onLogin={handleLogin} />;
 	  case 'dashboard':
@@ -101,9 +141,13 @@ const App = () => {
 			onReceive={() => navigateTo('receive')} 
 			onStake={() => navigateTo('stake')}
 			onSettings={() => navigateTo('settings')}
+			onCreateWallet={() => navigateTo('addCreate')}
+			onImportWallet={() => navigateTo('addImport')}
 			onLogout={handleLogout}
 		  />
 		);
+	  case 'approve':
+		return <ApproveRequest requestId={requestId} onDone={() => window.close()} />;
 	  case 'send':
 		return <Send onBack={() => navigateTo('dashboard')} />;
 	  case 'receive':
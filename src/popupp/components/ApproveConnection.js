@@ -0,0 +1,169 @@
+// File: src/popup/components/ApproveConnection.js
+// Description: Approval page for a website asking to connect to the wallet
+
+import React, { useState, useEffect } from 'react';
+import { getAccounts, getCurrentAccount, approveRequest, rejectRequest } from '../../lib/session';
+import { getNetworkByChainId } from '../../config/network';
+import { truncateAddress } from '../../utils/helpers';
+
+/**
+ * ApproveConnection component
+ * @param {Object} props - Component props
+ * @param {Object} props.request - Pending CONNECT request
+ * @param {Function} props.onDone - Called once the request is answered
+ * @returns {JSX.Element} - ApproveConnection component
+ */
+const ApproveConnection = ({ request, onDone }) => {
+  // Component state
+  const [accounts, setAccounts] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Load the accounts to choose from
+  useEffect(() => {
+	const loadAccounts = async () => {
+	  try {
+		setLoading(true);
+		setAccounts((await getAccounts()) || []);
+
+		// The current account is offered by default
+		setSelected([await getCurrentAccount()]);
+	  } catch (err) {
+		console.error('Failed to load accounts:', err);
+		setError('Failed to load accounts. Please try again.');
+	  } finally {
+		setLoading(false);
+	  }
+	};
+
+	loadAccounts();
+  }, []);
+
+  // Toggle an account
+  const handleToggleAccount = (address) => {
+	setSelected(selected.includes(address)
+	  ? selected.filter(item => item !== address)
+	  : [...selected, address]);
+  };
+
+  // Share the selected accounts with the site
+  const handleApprove = async () => {
+	try {
+	  setSubmitting(true);
+	  setError(null);
+	  await approveRequest(request.id, { accounts: accounts.map(acc => acc.address).filter(address => selected.includes(address)) });
+	  onDone();
+	} catch (err) {
+	  console.error('Failed to approve connection:', err);
+	  setError(err.message);
+	  setSubmitting(false);
+	}
+  };
+
+  // Decline the request
+  const handleReject = async () => {
+	try {
+	  await rejectRequest(request.id);
+	} catch (err) {
+	  console.error('Failed to reject connection:', err);
+	}
+	onDone();
+  };
+
+  // Render loading state
+  if (loading) {
+	return (
+	  <div className="loading-container">
+		<div className="loading-spinner"></div>
+		<p>Loading accounts...</p>
+	  </div>
+	);
+  }
+
+  const network = getNetworkByChainId(request.params.chainId);
+
+  return (
+	<div className="approve-container">
+	  <div className="nav-container">
+		<div></div>
+		<h2 className="nav-title">Connect Site</h2>
+		<div></div>
+	  </div>
+
+	  <div className="form-container" style={{ padding: '24px 16px' }}>
+		<div style={{
+		  background: 'var(--background-light)',
+		  padding: '12px',
+		  borderRadius: '8px',
+		  wordBreak: 'break-all',
+		  textAlign: 'center',
+		  fontWeight: '500',
+		  marginBottom: '8px'
+		}}>
+		  {request.origin}
+		</div>
+		<p style={{ textAlign: 'center', fontSize: '12px', color: 'var(--text-light)', marginBottom: '16px' }}>
+		  wants to connect on {network ? network.chainName : request.params.chainId}
+		</p>
+
+		<p style={{ fontSize: '14px', marginBottom: '8px' }}>
+		  The site will see the addresses of the selected accounts. It cannot move
+		  funds without asking you first.
+		</p>
+
+		<div style={{ marginBottom: '16px' }}>
+		  {accounts.map(account => (
+			<label
+			  key={account.address}
+			  style={{
+				display: 'flex',
+				alignItems: 'center',
+				padding: '8px',
+				borderBottom: '1px solid var(--border-color)',
+				cursor: 'pointer'
+			  }}
+			>
+			  <input
+				type="checkbox"
+				checked={selected.includes(account.address)}
+				onChange={() => handleToggleAccount(account.address)}
+				style={{ marginRight: '8px' }}
+			  />
+			  <div style={{ flex: 1, minWidth: 0 }}>
+				<div style={{ fontSize: '14px' }}>{account.name}</div>
+				<div style={{ fontSize: '12px', color: 'var(--text-light)', fontFamily: 'monospace' }}>
+				  {truncateAddress(account.address, 10, 6)}
+				</div>
+			  </div>
+			</label>
+		  ))}
+		</div>
+
+		{error && <p className="form-error">{error}</p>}
+
+		<div style={{ display: 'flex', gap: '8px' }}>
+		  <button
+			className="button button-secondary"
+			style={{ flex: 1 }}
+			onClick={handleReject}
+			disabled={submitting}
+		  >
+			Reject
+		  </button>
+		  <button
+			className="button button-primary"
+			style={{ flex: 1 }}
+			onClick={handleApprove}
+			disabled={submitting || selected.length === 0}
+		  >
+			{submitting ? 'Connecting...' : 'Connect'}
+		  </button>
+		</div>
+	  </div>
+	</div>
+  );
+};
+
+export default ApproveConnection;
\ No newline at end of file
@@ -0,0 +1,130 @@
+// File: src/popup/components/ApproveMessage.js
+// Description: Approval page for a message a website asks to sign
+
+import React, { useState, useEffect } from 'react';
+import { WALLET_TYPE_WATCH_ONLY } from '../../lib/keyring';
+import { getWallets, getAccounts, approveRequest, rejectRequest } from '../../lib/session';
+import { truncateAddress } from '../../utils/helpers';
+
+/**
+ * ApproveMessage component
+ * @param {Object} props - Component props
+ * @param {Object} props.request - Pending SIGN_MESSAGE request
+ * @param {Function} props.onDone - Called once the request is answered
+ * @returns {JSX.Element} - ApproveMessage component
+ */
+const ApproveMessage = ({ request, onDone }) => {
+  const { signer, data } = request.params;
+
+  // Component state
+  const [signerName, setSignerName] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Look up the signing account
+  useEffect(() => {
+	const loadSigner = async () => {
+	  try {
+		const account = ((await getAccounts()) || []).find(acc => acc.address === signer);
+		if (!account) {
+		  throw new Error(`Account ${signer} is not in this wallet`);
+		}
+		setSignerName(account.name);
+
+		const wallet = (await getWallets()).find(w => w.id === account.walletId);
+		if (wallet && wallet.type === WALLET_TYPE_WATCH_ONLY) {
+		  throw new Error('Watch-only accounts cannot sign messages');
+		}
+	  } catch (err) {
+		console.error('Failed to load signer:', err);
+		setError(err.message);
+	  }
+	};
+
+	loadSigner();
+  }, []);
+
+  // Sign the message; the background signs once the request is approved
+  const handleApprove = async () => {
+	try {
+	  setSubmitting(true);
+	  await approveRequest(request.id, {});
+	  onDone();
+	} catch (err) {
+	  console.error('Failed to approve message:', err);
+	  setError(err.message);
+	  setSubmitting(false);
+	}
+  };
+
+  // Decline the request
+  const handleReject = async () => {
+	try {
+	  await rejectRequest(request.id);
+	} catch (err) {
+	  console.error('Failed to reject message:', err);
+	}
+	onDone();
+  };
+
+  return (
+	<div className="approve-container">
+	  <div className="nav-container">
+		<div></div>
+		<h2 className="nav-title">Sign Message</h2>
+		<div></div>
+	  </div>
+
+	  <div className="form-container" style={{ padding: '16px' }}>
+		<div style={{ fontSize: '12px', color: 'var(--text-light)', textAlign: 'center', wordBreak: 'break-all' }}>
+		  {request.origin}
+		</div>
+		<p style={{ textAlign: 'center', fontSize: '12px', color: 'var(--text-light)', marginBottom: '16px' }}>
+		  {signerName} ({truncateAddress(signer)})
+		</p>
+
+		<div style={{
+		  background: 'var(--background-light)',
+		  padding: '12px',
+		  borderRadius: '8px',
+		  maxHeight: '280px',
+		  overflowY: 'auto',
+		  whiteSpace: 'pre-wrap',
+		  wordBreak: 'break-word',
+		  fontSize: '14px',
+		  marginBottom: '8px'
+		}}>
+		  {data}
+		</div>
+
+		<p style={{ fontSize: '12px', color: 'var(--text-light)', marginBottom: '16px' }}>
+		  Signing proves you own this account. It does not send a transaction
+		  or cost a fee.
+		</p>
+
+		{error && <p className="form-error">{error}</p>}
+
+		<div style={{ display: 'flex', gap: '8px' }}>
+		  <button
+			className="button button-secondary"
+			style={{ flex: 1 }}
+			onClick={handleReject}
+			disabled={submitting}
+		  >
+			Reject
+		  </button>
+		  <button
+			className="button button-primary"
+			style={{ flex: 1 }}
+			onClick={handleApprove}
+			disabled={submitting || !!error}
+		  >
+			{submitting ? 'Signing...' : 'Sign'}
+		  </button>
+		</div>
+	  </div>
+	</div>
+  );
+};
+
+export default ApproveMessage;
\ No newline at end of file
@@ -0,0 +1,69 @@
+// File: src/popup/components/ApproveRequest.js
+// Description: Loads a pending website request and shows the page that approves it
+
+import React, { useState, useEffect } from 'react';
+import { getRequest } from '../../lib/session';
+import ApproveConnection from './ApproveConnection';
+import ApproveTransaction from './ApproveTransaction';
+import ApproveMessage from './ApproveMessage';
+
+/**
+ * ApproveRequest component
+ * @param {Object} props - Component props
+ * @param {string} props.requestId - Id of the pending request
+ * @param {Function} props.onDone - Called once the request is answered
+ * @returns {JSX.Element} - ApproveRequest component
+ */
+const ApproveRequest = ({ requestId, onDone }) => {
+  // Component state
+  const [request, setRequest] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Load the request
+  useEffect(() => {
+	const loadRequest = async () => {
+	  try {
+		setLoading(true);
+		setRequest(await getRequest(requestId));
+	  } catch (err) {
+		console.error('Failed to load request:', err);
+		setError('This request is no longer available.');
+	  } finally {
+		setLoading(false);
+	  }
+	};
+
+	loadRequest();
+  }, [requestId]);
+
+  // Render loading state
+  if (loading) {
+	return (
+	  <div className="loading-container">
+		<div className="loading-spinner"></div>
+		<p>Loading request...</p>
+	  </div>
+	);
+  }
+
+  switch (request && request.type) {
+	case 'CONNECT':
+	  return <ApproveConnection request={request} onDone={onDone} />;
+	case 'SEND_TRANSACTION':
+	  return <ApproveTransaction request={request} onDone={onDone} />;
+	case 'SIGN_MESSAGE':
+	  return <ApproveMessage request={request} onDone={onDone} />;
+	default:
+	  // Render a request that cannot be answered any more
+	  return (
+		<div className="error-container">
+		  <h3>Error</h3>
+		  <p>{error || 'Unknown request.'}</p>
+		  <button className="button button-primary" onClick={onDone}>Close</button>
+		</div>
+	  );
+  }
+};
+
+export default ApproveRequest;
\ No newline at end of file
@@ -0,0 +1,300 @@
+// File: src/popup/components/ApproveTransaction.js
+// Description: Approval page for a transaction requested by a website
+
+import React, { useState, useEffect } from 'react';
+import { getAccounts, getSigner, approveRequest, rejectRequest } from '../../lib/session';
+import { buildFee, estimateGas, signAndBroadcastTx } from '../../lib/transactions';
+import CreataApiClient from '../../lib/api';
+import { truncateAddress, formatTransactionType } from '../../utils/helpers';
+import { networks, formatTokenAmount } from '../../config/network';
+
+// Gas price multipliers the user can pick from
+const FEE_TIERS = {
+  low: { label: 'Low', multiplier: 1 },
+  average: { label: 'Average', multiplier: 1.5 },
+  high: { label: 'High', multiplier: 2 }
+};
+
+// Gas per message when the transaction cannot be simulated
+const FALLBACK_GAS_PER_MESSAGE = 250000;
+
+/**
+ * Formats coins for display
+ * @param {Object|Array} coins - Coin or coins as { denom, amount }
+ * @param {Object} network - Network config
+ * @returns {string} - Formatted amounts
+ */
+const formatCoins = (coins, network) => [].concat(coins || []).map(coin => (
+  coin.denom === network.nativeDenom
+	? `${formatTokenAmount(coin.amount, network)} ${network.displayDenom}`
+	: `${coin.amount} ${coin.denom}`
+)).join(', ');
+
+/**
+ * Describes a message as label and value rows
+ * @param {Object} msg - Encode object
+ * @param {Object} network - Network config
+ * @param {Function} validatorName - Maps a validator address to a display name
+ * @returns {Array<Array<string>>} - Rows as [label, value]
+ */
+const describeMessage = ({ typeUrl, value }, network, validatorName) => {
+  switch (typeUrl) {
+	case '/cosmos.bank.v1beta1.MsgSend':
+	  return [['To', value.toAddress], ['Amount', formatCoins(value.amount, network)]];
+	case '/cosmos.staking.v1beta1.MsgDelegate':
+	case '/cosmos.staking.v1beta1.MsgUndelegate':
+	  return [['Validator', validatorName(value.validatorAddress)], ['Amount', formatCoins(value.amount, network)]];
+	case '/cosmos.staking.v1beta1.MsgBeginRedelegate':
+	  return [
+		['From validator', validatorName(value.validatorSrcAddress)],
+		['To validator', validatorName(value.validatorDstAddress)],
+		['Amount', formatCoins(value.amount, network)]
+	  ];
+	case '/cosmos.distribution.v1beta1.MsgWithdrawDelegatorReward':
+	  return [['Validator', validatorName(value.validatorAddress)]];
+	case '/ibc.applications.transfer.v1.MsgTransfer':
+	  return [
+		['To', value.receiver],
+		['Channel', `${value.sourcePort}/${value.sourceChannel}`],
+		['Amount', formatCoins(value.token, network)]
+	  ];
+	default:
+	  return [];
+  }
+};
+
+/**
+ * ApproveTransaction component
+ * @param {Object} props - Component props
+ * @param {Object} props.request - Pending SEND_TRANSACTION request
+ * @param {Function} props.onDone - Called once the request is answered
+ * @returns {JSX.Element} - ApproveTransaction component
+ */
+const ApproveTransaction = ({ request, onDone }) => {
+  const { chainId, signer, messages, memo, fee: siteFee } = request.params;
+  const networkId = Object.keys(networks).find(id => networks[id].chainId === chainId);
+  const network = networks[networkId];
+
+  // Component state
+  const [wallet, setWallet] = useState(null);
+  const [signerName, setSignerName] = useState('');
+  const [validators, setValidators] = useState({});
+  const [gasLimit, setGasLimit] = useState(String(FALLBACK_GAS_PER_MESSAGE * messages.length));
+  const [feeTier, setFeeTier] = useState(siteFee ? 'site' : 'average');
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [failedLog, setFailedLog] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Load the signer, estimate gas and look up validator names
+  useEffect(() => {
+	const loadData = async () => {
+	  try {
+		setLoading(true);
+
+		const account = ((await getAccounts()) || []).find(acc => acc.address === signer);
+		if (!account) {
+		  throw new Error(`Account ${signer} is not in this wallet`);
+		}
+		setSignerName(account.name);
+
+		const signerWallet = await getSigner(account.walletId);
+		if (signerWallet.watchOnly) {
+		  throw new Error('Watch-only accounts cannot sign transactions');
+		}
+		setWallet(signerWallet);
+
+		try {
+		  const apiClient = new CreataApiClient(networkId);
+		  const list = await apiClient.getValidators();
+		  setValidators(Object.fromEntries(list.map(v => [v.operator_address, v.description?.moniker])));
+		} catch (err) {
+		  // Validators are shown by address instead
+		  console.error('Failed to load validators:', err);
+		}
+
+		try {
+		  setGasLimit(String(await estimateGas(signerWallet, signer, messages, memo, networkId)));
+		} catch (err) {
+		  console.error('Failed to estimate gas:', err);
+		  setError(`This transaction may fail: ${err.message}`);
+		}
+	  } catch (err) {
+		console.error('Failed to load transaction request:', err);
+		setError(err.message);
+	  } finally {
+		setLoading(false);
+	  }
+	};
+
+	loadData();
+  }, []);
+
+  // Gets the display name of a validator
+  const validatorName = (address) => validators[address] || truncateAddress(address, 12, 6);
+
+  // Fee for the chosen tier
+  const getFee = () => {
+	if (feeTier === 'site') {
+	  return siteFee;
+	}
+	return buildFee(Number(gasLimit), networkId, FEE_TIERS[feeTier].multiplier);
+  };
+
+  // Sign and broadcast, then pass the hash to the website
+  const handleApprove = async () => {
+	try {
+	  setSubmitting(true);
+	  setError(null);
+
+	  const result = await signAndBroadcastTx(wallet, signer, messages, getFee(), memo, networkId);
+	  await approveRequest(request.id, { txHash: result.transactionHash });
+
+	  if (result.code !== 0) {
+		// The transaction is on chain, but failed
+		setFailedLog(result.rawLog || `Error code ${result.code}`);
+		return;
+	  }
+	  onDone();
+	} catch (err) {
+	  console.error('Failed to send transaction:', err);
+	  setError(err.message);
+	  setSubmitting(false);
+	}
+  };
+
+  // Decline the request
+  const handleReject = async () => {
+	try {
+	  await rejectRequest(request.id);
+	} catch (err) {
+	  console.error('Failed to reject transaction:', err);
+	}
+	onDone();
+  };
+
+  // Render loading state
+  if (loading) {
+	return (
+	  <div className="loading-container">
+		<div className="loading-spinner"></div>
+		<p>Preparing transaction...</p>
+	  </div>
+	);
+  }
+
+  // Render a broadcast transaction that failed on chain
+  if (failedLog) {
+	return (
+	  <div className="error-container">
+		<h3>Transaction Failed</h3>
+		<p style={{ wordBreak: 'break-word' }}>{failedLog}</p>
+		<button className="button button-primary" onClick={onDone}>Close</button>
+	  </div>
+	);
+  }
+
+  const gasValid = feeTier === 'site' || (Number.isInteger(Number(gasLimit)) && Number(gasLimit) > 0);
+  const fee = gasValid ? getFee() : null;
+
+  return (
+	<div className="approve-container">
+	  <div className="nav-container">
+		<div></div>
+		<h2 className="nav-title">Approve Transaction</h2>
+		<div></div>
+	  </div>
+
+	  <div className="form-container" style={{ padding: '16px' }}>
+		<div style={{ fontSize: '12px', color: 'var(--text-light)', textAlign: 'center', wordBreak: 'break-all' }}>
+		  {request.origin}
+		</div>
+		<p style={{ textAlign: 'center', fontSize: '12px', color: 'var(--text-light)', marginBottom: '16px' }}>
+		  {network.chainName} &middot; {signerName} ({truncateAddress(signer)})
+		</p>
+
+		{messages.map((msg, index) => (
+		  <div
+			key={index}
+			style={{
+			  background: 'var(--background-light)',
+			  padding: '12px',
+			  borderRadius: '8px',
+			  marginBottom: '8px'
+			}}
+		  >
+			<div style={{ fontWeight: '500', marginBottom: '4px' }}>{formatTransactionType(msg.typeUrl)}</div>
+			{describeMessage(msg, network, validatorName).map(([label, value]) => (
+			  <div key={label} style={{ display: 'flex', fontSize: '12px', marginTop: '2px' }}>
+				<span style={{ color: 'var(--text-light)', width: '96px', flexShrink: 0 }}>{label}</span>
+				<span style={{ wordBreak: 'break-all' }}>{value}</span>
+			  </div>
+			))}
+		  </div>
+		))}
+
+		{memo && (
+		  <div style={{ fontSize: '12px', marginBottom: '8px', wordBreak: 'break-word' }}>
+			<span style={{ color: 'var(--text-light)' }}>Memo: </span>{memo}
+		  </div>
+		)}
+
+		<div className="form-group">
+		  <label htmlFor="feeTier">Fee</label>
+		  <select
+			id="feeTier"
+			value={feeTier}
+			onChange={(e) => setFeeTier(e.target.value)}
+			disabled={submitting}
+		  >
+			{siteFee && <option value="site">Suggested by site</option>}
+			{Object.entries(FEE_TIERS).map(([tier, { label }]) => (
+			  <option key={tier} value={tier}>{label}</option>
+			))}
+		  </select>
+		</div>
+
+		{feeTier !== 'site' && (
+		  <div className="form-group">
+			<label htmlFor="gasLimit">Gas Limit</label>
+			<input
+			  type="number"
+			  id="gasLimit"
+			  value={gasLimit}
+			  onChange={(e) => setGasLimit(e.target.value)}
+			  min="1"
+			  disabled={submitting}
+			/>
+		  </div>
+		)}
+
+		<p style={{ fontSize: '14px', marginBottom: '16px' }}>
+		  Network fee: <strong>{fee ? formatCoins(fee.amount, network) : '-'}</strong>
+		</p>
+
+		{error && <p className="form-error">{error}</p>}
+
+		<div style={{ display: 'flex', gap: '8px' }}>
+		  <button
+			className="button button-secondary"
+			style={{ flex: 1 }}
+			onClick={handleReject}
+			disabled={submitting}
+		  >
+			Reject
+		  </button>
+		  <button
+			className="button button-primary"
+			style={{ flex: 1 }}
+			onClick={handleApprove}
+			disabled={submitting || !wallet || !fee}
+		  >
+			{submitting ? 'Sending...' : 'Approve'}
+		  </button>
+		</div>
+	  </div>
+	</div>
+  );
+};
+
+export default ApproveTransaction;
\ No newline at end of file
@@ -2,7 +2,9 @@
 // Description: Component for creating a new wallet
 
 import React, { useState, useEffect } from 'react';
-import { generateWallet, storeWallet } from '../../lib/keyring';
+import { DEFAULT_HD_PATH, generateWallet, importFromMnemonic, splitMnemonic, storeWallet } from '../../lib/keyring';
+import { addWallet as addSessionWallet, unlock } from '../../lib/session';
+import { MAX_SHARE_COUNT } from '../../lib/slip39';
 import { copyToClipboard } from '../../utils/helpers';
 
 /**
@@ -10,29 +12,44 @@ import { copyToClipboard } from '../../utils/helpers';
  * @param {Object} props - Component props
  * @param {Function} props.onSuccess - Success callback
  * @param {Function} props.onBack - Back callback
+ * @param {boolean} props.addWallet - Whether a wallet is added next to existing ones
  * @returns {JSX.Element} - Create wallet component
  */
-const CreateWallet = ({ onSuccess, onBack }) => {
+const CreateWallet = ({ onSuccess, onBack, addWallet = false }) => {
   // Component state
   const [step, setStep] = useState(1);
+  const [wallet, setWallet] = useState(null);
+  const [walletName, setWalletName] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [mnemonic, setMnemonic] = useState('');
   const [password, setPassword] = useState('');
   const [confirmPassword, setConfirmPassword] = useState('');
+  const [bip39Password, setBip39Password] = useState('');
+  const [confirmBip39Password, setConfirmBip39Password] = useState('');
   const [showMnemonic, setShowMnemonic] = useState(false);
   const [verificationWords, setVerificationWords] = useState([]);
   const [selectedWords, setSelectedWords] = useState([]);
   const [confirmChecked, setConfirmChecked] = useState(false);
   
+  // Shamir share state
+  const [useShares, setUseShares] = useState(false);
+  const [shareThreshold, setShareThreshold] = useState(2);
+  const [shareCount, setShareCount] = useState(3);
+  const [shares, setShares] = useState([]);
+  const [shareIndex, setShareIndex] = useState(0);
+  
+  // The phrase shown and verified in steps 2 and 3
+  const phrase = useShares ? (shares[shareIndex] || '') : mnemonic;
+  
   // Generate mnemonic on component mount
   useEffect(() => {
 	const createWallet = async () => {
 	  try {
 		setLoading(true);
-		const wallet = await generateWallet();
-		const walletMnemonic = wallet.mnemonic;
-		setMnemonic(walletMnemonic);
+		const newWallet = await generateWallet();
+		setWallet(newWallet);
+		setMnemonic(newWallet.mnemonic);
 	  } catch (err) {
 		console.error('Failed to generate wallet:', err);
 		setError('Failed to generate wallet. Please try again.');
@@ -46,15 +63,16 @@ const CreateWallet = ({ onSuccess, onBack }) => {
   
   // Setup verification words when moving to verification step
   useEffect(() => {
-	if (step === 3 && mnemonic) {
-	  // Get all words from mnemonic
-	  const allWords = mnemonic.split(' ');
+	if (step === 3 && phrase) {
+	  // Get all words from the phrase
+	  const allWords = phrase.split(' ');
 	  
-	  // Select 4 random words for verification
+	  // Select 4 random words for verification, skipping repeated words
+	  // since each word can only be picked once
 	  const indices = [];
 	  while (indices.length < 4) {
 		const randomIndex = Math.floor(Math.random() * allWords.length);
-		if (!indices.includes(randomIndex)) {
+		if (!indices.some(index => allWords[index] === allWords[randomIndex])) {
 		  indices.push(randomIndex);
 		}
 	  }
@@ -68,10 +86,26 @@ const CreateWallet = ({ onSuccess, onBack }) => {
 	  
 	  setVerificationWords(wordsWithIndices);
 	}
-  }, [step, mnemonic]);
+  }, [step, phrase]);
   
   // Handle password validation
   const validatePassword = () => {
+	// A mistyped passphrase derives different accounts, so it is confirmed too
+	if (bip39Password !== confirmBip39Password) {
+	  setError('Passphrases do not match');
+	  return false;
+	}
+	
+	if (useShares && (shareThreshold < 2 || shareThreshold > shareCount)) {
+	  setError('Shares needed must be between 2 and the number of shares');
+	  return false;
+	}
+	
+	// Added wallets share the password of the existing ones
+	if (addWallet) {
+	  return true;
+	}
+	
 	if (password.length < 8) {
 	  setError('Password must be at least 8 characters long');
 	  return false;
@@ -104,7 +138,9 @@ const CreateWallet = ({ onSuccess, onBack }) => {
 	
 	for (let i = 0; i < verificationWords.length; i++) {
 	  if (selectedWords[i] !== verificationWords[i].word) {
-		setError('Selected words do not match your recovery phrase');
+		setError(useShares
+		  ? 'Selected words do not match this share'
+		  : 'Selected words do not match your recovery phrase');
 		return false;
 	  }
 	}
@@ -118,11 +154,19 @@ const CreateWallet = ({ onSuccess, onBack }) => {
 	try {
 	  setLoading(true);
 	  
-	  // Import wallet from mnemonic
-	  const wallet = await generateWallet();
+	  // Store the wallet whose recovery phrase was shown and verified,
+	  // re-derived with the passphrase if one was set
+	  const walletToStore = bip39Password
+		? await importFromMnemonic(mnemonic, DEFAULT_HD_PATH, bip39Password)
+		: wallet;
 	  
-	  // Store wallet securely
-	  await storeWallet(wallet, password);
+	  if (addWallet) {
+		// Added wallets are encrypted with the password of the unlocked session
+		await addSessionWallet(walletToStore, walletName);
+	  } else {
+		await storeWallet(walletToStore, password, walletName);
+		await unlock(password);
+	  }
 	  
 	  // Call success callback
 	  onSuccess();
@@ -134,28 +178,66 @@ const CreateWallet = ({ onSuccess, onBack }) => {
 	}
   };
   
+  // Handle share settings change; shares are split again with the new settings
+  const handleShareSettingsChange = (enabled, threshold, count) => {
+	setUseShares(enabled);
+	setShareThreshold(threshold);
+	setShareCount(count);
+	setShares([]);
+	setShareIndex(0);
+	setError(null);
+  };
+  
+  // Split the recovery phrase unless shares with these settings exist already
+  const prepareShares = async () => {
+	if (!useShares || shares.length > 0) {
+	  return true;
+	}
+	
+	try {
+	  setShares(await splitMnemonic(mnemonic, shareThreshold, shareCount));
+	  setShareIndex(0);
+	  return true;
+	} catch (err) {
+	  console.error('Failed to split recovery phrase:', err);
+	  setError('Failed to create shares. Please try again.');
+	  return false;
+	}
+  };
+  
   // Handle next step
-  const handleNextStep = () => {
+  const handleNextStep = async () => {
 	if (step === 1) {
-	  if (validatePassword()) {
+	  if (validatePassword() && await prepareShares()) {
 		setStep(2);
 	  }
 	} else if (step === 2) {
 	  setStep(3);
 	} else if (step === 3) {
-	  if (verifyMnemonic()) {
-		handleCreateWallet();
+	  if (!verifyMnemonic()) {
+		return;
+	  }
+	  
+	  // Every share is shown and verified before the wallet is created
+	  if (useShares && shareIndex < shares.length - 1) {
+		setShareIndex(shareIndex + 1);
+		setSelectedWords([]);
+		setShowMnemonic(false);
+		setStep(2);
+		return;
 	  }
+	  handleCreateWallet();
 	}
   };
   
   // Handle copy mnemonic
   const handleCopyMnemonic = async () => {
-	const success = await copyToClipboard(mnemonic);
+	const success = await copyToClipboard(phrase);
+	const label = useShares ? 'Share' : 'Recovery phrase';
 	if (success) {
-	  alert('Recovery phrase copied to clipboard');
+	  alert(`${label} copied to clipboard`);
 	} else {
-	  alert('Failed to copy recovery phrase');
+	  alert(`Failed to copy ${label.toLowerCase()}`);
 	}
   };
   
@@ -191,40 +273,133 @@ const CreateWallet = ({ onSuccess, onBack }) => {
 		</div>
 		
 		<div className="form-container" style={{ padding: '16px' }}>
-		  <h3 style={{ marginBottom: '16px' }}>Set Your Password</h3>
+		  <h3 style={{ marginBottom: '16px' }}>{addWallet ? 'Name Your Wallet' : 'Set Your Password'}</h3>
 		  <p style={{ marginBottom: '24px', color: 'var(--text-light)' }}>
-			This password will be used to unlock your wallet and confirm transactions.
+			{addWallet
+			  ? 'The new wallet will be unlocked with your current password.'
+			  : 'This password will be used to unlock your wallet and confirm transactions.'}
 		  </p>
 		  
 		  <div className="form-group">
-			<label className="form-label">Password</label>
+			<label className="form-label">Wallet Name (Optional)</label>
 			<input
-			  type="password"
+			  type="text"
 			  className="form-input"
-			  value={password}
-			  onChange={(e) => setPassword(e.target.value)}
-			  placeholder="Enter password"
+			  value={walletName}
+			  onChange={(e) => setWalletName(e.target.value)}
+			  placeholder="e.g. Personal, Treasury"
 			/>
 		  </div>
 		  
+		  {!addWallet && (
+			<>
+			  <div className="form-group">
+				<label className="form-label">Password</label>
+				<input
+				  type="password"
+				  className="form-input"
+				  value={password}
+				  onChange={(e) => setPassword(e.target.value)}
+				  placeholder="Enter password"
+				/>
+			  </div>
+			  
+			  <div className="form-group">
+				<label className="form-label">Confirm Password</label>
+				<input
+				  type="password"
+				  className="form-input"
+				  value={confirmPassword}
+				  onChange={(e) => setConfirmPassword(e.target.value)}
+				  placeholder="Confirm password"
+				/>
+			  </div>
+			</>
+		  )}
+		  
 		  <div className="form-group">
-			<label className="form-label">Confirm Password</label>
+			<label className="form-label">BIP39 Passphrase (Optional)</label>
 			<input
 			  type="password"
 			  className="form-input"
-			  value={confirmPassword}
-			  onChange={(e) => setConfirmPassword(e.target.value)}
-			  placeholder="Confirm password"
+			  value={bip39Password}
+			  onChange={(e) => setBip39Password(e.target.value)}
+			  placeholder="Extra word protecting your recovery phrase"
 			/>
 		  </div>
 		  
+		  {bip39Password && (
+			<div className="form-group">
+			  <label className="form-label">Confirm Passphrase</label>
+			  <input
+				type="password"
+				className="form-input"
+				value={confirmBip39Password}
+				onChange={(e) => setConfirmBip39Password(e.target.value)}
+				placeholder="Confirm passphrase"
+			  />
+			  <p style={{ fontSize: '12px', color: 'var(--text-light)', marginTop: '4px' }}>
+				You will need both the recovery phrase and this passphrase to restore the wallet.
+			  </p>
+			</div>
+		  )}
+		  
+		  <div className="form-group">
+			<label style={{ display: 'flex', alignItems: 'center' }}>
+			  <input
+				type="checkbox"
+				checked={useShares}
+				onChange={(e) => handleShareSettingsChange(e.target.checked, shareThreshold, shareCount)}
+				style={{ marginRight: '8px' }}
+			  />
+			  <span>Split into Shamir shares (SLIP-39)</span>
+			</label>
+		  </div>
+		  
+		  {useShares && (
+			<div className="form-group">
+			  <div style={{ display: 'flex', gap: '8px' }}>
+				<div style={{ flex: 1 }}>
+				  <label className="form-label">Shares Needed</label>
+				  <select
+					className="form-input"
+					value={shareThreshold}
+					onChange={(e) => handleShareSettingsChange(true, parseInt(e.target.value, 10), shareCount)}
+				  >
+					{Array.from({ length: shareCount - 1 }, (_, i) => i + 2).map(value => (
+					  <option key={value} value={value}>{value}</option>
+					))}
+				  </select>
+				</div>
+				<div style={{ flex: 1 }}>
+				  <label className="form-label">Total Shares</label>
+				  <select
+					className="form-input"
+					value={shareCount}
+					onChange={(e) => {
+					  const count = parseInt(e.target.value, 10);
+					  handleShareSettingsChange(true, Math.min(shareThreshold, count), count);
+					}}
+				  >
+					{Array.from({ length: MAX_SHARE_COUNT - 1 }, (_, i) => i + 2).map(value => (
+					  <option key={value} value={value}>{value}</option>
+					))}
+				  </select>
+				</div>
+			  </div>
+			  <p style={{ fontSize: '12px', color: 'var(--text-light)', marginTop: '4px' }}>
+				Instead of one recovery phrase you will write down {shareCount} shares. Any {shareThreshold} of them restore the wallet; fewer reveal nothing about it.
+			  </p>
+			</div>
+		  )}
+		  
 		  {error && <p className="form-error">{error}</p>}
 		  
 		  <button
 			className="button button-primary"
 			style={{ width: '100%', marginTop: '24px' }}
 			onClick={handleNextStep}
-			disabled={!password || !confirmPassword}
+			disabled={!addWallet && (!password || !confirmPassword)}
 		  >
 			Next
 		  </button>
@@ -239,14 +414,16 @@ const CreateWallet = ({ onSuccess, onBack }) => {
 	  <div className="create-wallet-container">
 		<div className="nav-container">
 		  <button className="nav-button" onClick={() => setStep(1)}>Back</button>
-		  <h2 className="nav-title">Recovery Phrase</h2>
+		  <h2 className="nav-title">{useShares ? `Share ${shareIndex + 1} of ${shares.length}` : 'Recovery Phrase'}</h2>
 		  <div></div>
 		</div>
 		
 		<div className="form-container" style={{ padding: '16px' }}>
-		  <h3 style={{ marginBottom: '16px' }}>Your Recovery Phrase</h3>
+		  <h3 style={{ marginBottom: '16px' }}>{useShares ? `Your Share ${shareIndex + 1}` : 'Your Recovery Phrase'}</h3>
 		  <p style={{ marginBottom: '24px', color: 'var(--text-light)' }}>
-			Write down these 24 words in order and keep them in a safe place. This phrase is the only way to recover your wallet.
+			{useShares
+			  ? `Write down these ${phrase.split(' ').length} words in order and keep this share apart from the others. Any ${shareThreshold} of your ${shares.length} shares recover your wallet.`
+			  : 'Write down these 24 words in order and keep them in a safe place. This phrase is the only way to recover your wallet.'}
 		  </p>
 		  
 		  <div className="mnemonic-container" style={{ 
@@ -265,13 +442,13 @@ const CreateWallet = ({ onSuccess, onBack }) => {
 				height: '150px',
 				textAlign: 'center'
 			  }}>
-				<p>Your recovery phrase is hidden for security</p>
+				<p>Your {useShares ? 'share' : 'recovery phrase'} is hidden for security</p>
 				<button
 				  className="button button-secondary"
 				  style={{ marginTop: '16px' }}
 				  onClick={() => setShowMnemonic(true)}
 				>
-				  Show Recovery Phrase
+				  {useShares ? 'Show Share' : 'Show Recovery Phrase'}
 				</button>
 			  </div>
 			) : (
@@ -280,7 +457,7 @@ const CreateWallet = ({ onSuccess, onBack }) => {
 				gridTemplateColumns: 'repeat(3, 1fr)',
 				gap: '8px'
 			  }}>
-				{mnemonic.split(' ').map((word, index) => (
+				{phrase.split(' ').map((word, index) => (
 				  <div key={index} style={{
 					display: 'flex',
 					alignItems: 'center',
@@ -320,8 +497,8 @@ const CreateWallet = ({ onSuccess, onBack }) => {
   
   // Render step 3: Verify mnemonic
   if (step === 3) {
-	// Get all words from mnemonic for shuffled options
-	const allWords = mnemonic.split(' ');
+	// Get all words from the phrase for shuffled options
+	const allWords = phrase.split(' ');
 	
 	// Shuffle options
 	const shuffledOptions = [...allWords]
@@ -343,14 +520,14 @@ const CreateWallet = ({ onSuccess, onBack }) => {
 	  <div className="create-wallet-container">
 		<div className="nav-container">
 		  <button className="nav-button" onClick={() => setStep(2)}>Back</button>
-		  <h2 className="nav-title">Verify Recovery Phrase</h2>
+		  <h2 className="nav-title">{useShares ? `Verify Share ${shareIndex + 1}` : 'Verify Recovery Phrase'}</h2>
 		  <div></div>
 		</div>
 		
 		<div className="form-container" style={{ padding: '16px' }}>
-		  <h3 style={{ marginBottom: '16px' }}>Verify Your Recovery Phrase</h3>
+		  <h3 style={{ marginBottom: '16px' }}>{useShares ? `Verify Share ${shareIndex + 1} of ${shares.length}` : 'Verify Your Recovery Phrase'}</h3>
 		  <p style={{ marginBottom: '24px', color: 'var(--text-light)' }}>
-			Select the following words from your recovery phrase:
+			Select the following words from your {useShares ? 'share' : 'recovery phrase'}:
 		  </p>
 		  
 		  <div className="verification-prompts" style={{ marginBottom: '16px' }}>
@@ -431,7 +608,9 @@ const CreateWallet = ({ onSuccess, onBack }) => {
 				style={{ marginRight: '8px' }}
 			  />
 			  <span>
-				I understand that if I lose my recovery phrase, I will not be able to access my wallet
+				{useShares
+				  ? `I understand that without ${shareThreshold} of my ${shares.length} shares, I will not be able to access my wallet`
+				  : 'I understand that if I lose my recovery phrase, I will not be able to access my wallet'}
 			  </span>
 			</label>
 		  </div>
@@ -444,7 +623,9 @@ const CreateWallet = ({ onSuccess, onBack }) => {
 			onClick={handleNextStep}
 			disabled={selectedWords.length !== verificationWords.length || !confirmChecked || loading}
 		  >
-			{loading ? 'Creating Wallet...' : 'Create Wallet'}
+			{loading
+			  ? 'Creating Wallet...'
+			  : (useShares && shareIndex < shares.length - 1 ? 'Next Share' : 'Create Wallet')}
 		  </button>
 		</div>
 	  </div>
@@ -2,11 +2,27 @@
 // Description: Dashboard component showing wallet balance and actions
 
 import React, { useState, useEffect } from 'react';
-import { loadWallet, getCurrentAccount } from '../../lib/keyring';
+import { getSigner, getWallets, getCurrentWalletId, setCurrentWallet, getAccounts, getCurrentAccount, saveSettings } from '../../lib/session';
 import CreataApiClient from '../../lib/api';
 import { formatAmount, truncateAddress } from '../../utils/helpers';
 import { networks } from '../../config/network';
 
+// Wallet selector entries that navigate instead of switching
+const CREATE_WALLET_OPTION = '__create';
+const IMPORT_WALLET_OPTION = '__import';
+
+/**
+ * Gets the display name of an account
+ * @param {Array} accounts - Account records
+ * @param {string} address - Account address
+ * @returns {string} - Account name
+ */
+const getAccountName = (accounts, address) => {
+  const index = (accounts || []).findIndex(acc => acc.address === address);
+  if (index < 0) return '';
+  return accounts[index].name || `Account ${index + 1}`;
+};
+
 /**
  * Dashboard component
  * @param {Object} props - Component props
@@ -14,15 +30,20 @@ import { networks } from '../../config/network';
  * @param {Function} props.onReceive - Receive callback
  * @param {Function} props.onStake - Stake callback
  * @param {Function} props.onSettings - Settings callback
+ * @param {Function} props.onCreateWallet - Create additional wallet callback
+ * @param {Function} props.onImportWallet - Import additional wallet callback
  * @param {Function} props.onLogout - Logout callback
  * @returns {JSX.Element} - Dashboard component
  */
-const Dashboard = ({ onSend, onReceive, onStake, onSettings, onLogout }) => {
+const Dashboard = ({ onSend, onReceive, onStake, onSettings, onCreateWallet, onImportWallet, onLogout }) => {
   // Component state
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [balance, setBalance] = useState('0');
   const [address, setAddress] = useState('');
+  const [accountName, setAccountName] = useState('');
+  const [wallets, setWallets] = useState([]);
+  const [walletId, setWalletId] = useState('');
   const [network, setNetwork] = useState('mainnet');
   const [transactions, setTransactions] = useState([]);
   const [refreshing, setRefreshing] = useState(false);
@@ -40,17 +61,25 @@ const Dashboard = ({ onSend, onReceive, onStake, onSettings, onLogout }) => {
 		const activeNetwork = networkData.creata_active_network || 'mainnet';
 		if (mounted) setNetwork(activeNetwork);
 		
-		// Get current session password from storage (in a real app, this would be more secure)
-		const sessionData = await chrome.storage.local.get(['creata_session']);
-		const password = sessionData.creata_session || '';
-		
-		// Load wallet and account
-		const walletInstance = await loadWallet(password);
+		// Load wallet and account from the background session
+		const walletInstance = await getSigner();
 		if (mounted) setWallet(walletInstance);
 		
-		const currentAccount = await getCurrentAccount(password);
+		const currentAccount = await getCurrentAccount();
 		if (mounted) setAddress(currentAccount);
 		
+		// Look up the label of the selected account
+		const accounts = await getAccounts();
+		if (mounted) setAccountName(getAccountName(accounts, currentAccount));
+		
+		// Load wallets for the wallet switcher
+		const walletList = await getWallets();
+		const currentWalletId = await getCurrentWalletId();
+		if (mounted) {
+		  setWallets(walletList);
+		  setWalletId(currentWalletId || '');
+		}
+		
 		// Create API client
 		const apiClient = new CreataApiClient(activeNetwork);
 		
@@ -83,7 +112,7 @@ const Dashboard = ({ onSend, onReceive, onStake, onSettings, onLogout }) => {
   }, []);
   
   // Refresh data
-  const refreshData = async () => {
+  const refreshData = async (targetAddress = address) => {
 	try {
 	  setRefreshing(true);
 	  
@@ -91,11 +120,11 @@ const Dashboard = ({ onSend, onReceive, onStake, onSettings, onLogout }) => {
 	  const apiClient = new CreataApiClient(network);
 	  
 	  // Get account balance
-	  const balanceAmount = await apiClient.getBalance(address);
+	  const balanceAmount = await apiClient.getBalance(targetAddress);
 	  setBalance(balanceAmount);
 	  
 	  // Get recent transactions
-	  const txData = await apiClient.getAccountTransactions(address, 5);
+	  const txData = await apiClient.getAccountTransactions(targetAddress, 5);
 	  setTransactions(txData.txs || []);
 	} catch (err) {
 	  console.error('Failed to refresh data:', err);
@@ -113,15 +142,55 @@ const Dashboard = ({ onSend, onReceive, onStake, onSettings, onLogout }) => {
   // Handle network change
   const handleNetworkChange = async (e) => {
 	const newNetwork = e.target.value;
+	const previousNetwork = network;
 	setNetwork(newNetwork);
 	
-	// Save to storage
-	await chrome.storage.local.set({ creata_active_network: newNetwork });
+	try {
+	  // Save to storage
+	  await saveSettings({ creata_active_network: newNetwork });
+	} catch (err) {
+	  console.error('Failed to save network:', err);
+	  setNetwork(previousNetwork);
+	  setError('Failed to save network. Please try again.');
+	  return;
+	}
 	
 	// Refresh data for new network
 	refreshData();
   };
   
+  // Handle wallet switch
+  const handleWalletChange = async (e) => {
+	const value = e.target.value;
+	
+	if (value === CREATE_WALLET_OPTION) {
+	  onCreateWallet();
+	  return;
+	}
+	if (value === IMPORT_WALLET_OPTION) {
+	  onImportWallet();
+	  return;
+	}
+	
+	try {
+	  // Switch to the first account of the selected wallet
+	  const newAddress = await setCurrentWallet(value);
+	  const walletInstance = await getSigner(value);
+	  const accounts = await getAccounts();
+	  
+	  setWalletId(value);
+	  setWallet(walletInstance);
+	  setAddress(newAddress);
+	  setAccountName(getAccountName(accounts, newAddress));
+	  setTransactions([]);
+	  
+	  refreshData(newAddress);
+	} catch (err) {
+	  console.error('Failed to switch wallet:', err);
+	  setError('Failed to switch wallet. Please try again.');
+	}
+  };
+  
   // Format transaction type
   const formatTxType = (tx) => {
 	if (!tx.body || !tx.body.messages || tx.body.messages.length === 0) {
@@ -204,7 +273,7 @@ const Dashboard = ({ onSend, onReceive, onStake, onSettings, onLogout }) => {
 	  <div className="error-container">
 		<h3>Error</h3>
 		<p>{error}</p>
-		<button className="button button-primary" onClick={refreshData}>Try Again</button>
+		<button className="button button-primary" onClick={() => { setError(null); refreshData(); }}>Try Again</button>
 	  </div>
 	);
   }
@@ -239,7 +308,43 @@ const Dashboard = ({ onSend, onReceive, onStake, onSettings, onLogout }) => {
 	  </div>
 	  
 	  <div className="dashboard-content" style={{ padding: '0 16px' }}>
+		<div className="wallet-selector" style={{ textAlign: 'center', marginTop: '12px' }}>
+		  <select
+			value={walletId}
+			onChange={handleWalletChange}
+			style={{
+			  border: 'none',
+			  background: 'var(--background-light)',
+			  padding: '4px 8px',
+			  borderRadius: '4px',
+			  fontSize: '14px',
+			  fontWeight: '500'
+			}}
+		  >
+			{wallets.map(w => (
+			  <option key={w.id} value={w.id}>{w.name}</option>
+			))}
+			<option value={CREATE_WALLET_OPTION}>+ Create new wallet</option>
+			<option value={IMPORT_WALLET_OPTION}>+ Import or watch wallet</option>
+		  </select>
+		</div>
+		
 		<div className="address-container" style={{ textAlign: 'center', margin: '8px 0 16px' }}>
+		  {accountName && (
+			<p style={{ fontWeight: '500', marginBottom: '4px' }}>{accountName}</p>
+		  )}
+		  {wallet && wallet.watchOnly && (
+			<span style={{
+			  display: 'inline-block',
+			  fontSize: '12px',
+			  background: 'var(--background-light)',
+			  padding: '2px 6px',
+			  borderRadius: '4px',
+			  marginBottom: '4px'
+			}}>
+			  Watch-only
+			</span>
+		  )}
 		  <p style={{ fontSize: '14px', color: 'var(--text-light)' }}>
 			{truncateAddress(address, 10, 6)}
 			<button
@@ -2,30 +2,295 @@
 // Description: Component for importing an existing wallet
 
 import React, { useState } from 'react';
-import { importFromMnemonic, storeWallet } from '../../lib/keyring';
-import { isValidMnemonic } from '../../utils/helpers';
+import {
+  ETH_COIN_TYPE,
+  COSMOS_COIN_TYPE,
+  makeHdPath,
+  importFromMnemonic,
+  discoverAccounts,
+  recoverMnemonic,
+  importFromPrivateKey,
+  importFromKeystore,
+  importWatchOnly,
+  storeWallet
+} from '../../lib/keyring';
+import CreataApiClient from '../../lib/api';
+import { addWallet as addSessionWallet, unlock } from '../../lib/session';
+import { isValidShare } from '../../lib/slip39';
+import { formatAmount, isValidMnemonic, isValidPrivateKey, isValidAddress } from '../../utils/helpers';
+import { networks } from '../../config/network';
+
+// Address indices scanned per coin type during account discovery
+const DISCOVERY_ACCOUNT_COUNT = 5;
+
+/**
+ * Cleans a mnemonic (removes extra spaces, lowercases)
+ * @param {string} mnemonic - Mnemonic as entered
+ * @returns {string} - Cleaned mnemonic
+ */
+const cleanMnemonic = (mnemonic) => mnemonic.trim().toLowerCase().replace(/\s+/g, ' ');
 
 /**
  * Import wallet component
  * @param {Object} props - Component props
  * @param {Function} props.onSuccess - Success callback
  * @param {Function} props.onBack - Back callback
+ * @param {boolean} props.addWallet - Whether a wallet is added next to existing ones
  * @returns {JSX.Element} - Import wallet component
  */
-const ImportWallet = ({ onSuccess, onBack }) => {
+const ImportWallet = ({ onSuccess, onBack, addWallet = false }) => {
   // Component state
+  const [tab, setTab] = useState('mnemonic'); // mnemonic, privateKey, keystore, watchOnly
+  const [walletName, setWalletName] = useState('');
   const [mnemonic, setMnemonic] = useState('');
+  const [useShares, setUseShares] = useState(false);
+  const [bip39Password, setBip39Password] = useState('');
+  const [privateKey, setPrivateKey] = useState('');
+  const [keystore, setKeystore] = useState(null);
+  const [keystoreFileName, setKeystoreFileName] = useState('');
+  const [keystorePassword, setKeystorePassword] = useState('');
+  const [watchAddress, setWatchAddress] = useState('');
   const [password, setPassword] = useState('');
   const [confirmPassword, setConfirmPassword] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [mnemonicError, setMnemonicError] = useState(null);
+  const [privateKeyError, setPrivateKeyError] = useState(null);
+  const [keystoreError, setKeystoreError] = useState(null);
+  const [watchAddressError, setWatchAddressError] = useState(null);
+  
+  // Advanced HD path state
+  const [showAdvanced, setShowAdvanced] = useState(false);
+  const [hdPathFields, setHdPathFields] = useState({
+	coinType: String(ETH_COIN_TYPE),
+	account: '0',
+	change: '0',
+	index: '0'
+  });
+  const [hdPathError, setHdPathError] = useState(null);
+  const [previewAddress, setPreviewAddress] = useState('');
+  const [previewing, setPreviewing] = useState(false);
+  
+  // Account discovery state
+  const [discovered, setDiscovered] = useState(null);
+  const [scanning, setScanning] = useState(false);
+  const [network, setNetwork] = useState('mainnet');
   const [passwordError, setPasswordError] = useState(null);
 
   // Handle mnemonic input
   const handleMnemonicChange = (e) => {
 	setMnemonic(e.target.value);
 	setMnemonicError(null);
+	setPreviewAddress('');
+	setDiscovered(null);
+	setError(null);
+  };
+
+  // Handle switch between a recovery phrase and Shamir shares
+  const handleUseSharesChange = (e) => {
+	setUseShares(e.target.checked);
+	setMnemonicError(null);
+	setPreviewAddress('');
+	setDiscovered(null);
+	setError(null);
+  };
+
+  // Splits the shares input into one share per line
+  const getShareLines = () => mnemonic.split('\n').map(cleanMnemonic).filter(Boolean);
+
+  // Checks the recovery phrase, or every share, without combining them
+  const isValidPhraseInput = () => {
+	if (!useShares) {
+	  return isValidMnemonic(mnemonic.trim());
+	}
+	const lines = getShareLines();
+	return lines.length > 0 && lines.every(isValidShare);
+  };
+
+  // Gets the recovery phrase, combining the shares if needed; returns null
+  // and shows the reason when the shares cannot be combined
+  const resolveMnemonic = async () => {
+	if (!useShares) {
+	  return cleanMnemonic(mnemonic);
+	}
+
+	try {
+	  return await recoverMnemonic(getShareLines());
+	} catch (err) {
+	  console.error('Failed to combine shares:', err);
+	  setMnemonicError(err.message);
+	  return null;
+	}
+  };
+
+  // Handle BIP39 passphrase input
+  const handleBip39PasswordChange = (e) => {
+	setBip39Password(e.target.value);
+	setPreviewAddress('');
+	setDiscovered(null);
+	setError(null);
+  };
+
+  // Handle HD path field input
+  const handleHdPathFieldChange = (field, value) => {
+	setHdPathFields({ ...hdPathFields, [field]: value });
+	setHdPathError(null);
+	setPreviewAddress('');
+	setError(null);
+  };
+
+  // Builds the HD path from the advanced fields
+  const getHdPath = () => makeHdPath(
+	parseInt(hdPathFields.coinType, 10),
+	parseInt(hdPathFields.account, 10),
+	parseInt(hdPathFields.change, 10),
+	parseInt(hdPathFields.index, 10)
+  );
+
+  // Handle account discovery scan
+  const handleScan = async () => {
+	if (!isValidPhraseInput()) {
+	  setMnemonicError(`Enter a valid ${useShares ? 'set of shares' : 'recovery phrase'} to scan for accounts`);
+	  return;
+	}
+
+	try {
+	  setScanning(true);
+	  setShowAdvanced(false);
+	  setError(null);
+
+	  const phrase = await resolveMnemonic();
+	  if (!phrase) {
+		return;
+	  }
+
+	  // Get active network from storage
+	  const networkData = await chrome.storage.local.get(['creata_active_network']);
+	  const activeNetwork = networkData.creata_active_network || 'mainnet';
+	  setNetwork(activeNetwork);
+
+	  const candidates = await discoverAccounts(phrase, DISCOVERY_ACCOUNT_COUNT, bip39Password);
+	  const apiClient = new CreataApiClient(activeNetwork);
+
+	  // An account is worth restoring if it holds funds or exists on chain
+	  const results = await Promise.all(candidates.map(async (candidate) => {
+		try {
+		  const [account, balances] = await Promise.all([
+			apiClient.getAccount(candidate.address),
+			apiClient.getBalances(candidate.address)
+		  ]);
+		  const nativeBalance = balances.find(b => b.denom === networks[activeNetwork].nativeDenom);
+		  const balance = nativeBalance ? nativeBalance.amount : '0';
+		  const used = Boolean(account) || balances.length > 0;
+		  return { ...candidate, balance, used, selected: used };
+		} catch (err) {
+		  console.error(`Failed to query ${candidate.address}:`, err);
+		  return { ...candidate, balance: null, used: false, selected: false };
+		}
+	  }));
+
+	  // Keep the default account selected when nothing was found
+	  if (!results.some(result => result.selected)) {
+		results[0].selected = true;
+	  }
+
+	  setDiscovered(results);
+	} catch (err) {
+	  console.error('Failed to scan accounts:', err);
+	  setError('Failed to scan for accounts. Please try again.');
+	} finally {
+	  setScanning(false);
+	}
+  };
+
+  // Handle discovered account selection
+  const handleToggleDiscovered = (hdPath) => {
+	setDiscovered(discovered.map(candidate => (
+	  candidate.hdPath === hdPath ? { ...candidate, selected: !candidate.selected } : candidate
+	)));
+	setError(null);
+  };
+
+  // Handle address preview
+  const handlePreview = async () => {
+	if (!isValidPhraseInput()) {
+	  setMnemonicError(`Enter a valid ${useShares ? 'set of shares' : 'recovery phrase'} to preview the address`);
+	  return;
+	}
+
+	let hdPath;
+	try {
+	  hdPath = getHdPath();
+	} catch (err) {
+	  setHdPathError(err.message);
+	  return;
+	}
+
+	try {
+	  setPreviewing(true);
+	  const phrase = await resolveMnemonic();
+	  if (!phrase) {
+		return;
+	  }
+	  const wallet = await importFromMnemonic(phrase, hdPath, bip39Password);
+	  const [account] = await wallet.getAccounts();
+	  setPreviewAddress(account.address);
+	} catch (err) {
+	  console.error('Failed to preview address:', err);
+	  setError('Failed to derive the address. Please check your recovery phrase.');
+	} finally {
+	  setPreviewing(false);
+	}
+  };
+
+  // Handle private key input
+  const handlePrivateKeyChange = (e) => {
+	setPrivateKey(e.target.value);
+	setPrivateKeyError(null);
+	setError(null);
+  };
+
+  // Handle keystore file selection
+  const handleKeystoreFileChange = async (e) => {
+	const file = e.target.files[0];
+	setKeystore(null);
+	setKeystoreError(null);
+	setError(null);
+	if (!file) {
+	  setKeystoreFileName('');
+	  return;
+	}
+
+	setKeystoreFileName(file.name);
+	try {
+	  setKeystore(JSON.parse(await file.text()));
+	} catch (err) {
+	  console.error('Failed to read keystore file:', err);
+	  setKeystoreError('This file is not a valid keystore');
+	}
+  };
+
+  // Handle keystore password input
+  const handleKeystorePasswordChange = (e) => {
+	setKeystorePassword(e.target.value);
+	setKeystoreError(null);
+	setError(null);
+  };
+
+  // Handle watch-only address input
+  const handleWatchAddressChange = (e) => {
+	setWatchAddress(e.target.value);
+	setWatchAddressError(null);
+	setError(null);
+  };
+
+  // Handle tab switch
+  const handleTabChange = (newTab) => {
+	setTab(newTab);
+	setMnemonicError(null);
+	setPrivateKeyError(null);
+	setKeystoreError(null);
+	setWatchAddressError(null);
 	setError(null);
   };
 
@@ -47,16 +312,60 @@ const ImportWallet = ({ onSuccess, onBack }) => {
   const validateForm = () => {
 	let isValid = true;
 
-	// Validate mnemonic
-	if (!mnemonic.trim()) {
-	  setMnemonicError('Recovery phrase is required');
+	// Validate mnemonic, private key, keystore or address depending on the active tab
+	if (tab === 'mnemonic') {
+	  if (!mnemonic.trim()) {
+		setMnemonicError(useShares ? 'Shares are required' : 'Recovery phrase is required');
+		isValid = false;
+	  } else if (!isValidPhraseInput()) {
+		setMnemonicError(useShares
+		  ? 'Invalid share. Please check each share for missing or mistyped words'
+		  : 'Invalid recovery phrase format. Please enter a valid 12/15/18/21/24-word phrase');
+		isValid = false;
+	  }
+	  
+	  if (discovered) {
+		if (!discovered.some(candidate => candidate.selected)) {
+		  setError('Select at least one account to import');
+		  isValid = false;
+		}
+	  } else {
+		try {
+		  getHdPath();
+		} catch (err) {
+		  setHdPathError(err.message);
+		  isValid = false;
+		}
+	  }
+	} else if (tab === 'keystore') {
+	  if (!keystore) {
+		setKeystoreError('Choose a keystore file');
+		isValid = false;
+	  } else if (!keystorePassword) {
+		setKeystoreError('Keystore password is required');
+		isValid = false;
+	  }
+	} else if (tab === 'watchOnly') {
+	  if (!watchAddress.trim()) {
+		setWatchAddressError('Address is required');
+		isValid = false;
+	  } else if (!isValidAddress(watchAddress.trim())) {
+		setWatchAddressError('Invalid address. Please enter a creata... account address');
+		isValid = false;
+	  }
+	} else if (!privateKey.trim()) {
+	  setPrivateKeyError('Private key is required');
 	  isValid = false;
-	} else if (!isValidMnemonic(mnemonic.trim())) {
-	  setMnemonicError('Invalid recovery phrase format. Please enter a valid 12/15/18/21/24-word phrase');
+	} else if (!isValidPrivateKey(privateKey.trim())) {
+	  setPrivateKeyError('Invalid private key. Please enter a 64-character hex key (0x prefix optional)');
 	  isValid = false;
 	}
 
-	// Validate password
+	// Validate password (added wallets share the password of the existing ones)
+	if (addWallet) {
+	  return isValid;
+	}
+	
 	if (!password) {
 	  setPasswordError('Password is required');
 	  isValid = false;
@@ -82,20 +391,58 @@ const ImportWallet = ({ onSuccess, onBack }) => {
 	  setLoading(true);
 	  setError(null);
 
-	  // Clean mnemonic (remove extra spaces, lowercase)
-	  const cleanedMnemonic = mnemonic.trim().toLowerCase().replace(/\s+/g, ' ');
-
-	  // Import wallet from mnemonic
-	  const wallet = await importFromMnemonic(cleanedMnemonic);
+	  let wallet;
+	  if (tab === 'mnemonic') {
+		// Import the accounts picked after a scan, or the one on the chosen HD path
+		const hdPaths = discovered
+		  ? discovered.filter(candidate => candidate.selected).map(candidate => candidate.hdPath)
+		  : getHdPath();
+		const phrase = await resolveMnemonic();
+		if (!phrase) {
+		  return;
+		}
+		wallet = await importFromMnemonic(phrase, hdPaths, bip39Password);
+	  } else if (tab === 'keystore') {
+		// Decrypt the private key held in the keystore
+		wallet = await importFromKeystore(keystore, keystorePassword);
+	  } else if (tab === 'watchOnly') {
+		// Track the address without any key
+		wallet = await importWatchOnly(watchAddress.trim());
+	  } else {
+		// Import wallet from private key
+		wallet = await importFromPrivateKey(privateKey.trim());
+	  }
 
-	  // Store wallet securely
-	  await storeWallet(wallet, password);
+	  if (addWallet) {
+		// Added wallets are encrypted with the password of the unlocked session
+		await addSessionWallet(wallet, walletName);
+	  } else {
+		// Store wallet securely and start a session with it
+		await storeWallet(wallet, password, walletName);
+		await unlock(password);
+	  }
 
 	  // Call success callback
 	  onSuccess();
 	} catch (err) {
 	  console.error('Failed to import wallet:', err);
-	  setError('Failed to import wallet. Please check your recovery phrase and try again.');
+	  if (err.message === 'This wallet has already been added') {
+		setError('This wallet has already been added.');
+		return;
+	  }
+	  if (tab === 'keystore') {
+		setError(err.message === 'Incorrect keystore password'
+		  ? 'Incorrect keystore password.'
+		  : 'Failed to import wallet. Please check the keystore file and try again.');
+		return;
+	  }
+	  if (tab === 'watchOnly') {
+		setError('Failed to add watch-only account. Please check the address and try again.');
+		return;
+	  }
+	  setError(tab === 'mnemonic'
+		? 'Failed to import wallet. Please check your recovery phrase and try again.'
+		: 'Failed to import wallet. Please check your private key and try again.');
 	} finally {
 	  setLoading(false);
 	}
@@ -112,57 +459,392 @@ const ImportWallet = ({ onSuccess, onBack }) => {
 	  </div>
 
 	  <div className="form-container" style={{ padding: '16px' }}>
-		<h3 style={{ marginBottom: '16px' }}>Import from Recovery Phrase</h3>
-		<p style={{ marginBottom: '24px', color: 'var(--text-light)' }}>
-		  Enter your recovery phrase to restore your wallet. This will be a 12 to 24-word phrase you were given when you created your wallet.
-		</p>
-
-		<div className="form-group">
-		  <label className="form-label">Recovery Phrase</label>
-		  <textarea
-			className="form-input"
-			style={{ 
-			  minHeight: '120px', 
-			  resize: 'vertical',
-			  fontFamily: 'inherit',
-			  border: mnemonicError ? '1px solid var(--danger-color)' : '1px solid var(--border-color)'
+		<div className="tabs" style={{ 
+		  display: 'flex', 
+		  borderBottom: '1px solid var(--border-color)',
+		  marginBottom: '16px'
+		}}>
+		  <button
+			className={`tab-button ${tab === 'mnemonic' ? 'active' : ''}`}
+			style={{
+			  flex: 1,
+			  padding: '12px',
+			  background: 'none',
+			  border: 'none',
+			  borderBottom: tab === 'mnemonic' ? '2px solid var(--primary-color)' : 'none',
+			  color: tab === 'mnemonic' ? 'var(--primary-color)' : 'var(--text-color)',
+			  fontWeight: tab === 'mnemonic' ? '500' : 'normal',
+			  cursor: 'pointer'
 			}}
-			value={mnemonic}
-			onChange={handleMnemonicChange}
-			placeholder="Enter your recovery phrase, separated by spaces"
-		  />
-		  {mnemonicError && <p className="form-error">{mnemonicError}</p>}
-		</div>
-
-		<div className="form-group">
-		  <label className="form-label">New Password</label>
-		  <input
-			type="password"
-			className="form-input"
+			onClick={() => handleTabChange('mnemonic')}
+		  >
+			Recovery Phrase
+		  </button>
+		  
+		  <button
+			className={`tab-button ${tab === 'privateKey' ? 'active' : ''}`}
 			style={{
-			  border: passwordError ? '1px solid var(--danger-color)' : '1px solid var(--border-color)'
+			  flex: 1,
+			  padding: '12px',
+			  background: 'none',
+			  border: 'none',
+			  borderBottom: tab === 'privateKey' ? '2px solid var(--primary-color)' : 'none',
+			  color: tab === 'privateKey' ? 'var(--primary-color)' : 'var(--text-color)',
+			  fontWeight: tab === 'privateKey' ? '500' : 'normal',
+			  cursor: 'pointer'
 			}}
-			value={password}
-			onChange={handlePasswordChange}
-			placeholder="Enter new password"
-		  />
+			onClick={() => handleTabChange('privateKey')}
+		  >
+			Private Key
+		  </button>
+		  
+		  <button
+			className={`tab-button ${tab === 'keystore' ? 'active' : ''}`}
+			style={{
+			  flex: 1,
+			  padding: '12px',
+			  background: 'none',
+			  border: 'none',
+			  borderBottom: tab === 'keystore' ? '2px solid var(--primary-color)' : 'none',
+			  color: tab === 'keystore' ? 'var(--primary-color)' : 'var(--text-color)',
+			  fontWeight: tab === 'keystore' ? '500' : 'normal',
+			  cursor: 'pointer'
+			}}
+			onClick={() => handleTabChange('keystore')}
+		  >
+			Keystore
+		  </button>
+		  
+		  <button
+			className={`tab-button ${tab === 'watchOnly' ? 'active' : ''}`}
+			style={{
+			  flex: 1,
+			  padding: '12px',
+			  background: 'none',
+			  border: 'none',
+			  borderBottom: tab === 'watchOnly' ? '2px solid var(--primary-color)' : 'none',
+			  color: tab === 'watchOnly' ? 'var(--primary-color)' : 'var(--text-color)',
+			  fontWeight: tab === 'watchOnly' ? '500' : 'normal',
+			  cursor: 'pointer'
+			}}
+			onClick={() => handleTabChange('watchOnly')}
+		  >
+			Watch-only
+		  </button>
 		</div>
 
+		{tab === 'watchOnly' && (
+		  <>
+			<h3 style={{ marginBottom: '16px' }}>Watch an Address</h3>
+			<p style={{ marginBottom: '24px', color: 'var(--text-light)' }}>
+			  Track the balance, history and delegations of an address without its key. Transactions for it can be exported unsigned and signed offline.
+			</p>
+
+			<div className="form-group">
+			  <label className="form-label">Address</label>
+			  <input
+				type="text"
+				className="form-input"
+				style={{
+				  fontFamily: 'monospace',
+				  border: watchAddressError ? '1px solid var(--danger-color)' : '1px solid var(--border-color)'
+				}}
+				value={watchAddress}
+				onChange={handleWatchAddressChange}
+				placeholder="creata..."
+			  />
+			  {watchAddressError && <p className="form-error">{watchAddressError}</p>}
+			</div>
+		  </>
+		)}
+
+		{tab === 'mnemonic' && (
+		  <>
+			<h3 style={{ marginBottom: '16px' }}>Import from Recovery Phrase</h3>
+			<p style={{ marginBottom: '24px', color: 'var(--text-light)' }}>
+			  {useShares
+				? 'Enter the Shamir shares Creata Wallet created for your wallet, one share per line. You need as many shares as were required when they were created.'
+				: 'Enter your recovery phrase to restore your wallet. This will be a 12 to 24-word phrase you were given when you created your wallet.'}
+			</p>
+
+			<div className="form-group">
+			  <label style={{ display: 'flex', alignItems: 'center' }}>
+				<input
+				  type="checkbox"
+				  checked={useShares}
+				  onChange={handleUseSharesChange}
+				  style={{ marginRight: '8px' }}
+				/>
+				<span>Restore from Shamir shares (SLIP-39)</span>
+			  </label>
+			</div>
+
+			<div className="form-group">
+			  <label className="form-label">{useShares ? 'Shares' : 'Recovery Phrase'}</label>
+			  <textarea
+				className="form-input"
+				style={{ 
+				  minHeight: '120px', 
+				  resize: 'vertical',
+				  fontFamily: 'inherit',
+				  border: mnemonicError ? '1px solid var(--danger-color)' : '1px solid var(--border-color)'
+				}}
+				value={mnemonic}
+				onChange={handleMnemonicChange}
+				placeholder={useShares
+				  ? 'Enter each share on its own line'
+				  : 'Enter your recovery phrase, separated by spaces'}
+			  />
+			  {mnemonicError && <p className="form-error">{mnemonicError}</p>}
+			</div>
+
+			<div className="form-group">
+			  <label className="form-label">BIP39 Passphrase (Optional)</label>
+			  <input
+				type="password"
+				className="form-input"
+				value={bip39Password}
+				onChange={handleBip39PasswordChange}
+				placeholder="Only if your recovery phrase has one"
+			  />
+			</div>
+
+			<button
+			  className="button button-secondary"
+			  style={{ width: '100%', marginBottom: '16px' }}
+			  onClick={handleScan}
+			  disabled={scanning}
+			>
+			  {scanning ? 'Scanning...' : 'Scan for Existing Accounts'}
+			</button>
+
+			{discovered && (
+			  <div className="discovered-accounts" style={{ marginBottom: '16px' }}>
+				<p style={{ fontSize: '12px', color: 'var(--text-light)', marginBottom: '8px' }}>
+				  Accounts with funds or on-chain history are selected. Pick the ones to import.
+				</p>
+				{discovered.map(candidate => (
+				  <label
+					key={candidate.hdPath}
+					style={{
+					  display: 'flex',
+					  alignItems: 'center',
+					  padding: '8px',
+					  borderBottom: '1px solid var(--border-color)',
+					  cursor: 'pointer'
+					}}
+				  >
+					<input
+					  type="checkbox"
+					  checked={candidate.selected}
+					  onChange={() => handleToggleDiscovered(candidate.hdPath)}
+					  style={{ marginRight: '8px' }}
+					/>
+					<div style={{ flex: 1, minWidth: 0 }}>
+					  <div style={{ fontSize: '12px', fontFamily: 'monospace', wordBreak: 'break-all' }}>
+						{candidate.address}
+					  </div>
+					  <div style={{ fontSize: '11px', color: 'var(--text-light)' }}>
+						{candidate.hdPath}
+						{' · '}
+						{candidate.balance === null
+						  ? 'Balance unavailable'
+						  : `${formatAmount(candidate.balance, networks[network].decimals)} ${networks[network].displayDenom}`}
+						{candidate.used && ' · Used'}
+					  </div>
+					</div>
+				  </label>
+				))}
+			  </div>
+			)}
+
+			<button
+			  style={{
+				background: 'none',
+				border: 'none',
+				color: 'var(--primary-color)',
+				cursor: 'pointer',
+				fontSize: '14px',
+				padding: 0,
+				marginBottom: '16px'
+			  }}
+			  onClick={() => {
+				// A custom path replaces the scanned accounts
+				setShowAdvanced(!showAdvanced);
+				setDiscovered(null);
+			  }}
+			>
+			  {showAdvanced ? 'Hide advanced options' : 'Advanced: derivation path'}
+			</button>
+
+			{showAdvanced && (
+			  <div className="advanced-options" style={{
+				background: 'var(--background-light)',
+				padding: '12px',
+				borderRadius: '8px',
+				marginBottom: '16px'
+			  }}>
+				<p style={{ fontSize: '12px', color: 'var(--text-light)', marginBottom: '12px' }}>
+				  Use coin type 118 for accounts created with Keplr or older Creata tooling. Coin type 60 is used by MetaMask and current Creata wallets.
+				</p>
+
+				<div className="form-group">
+				  <label className="form-label">Coin Type</label>
+				  <select
+					className="form-input"
+					value={hdPathFields.coinType}
+					onChange={(e) => handleHdPathFieldChange('coinType', e.target.value)}
+				  >
+					<option value={String(ETH_COIN_TYPE)}>{ETH_COIN_TYPE} (Ethereum / Evmos)</option>
+					<option value={String(COSMOS_COIN_TYPE)}>{COSMOS_COIN_TYPE} (Cosmos / Keplr)</option>
+				  </select>
+				</div>
+
+				<div style={{ display: 'flex', gap: '8px' }}>
+				  {[['account', 'Account'], ['change', 'Change'], ['index', 'Index']].map(([field, label]) => (
+					<div key={field} className="form-group" style={{ flex: 1 }}>
+					  <label className="form-label">{label}</label>
+					  <input
+						type="number"
+						min="0"
+						className="form-input"
+						value={hdPathFields[field]}
+						onChange={(e) => handleHdPathFieldChange(field, e.target.value)}
+					  />
+					</div>
+				  ))}
+				</div>
+
+				<p style={{ fontSize: '12px', fontFamily: 'monospace', marginBottom: '8px' }}>
+				  m/44'/{hdPathFields.coinType}'/{hdPathFields.account}'/{hdPathFields.change}/{hdPathFields.index}
+				</p>
+				{hdPathError && <p className="form-error">{hdPathError}</p>}
+
+				<button
+				  className="button button-secondary"
+				  style={{ width: '100%' }}
+				  onClick={handlePreview}
+				  disabled={previewing}
+				>
+				  {previewing ? 'Deriving...' : 'Preview Address'}
+				</button>
+
+				{previewAddress && (
+				  <div style={{ marginTop: '12px', fontSize: '14px', wordBreak: 'break-all' }}>
+					<div style={{ color: 'var(--text-light)', marginBottom: '4px' }}>Address:</div>
+					<span style={{ fontFamily: 'monospace' }}>{previewAddress}</span>
+				  </div>
+				)}
+			  </div>
+			)}
+		  </>
+		)}
+
+		{tab === 'privateKey' && (
+		  <>
+			<h3 style={{ marginBottom: '16px' }}>Import from Private Key</h3>
+			<p style={{ marginBottom: '24px', color: 'var(--text-light)' }}>
+			  Enter a hex private key, such as one exported from MetaMask or with <code>evmosd keys export --unarmored-hex</code>.
+			</p>
+
+			<div className="form-group">
+			  <label className="form-label">Private Key</label>
+			  <input
+				type="password"
+				className="form-input"
+				style={{
+				  fontFamily: 'monospace',
+				  border: privateKeyError ? '1px solid var(--danger-color)' : '1px solid var(--border-color)'
+				}}
+				value={privateKey}
+				onChange={handlePrivateKeyChange}
+				placeholder="0x..."
+			  />
+			  {privateKeyError && <p className="form-error">{privateKeyError}</p>}
+			</div>
+		  </>
+		)}
+
+		{tab === 'keystore' && (
+		  <>
+			<h3 style={{ marginBottom: '16px' }}>Import from Keystore</h3>
+			<p style={{ marginBottom: '24px', color: 'var(--text-light)' }}>
+			  Choose an Ethereum V3 keystore file (UTC--...), such as one written by geth or MyEtherWallet, and enter the password it was encrypted with.
+			</p>
+
+			<div className="form-group">
+			  <label className="form-label">Keystore File</label>
+			  <input
+				type="file"
+				className="form-input"
+				onChange={handleKeystoreFileChange}
+			  />
+			  {keystoreFileName && (
+				<p style={{ fontSize: '12px', color: 'var(--text-light)', marginTop: '4px' }}>{keystoreFileName}</p>
+			  )}
+			</div>
+
+			<div className="form-group">
+			  <label className="form-label">Keystore Password</label>
+			  <input
+				type="password"
+				className="form-input"
+				style={{
+				  border: keystoreError ? '1px solid var(--danger-color)' : '1px solid var(--border-color)'
+				}}
+				value={keystorePassword}
+				onChange={handleKeystorePasswordChange}
+				placeholder="Password of the keystore file"
+			  />
+			  {keystoreError && <p className="form-error">{keystoreError}</p>}
+			</div>
+		  </>
+		)}
+
 		<div className="form-group">
-		  <label className="form-label">Confirm Password</label>
+		  <label className="form-label">Wallet Name (Optional)</label>
 		  <input
-			type="password"
+			type="text"
 			className="form-input"
-			style={{
-			  border: passwordError ? '1px solid var(--danger-color)' : '1px solid var(--border-color)'
-			}}
-			value={confirmPassword}
-			onChange={handleConfirmPasswordChange}
-			placeholder="Confirm new password"
+			value={walletName}
+			onChange={(e) => setWalletName(e.target.value)}
+			placeholder="e.g. Personal, Treasury"
 		  />
-		  {passwordError && <p className="form-error">{passwordError}</p>}
 		</div>
 
+		{!addWallet && (
+		  <>
+			<div className="form-group">
+			  <label className="form-label">New Password</label>
+			  <input
+				type="password"
+				className="form-input"
+				style={{
+				  border: passwordError ? '1px solid var(--danger-color)' : '1px solid var(--border-color)'
+				}}
+				value={password}
+				onChange={handlePasswordChange}
+				placeholder="Enter new password"
+			  />
+			</div>
+
+			<div className="form-group">
+			  <label className="form-label">Confirm Password</label>
+			  <input
+				type="password"
+				className="form-input"
+				style={{
+				  border: passwordError ? '1px solid var(--danger-color)' : '1px solid var(--border-color)'
+				}}
+				value={confirmPassword}
+				onChange={handleConfirmPasswordChange}
+				placeholder="Confirm new password"
+			  />
+			  {passwordError && <p className="form-error">{passwordError}</p>}
+			</div>
+		  </>
+		)}
+
 		{error && (
 		  <div className="error-message" style={{ 
 			background: '#fff1f0', 
@@ -188,13 +870,13 @@ const ImportWallet = ({ onSuccess, onBack }) => {
 			  Importing...
 			</span>
 		  ) : (
-			'Import Wallet'
+			tab === 'watchOnly' ? 'Add Watch-only Account' : 'Import Wallet'
 		  )}
 		</button>
 		
 		<div style={{ marginTop: '16px', textAlign: 'center' }}>
 		  <p style={{ fontSize: '12px', color: 'var(--text-light)' }}>
-			Warning: Never share your recovery phrase with anyone.
+			Warning: Never share your recovery phrase or private key with anyone.
 		  </p>
 		</div>
 	  </div>
@@ -2,8 +2,18 @@
 // Description: Login component for authenticated access to the wallet
 
 import React, { useState, useEffect } from 'react';
-import { loadWallet, getAccounts } from '../../lib/keyring';
-import { truncateAddress } from '../../utils/helpers';
+import { getState, unlock, resolveTampering } from '../../lib/session';
+
+// Names of the wallet-owned keys shown in the tampering warning
+const KEY_LABELS = {
+  creata_wallets: 'Wallets',
+  creata_wallet: 'Wallet',
+  creata_accounts: 'Accounts',
+  creata_current_account: 'Selected account',
+  creata_active_network: 'Selected network',
+  creata_session_timeout: 'Auto-lock timeout',
+  creata_permissions: 'Connected sites'
+};
 
 /**
  * Login component
@@ -16,41 +26,26 @@ const Login = ({ onLogin }) => {
   const [password, setPassword] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [accountInfo, setAccountInfo] = useState(null);
   const [attempts, setAttempts] = useState(0);
+  const [tamperedKeys, setTamperedKeys] = useState([]);
+  const [keptKeys, setKeptKeys] = useState([]);
+  const [resolving, setResolving] = useState(false);
   
-  // Load account info on component mount
+  // A session unlocked in an earlier popup may still wait for a decision
+  // about data changed outside the wallet
   useEffect(() => {
-	const fetchAccountInfo = async () => {
+	const checkSession = async () => {
 	  try {
-		// Note: This is just to get the account address for display
-		// We're not decrypting the wallet here, so we use a dummy password
-		// that will likely fail, but we catch the error and extract info
-		const dummyPassword = 'dummy_password_for_address_extraction';
-		const accounts = await getAccounts(dummyPassword);
-		
-		// If we get accounts, use them
-		if (accounts && accounts.length > 0) {
-		  setAccountInfo({ address: accounts[0].address });
+		const state = await getState();
+		if (state.isUnlocked && state.tamperedKeys.length > 0) {
+		  setTamperedKeys(state.tamperedKeys);
 		}
 	  } catch (err) {
-		// Expected to fail with password error
-		// Try to extract account info from extension storage
-		try {
-		  const data = await chrome.storage.local.get(['creata_accounts_public']);
-		  if (data.creata_accounts_public) {
-			const accounts = JSON.parse(data.creata_accounts_public);
-			if (accounts && accounts.length > 0) {
-			  setAccountInfo({ address: accounts[0].address });
-			}
-		  }
-		} catch (storageErr) {
-		  console.error('Failed to load account info:', storageErr);
-		}
+		console.error('Failed to get session state:', err);
 	  }
 	};
 	
-	fetchAccountInfo();
+	checkSession();
   }, []);
   
   // Handle password input
@@ -70,8 +65,14 @@ const Login = ({ onLogin }) => {
 	  setLoading(true);
 	  setError(null);
 	  
-	  // Attempt to load wallet with password
-	  await loadWallet(password);
+	  // The background verifies the password and keeps the session
+	  const result = await unlock(password);
+	  
+	  // Stored data changed outside the wallet needs a decision first
+	  if (result.tamperedKeys.length > 0) {
+		setTamperedKeys(result.tamperedKeys);
+		return;
+	  }
 	  
 	  // If successful, call login callback
 	  onLogin();
@@ -90,6 +91,27 @@ const Login = ({ onLogin }) => {
 	}
   };
   
+  // Keep or discard data changed outside the wallet, then continue
+  const handleResolveTampering = async (discard) => {
+	try {
+	  setResolving(true);
+	  const kept = await resolveTampering(discard);
+	  setTamperedKeys([]);
+	  
+	  if (kept.length > 0) {
+		// Encrypted data cannot be reset; let the user read why first
+		setKeptKeys(kept);
+		return;
+	  }
+	  onLogin();
+	} catch (err) {
+	  console.error('Failed to resolve tampered data:', err);
+	  setError('Failed to update wallet data. Please try again.');
+	} finally {
+	  setResolving(false);
+	}
+  };
+  
   // Handle enter key press
   const handleKeyPress = (e) => {
 	if (e.key === 'Enter') {
@@ -106,32 +128,6 @@ const Login = ({ onLogin }) => {
 	  </div>
 	  
 	  <div className="form-container" style={{ padding: '24px 16px' }}>
-		{accountInfo && accountInfo.address && (
-		  <div className="account-info" style={{ textAlign: 'center', marginBottom: '24px' }}>
-			<div className="account-icon" style={{ 
-			  width: '64px', 
-			  height: '64px', 
-			  borderRadius: '50%', 
-			  background: 'var(--background-light)',
-			  margin: '0 auto 12px',
-			  display: 'flex',
-			  alignItems: 'center',
-			  justifyContent: 'center',
-			  fontSize: '24px',
-			  color: 'var(--primary-color)'
-			}}>
-			  {accountInfo.address.charAt(1).toUpperCase()}
-			</div>
-			<p className="account-address" style={{ 
-			  fontSize: '14px', 
-			  fontWeight: '500',
-			  color: 'var(--text-light)' 
-			}}>
-			  {truncateAddress(accountInfo.address, 8, 6)}
-			</p>
-		  </div>
-		)}
-		
 		<h3 style={{ marginBottom: '16px', textAlign: 'center' }}>Enter Your Password</h3>
 		
 		<div className="form-group">
@@ -193,6 +189,102 @@ const Login = ({ onLogin }) => {
 		  </div>
 		)}
 	  </div>
+	  
+	  {/* Tampered Data Modal */}
+	  {tamperedKeys.length > 0 && (
+		<div className="modal-overlay" style={{
+		  position: 'fixed',
+		  top: 0,
+		  left: 0,
+		  right: 0,
+		  bottom: 0,
+		  backgroundColor: 'rgba(0, 0, 0, 0.5)',
+		  display: 'flex',
+		  alignItems: 'center',
+		  justifyContent: 'center',
+		  zIndex: 10
+		}}>
+		  <div className="modal-content" style={{
+			background: 'white',
+			borderRadius: '8px',
+			width: '90%',
+			maxWidth: '320px',
+			padding: '24px',
+			boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)'
+		  }}>
+			<h3 style={{ marginBottom: '16px', color: 'var(--danger-color)' }}>Wallet Data Changed</h3>
+			<p style={{ marginBottom: '12px' }}>
+			  These items were changed outside Creata Wallet since it was last used:
+			</p>
+			<ul style={{ marginBottom: '12px', paddingLeft: '20px' }}>
+			  {tamperedKeys.map(key => (
+				<li key={key}>{KEY_LABELS[key] || key}</li>
+			  ))}
+			</ul>
+			<p style={{ marginBottom: '24px', fontSize: '14px', color: 'var(--text-light)' }}>
+			  If you did not make these changes, another program may have altered
+			  your wallet data. Discard them unless you are sure they are yours.
+			</p>
+			
+			<button
+			  className="button button-primary"
+			  style={{ width: '100%' }}
+			  onClick={() => handleResolveTampering(true)}
+			  disabled={resolving}
+			>
+			  Discard Changes
+			</button>
+			<button
+			  className="button button-secondary"
+			  style={{ width: '100%', marginTop: '8px' }}
+			  onClick={() => handleResolveTampering(false)}
+			  disabled={resolving}
+			>
+			  Keep Changes
+			</button>
+		  </div>
+		</div>
+	  )}
+	  
+	  {/* Kept Encrypted Data Modal */}
+	  {keptKeys.length > 0 && (
+		<div className="modal-overlay" style={{
+		  position: 'fixed',
+		  top: 0,
+		  left: 0,
+		  right: 0,
+		  bottom: 0,
+		  backgroundColor: 'rgba(0, 0, 0, 0.5)',
+		  display: 'flex',
+		  alignItems: 'center',
+		  justifyContent: 'center',
+		  zIndex: 10
+		}}>
+		  <div className="modal-content" style={{
+			background: 'white',
+			borderRadius: '8px',
+			width: '90%',
+			maxWidth: '320px',
+			padding: '24px',
+			boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)'
+		  }}>
+			<h3 style={{ marginBottom: '16px' }}>Encrypted Data Kept</h3>
+			<p style={{ marginBottom: '24px' }}>
+			  {keptKeys.map(key => KEY_LABELS[key] || key).join(', ')} could not be reset because
+			  removing them would delete your wallets. If your accounts look wrong, reset the
+			  wallet and restore it from your recovery phrase or a backup.
+			</p>
+			
+			<button
+			  className="button button-primary"
+			  style={{ width: '100%' }}
+			  onClick={onLogin}
+			>
+			  OK
+			</button>
+		  </div>
+		</div>
+	  )}
 	</div>
   );
 };
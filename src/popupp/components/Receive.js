@@ -2,7 +2,7 @@
 // Description: Component for receiving tokens (displaying address with QR code)
 
 import React, { useState, useEffect } from 'react';
-import { getCurrentAccount } from '../../lib/keyring';
+import { getCurrentAccount } from '../../lib/session';
 import { copyToClipboard } from '../../utils/helpers';
 
 /**
@@ -24,12 +24,8 @@ const Receive = ({ onBack }) => {
 	  try {
 		setLoading(true);
 		
-		// Get current session password from storage
-		const sessionData = await chrome.storage.local.get(['creata_session']);
-		const password = sessionData.creata_session || '';
-		
 		// Get current account address
-		const currentAccount = await getCurrentAccount(password);
+		const currentAccount = await getCurrentAccount();
 		setAddress(currentAccount);
 	  } catch (err) {
 		console.error('Failed to load address:', err);
@@ -0,0 +1,153 @@
+// File: src/popup/components/RestoreBackup.js
+// Description: Component for restoring a wallet from an encrypted backup file
+
+import React, { useState } from 'react';
+import { restoreBackup } from '../../lib/session';
+
+/**
+ * Restore backup component
+ * @param {Object} props - Component props
+ * @param {Function} props.onSuccess - Success callback
+ * @param {Function} props.onBack - Back callback
+ * @returns {JSX.Element} - Restore backup component
+ */
+const RestoreBackup = ({ onSuccess, onBack }) => {
+  // Component state
+  const [backup, setBackup] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [fileError, setFileError] = useState(null);
+
+  // Handle backup file selection
+  const handleFileChange = async (e) => {
+	const file = e.target.files[0];
+	setBackup(null);
+	setFileError(null);
+	setError(null);
+	if (!file) {
+	  setFileName('');
+	  return;
+	}
+
+	setFileName(file.name);
+	try {
+	  setBackup(JSON.parse(await file.text()));
+	} catch (err) {
+	  console.error('Failed to read backup file:', err);
+	  setFileError('This file is not a valid backup');
+	}
+  };
+
+  // Handle password input
+  const handlePasswordChange = (e) => {
+	setPassword(e.target.value);
+	setError(null);
+  };
+
+  // Handle restore
+  const handleRestore = async () => {
+	if (!backup) {
+	  setFileError('Choose a backup file');
+	  return;
+	}
+	if (!password) {
+	  setError('Password is required');
+	  return;
+	}
+
+	try {
+	  setLoading(true);
+	  setError(null);
+
+	  // Replaces all wallet data with the backup contents
+	  await restoreBackup(backup, password);
+
+	  // Call success callback
+	  onSuccess();
+	} catch (err) {
+	  console.error('Failed to restore backup:', err);
+	  setError(err.message === 'Backup does not contain a wallet'
+		? 'This backup does not contain a wallet.'
+		: 'Failed to restore backup. Please check the file and password.');
+	} finally {
+	  setLoading(false);
+	}
+  };
+
+  return (
+	<div className="restore-backup-container">
+	  <div className="nav-container">
+		<button className="nav-button" onClick={onBack}>
+		  Back
+		</button>
+		<h2 className="nav-title">Restore Backup</h2>
+		<div></div>
+	  </div>
+
+	  <div className="form-container" style={{ padding: '16px' }}>
+		<h3 style={{ marginBottom: '16px' }}>Restore from Backup</h3>
+		<p style={{ marginBottom: '24px', color: 'var(--text-light)' }}>
+		  Choose a backup file exported from Settings and enter the password the wallet had when it was exported. Wallets, account names and settings are restored.
+		</p>
+
+		<div className="form-group">
+		  <label className="form-label">Backup File</label>
+		  <input
+			type="file"
+			accept="application/json,.json"
+			className="form-input"
+			onChange={handleFileChange}
+		  />
+		  {fileName && !fileError && (
+			<p style={{ fontSize: '12px', color: 'var(--text-light)', marginTop: '4px' }}>{fileName}</p>
+		  )}
+		  {fileError && <p className="form-error">{fileError}</p>}
+		</div>
+
+		<div className="form-group">
+		  <label className="form-label">Password</label>
+		  <input
+			type="password"
+			className="form-input"
+			value={password}
+			onChange={handlePasswordChange}
+			placeholder="Wallet password"
+		  />
+		</div>
+
+		{error && (
+		  <div className="error-message" style={{
+			background: '#fff1f0',
+			border: '1px solid #ffccc7',
+			borderRadius: '4px',
+			padding: '12px',
+			marginBottom: '16px',
+			color: 'var(--danger-color)'
+		  }}>
+			{error}
+		  </div>
+		)}
+
+		<button
+		  className="button button-primary"
+		  style={{ width: '100%', marginTop: '16px' }}
+		  onClick={handleRestore}
+		  disabled={loading || !backup}
+		>
+		  {loading ? (
+			<span style={{ display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+			  <span className="loading-spinner" style={{ width: '16px', height: '16px', marginRight: '8px' }}></span>
+			  Restoring...
+			</span>
+		  ) : (
+			'Restore Backup'
+		  )}
+		</button>
+	  </div>
+	</div>
+  );
+};
+
+export default RestoreBackup;
\ No newline at end of file
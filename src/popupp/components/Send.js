@@ -2,10 +2,10 @@
 // Description: Component for sending tokens to another address
 
 import React, { useState, useEffect } from 'react';
-import { loadWallet, getCurrentAccount } from '../../lib/keyring';
-import { sendTokens } from '../../lib/transactions';
+import { getSigner, getCurrentAccount } from '../../lib/session';
+import { sendTokens, createUnsignedSendTx } from '../../lib/transactions';
 import CreataApiClient from '../../lib/api';
-import { formatAmount, parseAmount, isValidAddress } from '../../utils/helpers';
+import { formatAmount, parseAmount, isValidAddress, downloadJson } from '../../utils/helpers';
 import { networks } from '../../config/network';
 
 /**
@@ -30,6 +30,10 @@ const Send = ({ onBack }) => {
   const [wallet, setWallet] = useState(null);
   const [address, setAddress] = useState('');
   const [txHash, setTxHash] = useState('');
+  const [exported, setExported] = useState(false);
+  
+  // Watch-only accounts cannot sign; their transactions are exported unsigned
+  const watchOnly = Boolean(wallet && wallet.watchOnly);
   
   // Load wallet data on component mount
   useEffect(() => {
@@ -43,15 +47,11 @@ const Send = ({ onBack }) => {
 		const activeNetwork = networkData.creata_active_network || 'mainnet';
 		if (mounted) setNetwork(activeNetwork);
 		
-		// Get current session password from storage
-		const sessionData = await chrome.storage.local.get(['creata_session']);
-		const password = sessionData.creata_session || '';
-		
-		// Load wallet and account
-		const walletInstance = await loadWallet(password);
+		// Load the signer and account; keys stay in the background session
+		const walletInstance = await getSigner();
 		if (mounted) setWallet(walletInstance);
 		
-		const currentAccount = await getCurrentAccount(password);
+		const currentAccount = await getCurrentAccount();
 		if (mounted) setAddress(currentAccount);
 		
 		// Create API client
@@ -149,9 +149,27 @@ const Send = ({ onBack }) => {
 	  // Parse amount
 	  const parsedAmount = amount.toString().replace(/,/g, '');
 	  
+	  if (watchOnly) {
+		// Save the unsigned transaction for signing with the offline key
+		const unsignedTx = createUnsignedSendTx(
+		  address,
+		  recipientAddress.trim(),
+		  parsedAmount,
+		  networks[network].nativeDenom,
+		  memo.trim(),
+		  network
+		);
+		downloadJson(unsignedTx, `unsigned-send-${Date.now()}.json`);
+		
+		setExported(true);
+		setSuccess(true);
+		return;
+	  }
+	  
 	  // Send transaction
 	  const result = await sendTokens(
 		wallet,
+		address,
 		recipientAddress.trim(),
 		parsedAmount,
 		networks[network].nativeDenom,
@@ -176,7 +194,9 @@ const Send = ({ onBack }) => {
 	  setBalance(newBalance);
 	} catch (err) {
 	  console.error('Failed to send transaction:', err);
-	  setError('Failed to send transaction. Please try again.');
+	  setError(watchOnly
+		? 'Failed to export transaction. Please try again.'
+		: 'Failed to send transaction. Please try again.');
 	} finally {
 	  setSending(false);
 	}
@@ -211,37 +231,43 @@ const Send = ({ onBack }) => {
 		  ✓
 		</div>
 		
-		<h3 style={{ marginBottom: '8px' }}>Transaction Sent!</h3>
+		<h3 style={{ marginBottom: '8px' }}>{exported ? 'Transaction Exported' : 'Transaction Sent!'}</h3>
 		
 		<p style={{ marginBottom: '24px', color: 'var(--text-light)' }}>
-		  Your transaction has been successfully sent to the network.
+		  {exported
+			? 'Sign the downloaded file with the key holder (for example evmosd tx sign) and broadcast it.'
+			: 'Your transaction has been successfully sent to the network.'}
 		</p>
 		
-		<div className="tx-hash" style={{ 
-		  background: 'var(--background-light)',
-		  padding: '12px',
-		  borderRadius: '8px',
-		  fontSize: '14px',
-		  wordBreak: 'break-all',
-		  marginBottom: '24px'
-		}}>
-		  <div style={{ color: 'var(--text-light)', marginBottom: '4px' }}>Transaction Hash:</div>
-		  {txHash}
-		</div>
+		{!exported && (
+		  <div className="tx-hash" style={{ 
+			background: 'var(--background-light)',
+			padding: '12px',
+			borderRadius: '8px',
+			fontSize: '14px',
+			wordBreak: 'break-all',
+			marginBottom: '24px'
+		  }}>
+			<div style={{ color: 'var(--text-light)', marginBottom: '4px' }}>Transaction Hash:</div>
+			{txHash}
+		  </div>
+		)}
 		
 		<div style={{ display: 'flex', gap: '16px' }}>
-		  <button
-			className="button button-secondary"
-			style={{ flex: 1 }}
-			onClick={() => {
-			  // View transaction in explorer
-			  if (networks[network].explorerUrl) {
-				window.open(`${networks[network].explorerUrl}/transactions/${txHash}`, '_blank');
-			  }
-			}}
-		  >
-			View Details
-		  </button>
+		  {!exported && (
+			<button
+			  className="button button-secondary"
+			  style={{ flex: 1 }}
+			  onClick={() => {
+				// View transaction in explorer
+				if (networks[network].explorerUrl) {
+				  window.open(`${networks[network].explorerUrl}/transactions/${txHash}`, '_blank');
+				}
+			  }}
+			>
+			  View Details
+			</button>
+		  )}
 		  
 		  <button
 			className="button button-primary"
@@ -249,6 +275,7 @@ const Send = ({ onBack }) => {
 			onClick={() => {
 			  // Reset success state and go back
 			  setSuccess(false);
+			  setExported(false);
 			  onBack();
 			}}
 		  >
@@ -265,11 +292,24 @@ const Send = ({ onBack }) => {
 		<button className="nav-button" onClick={onBack}>
 		  Back
 		</button>
-		<h2 className="nav-title">Send</h2>
+		<h2 className="nav-title">{watchOnly ? 'Export Unsigned Send' : 'Send'}</h2>
 		<div></div>
 	  </div>
 	  
 	  <div className="form-container" style={{ padding: '16px' }}>
+		{watchOnly && (
+		  <div className="info-message" style={{ 
+			background: '#e6f7ff', 
+			border: '1px solid #91d5ff',
+			borderRadius: '4px',
+			padding: '12px',
+			marginBottom: '16px',
+			fontSize: '14px'
+		  }}>
+			This is a watch-only account. The transaction will be downloaded unsigned so it can be signed offline.
+		  </div>
+		)}
+		
 		<div className="balance-display" style={{ 
 		  background: 'var(--background-light)',
 		  padding: '12px',
@@ -373,10 +413,10 @@ const Send = ({ onBack }) => {
 		  {sending ? (
 			<span style={{ display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
 			  <span className="loading-spinner" style={{ width: '16px', height: '16px', marginRight: '8px' }}></span>
-			  Sending...
+			  {watchOnly ? 'Exporting...' : 'Sending...'}
 			</span>
 		  ) : (
-			'Send'
+			watchOnly ? 'Export Unsigned Transaction' : 'Send'
 		  )}
 		</button>
 		
@@ -1,10 +1,42 @@
 // File: src/popup/components/Settings.js
 // Description: Settings component for wallet configuration
 
-import React, { useState, useEffect } from 'react';
-import { removeWallet, getAccounts, getCurrentAccount, setCurrentAccount } from '../../lib/keyring';
-import { truncateAddress } from '../../utils/helpers';
-import { networks } from '../../config/network';
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  ETH_SECP256K1,
+  WALLET_TYPE_MNEMONIC,
+  WALLET_TYPE_PRIVATE_KEY,
+  WALLET_TYPE_WATCH_ONLY
+} from '../../lib/keyring';
+import {
+  getWallets,
+  addAccount,
+  getAccounts,
+  getCurrentAccount,
+  setCurrentAccount,
+  revealMnemonic,
+  exportPrivateKey,
+  exportKeystore,
+  changePassword,
+  exportBackup,
+  removeWallet,
+  saveSettings,
+  getConnectedSites,
+  disconnectSite,
+  disconnectAllSites
+} from '../../lib/session';
+import { truncateAddress, formatDate, copyToClipboard, downloadJson } from '../../utils/helpers';
+import { networks, getNetworkByChainId } from '../../config/network';
+
+// Seconds a revealed private key stays on screen and in the clipboard
+const SECRET_CLEAR_SECONDS = 30;
+
+// Badge labels for wallet kinds
+const WALLET_TYPE_LABELS = {
+  [WALLET_TYPE_MNEMONIC]: 'Recovery Phrase',
+  [WALLET_TYPE_PRIVATE_KEY]: 'Private Key',
+  [WALLET_TYPE_WATCH_ONLY]: 'Watch-only'
+};
 
 /**
  * Settings component
@@ -17,10 +49,13 @@ const Settings = ({ onBack, onLogout }) => {
   // Component state
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [wallets, setWallets] = useState([]);
   const [accounts, setAccounts] = useState([]);
   const [currentAccount, setCurrentAccountState] = useState('');
+  const [addingAccount, setAddingAccount] = useState(false);
   const [network, setNetwork] = useState('mainnet');
   const [sessionTimeout, setSessionTimeout] = useState(30);
+  const [connectedSites, setConnectedSites] = useState([]);
   const [infoModalOpen, setInfoModalOpen] = useState(false);
   const [infoModalTitle, setInfoModalTitle] = useState('');
   const [infoModalContent, setInfoModalContent] = useState('');
@@ -29,6 +64,40 @@ const Settings = ({ onBack, onLogout }) => {
   const [confirmModalContent, setConfirmModalContent] = useState('');
   const [confirmModalAction, setConfirmModalAction] = useState(null);
   
+  // Change password modal state
+  const [passwordModalOpen, setPasswordModalOpen] = useState(false);
+  const [passwordFields, setPasswordFields] = useState({ current: '', next: '', confirm: '' });
+  const [passwordError, setPasswordError] = useState(null);
+  const [changingPassword, setChangingPassword] = useState(false);
+  
+  // Reveal secret modal state
+  const [secretRequest, setSecretRequest] = useState(null); // { kind: 'mnemonic' | 'privateKey', walletId, address }
+  const [secretPassword, setSecretPassword] = useState('');
+  const [secretValue, setSecretValue] = useState('');
+  const [secretError, setSecretError] = useState(null);
+  const [secretHeld, setSecretHeld] = useState(false);
+  const [secretCopied, setSecretCopied] = useState(false);
+  const [secretCountdown, setSecretCountdown] = useState(0);
+  const secretCopiedRef = useRef(false); // read by the pagehide listener
+  
+  // Export backup modal state
+  const [backupModalOpen, setBackupModalOpen] = useState(false);
+  const [backupPassword, setBackupPassword] = useState('');
+  const [backupError, setBackupError] = useState(null);
+  const [exportingBackup, setExportingBackup] = useState(false);
+  
+  // Export keystore modal state
+  const [keystoreAddress, setKeystoreAddress] = useState(null);
+  const [keystoreFields, setKeystoreFields] = useState({ password: '', keystorePassword: '', confirm: '' });
+  const [keystoreError, setKeystoreError] = useState(null);
+  const [exportingKeystore, setExportingKeystore] = useState(false);
+  
+  // Reset wallet modal state
+  const [resetModalOpen, setResetModalOpen] = useState(false);
+  const [resetPassword, setResetPassword] = useState('');
+  const [resetError, setResetError] = useState(null);
+  const [resettingWallet, setResettingWallet] = useState(false);
+  
   // Load settings data on component mount
   useEffect(() => {
 	let mounted = true;
@@ -46,17 +115,21 @@ const Settings = ({ onBack, onLogout }) => {
 		const timeout = timeoutData.creata_session_timeout || 30;
 		if (mounted) setSessionTimeout(timeout);
 		
-		// Get current session password from storage
-		const sessionData = await chrome.storage.local.get(['creata_session']);
-		const password = sessionData.creata_session || '';
+		// Get all wallets and their accounts
+		const walletList = await getWallets();
+		if (mounted) setWallets(walletList);
 		
-		// Get all accounts
-		const accountsList = await getAccounts(password);
+		const accountsList = await getAccounts();
 		if (mounted) setAccounts(accountsList || []);
 		
 		// Get current account
-		const currentAcc = await getCurrentAccount(password);
+		const currentAcc = await getCurrentAccount();
 		if (mounted) setCurrentAccountState(currentAcc);
+		
+		// Get connected websites, most recently used first
+		const sites = Object.values(await getConnectedSites())
+		  .sort((a, b) => (b.lastUsedAt || '').localeCompare(a.lastUsedAt || ''));
+		if (mounted) setConnectedSites(sites);
 	  } catch (err) {
 		console.error('Failed to load settings data:', err);
 		if (mounted) setError('Failed to load settings. Please try again.');
@@ -72,33 +145,68 @@ const Settings = ({ onBack, onLogout }) => {
 	};
   }, []);
   
+  // Count down and clear a revealed private key
+  useEffect(() => {
+	if (!secretValue || !secretRequest || secretRequest.kind !== 'privateKey') {
+	  return undefined;
+	}
+	
+	if (secretCountdown <= 0) {
+	  closeSecretModal();
+	  return undefined;
+	}
+	
+	const timer = setTimeout(() => setSecretCountdown(secretCountdown - 1), 1000);
+	return () => clearTimeout(timer);
+  }, [secretValue, secretCountdown]);
+  
+  // Clear a copied private key when the popup closes or Settings unmounts
+  useEffect(() => {
+	window.addEventListener('pagehide', clearCopiedSecret);
+	
+	return () => {
+	  window.removeEventListener('pagehide', clearCopiedSecret);
+	  clearCopiedSecret();
+	};
+  }, []);
+  
   // Handle network change
   const handleNetworkChange = async (e) => {
 	const newNetwork = e.target.value;
+	const previousNetwork = network;
 	setNetwork(newNetwork);
 	
-	// Save to storage
-	await chrome.storage.local.set({ creata_active_network: newNetwork });
+	try {
+	  // Save to storage
+	  await saveSettings({ creata_active_network: newNetwork });
+	} catch (err) {
+	  console.error('Failed to save network:', err);
+	  setNetwork(previousNetwork);
+	  setError('Failed to save network. Please try again.');
+	}
   };
   
   // Handle session timeout change
   const handleSessionTimeoutChange = async (e) => {
 	const timeout = parseInt(e.target.value);
+	const previousTimeout = sessionTimeout;
 	setSessionTimeout(timeout);
 	
-	// Save to storage
-	await chrome.storage.local.set({ creata_session_timeout: timeout });
+	try {
+	  // Save to storage
+	  await saveSettings({ creata_session_timeout: timeout });
+	} catch (err) {
+	  console.error('Failed to save session timeout:', err);
+	  setSessionTimeout(previousTimeout);
+	  setError('Failed to save session timeout. Please try again.');
+	}
   };
   
   // Handle account switch
   const handleAccountSwitch = async (address) => {
 	try {
-	  // Get current session password from storage
-	  const sessionData = await chrome.storage.local.get(['creata_session']);
-	  const password = sessionData.creata_session || '';
-	  
 	  // Set current account
-	  await setCurrentAccount(address, password);
+	  await setCurrentAccount(address);
 	  setCurrentAccountState(address);
 	  
 	  // Show success info
@@ -109,29 +217,282 @@ const Settings = ({ onBack, onLogout }) => {
 	}
   };
   
-  // Handle reset wallet
-  const handleResetWallet = () => {
+  // Handle add account
+  const handleAddAccount = async (walletId) => {
+	try {
+	  setAddingAccount(true);
+	  setError(null);
+	  
+	  // Derive the next account and make it active
+	  const newAccount = await addAccount(walletId);
+	  setAccounts([...accounts, newAccount]);
+	  setCurrentAccountState(newAccount.address);
+	  
+	  showInfoModal('Account Added', `${newAccount.name} has been added and is now your active account.`);
+	} catch (err) {
+	  console.error('Failed to add account:', err);
+	  setError('Failed to add account. Please try again.');
+	} finally {
+	  setAddingAccount(false);
+	}
+  };
+  
+  // Handle disconnect site
+  const handleDisconnectSite = async (origin) => {
+	try {
+	  await disconnectSite(origin);
+	  setConnectedSites(connectedSites.filter(site => site.origin !== origin));
+	} catch (err) {
+	  console.error('Failed to disconnect site:', err);
+	  setError('Failed to disconnect site. Please try again.');
+	}
+  };
+  
+  // Handle disconnect all sites
+  const handleDisconnectAllSites = () => {
 	showConfirmModal(
-	  'Reset Wallet',
-	  'This will remove all your wallet data from this device. Make sure you have your recovery phrase before continuing.',
+	  'Disconnect All Sites',
+	  'Every connected website will lose access to your accounts and has to ask again.',
 	  async () => {
 		try {
-		  // Remove wallet data
-		  await removeWallet();
-		  
-		  // Clear storage
-		  await chrome.storage.local.clear();
-		  
-		  // Reload extension
-		  window.location.reload();
+		  await disconnectAllSites();
+		  setConnectedSites([]);
 		} catch (err) {
-		  console.error('Failed to reset wallet:', err);
-		  setError('Failed to reset wallet. Please try again.');
+		  console.error('Failed to disconnect sites:', err);
+		  setError('Failed to disconnect sites. Please try again.');
 		}
 	  }
 	);
   };
   
+  // Gets the display name of an account address
+  const getAccountLabel = (address) => {
+	const account = accounts.find(acc => acc.address === address);
+	return account ? `${account.name} (${truncateAddress(address)})` : truncateAddress(address);
+  };
+  
+  // Handle password field input
+  const handlePasswordFieldChange = (field, value) => {
+	setPasswordFields({ ...passwordFields, [field]: value });
+	setPasswordError(null);
+  };
+  
+  // Close change password modal
+  const closePasswordModal = () => {
+	setPasswordModalOpen(false);
+	setPasswordFields({ current: '', next: '', confirm: '' });
+	setPasswordError(null);
+  };
+  
+  // Handle change password
+  const handleChangePassword = async () => {
+	const { current, next, confirm } = passwordFields;
+	
+	if (next.length < 8) {
+	  setPasswordError('New password must be at least 8 characters long');
+	  return;
+	}
+	if (next !== confirm) {
+	  setPasswordError('New passwords do not match');
+	  return;
+	}
+	if (next === current) {
+	  setPasswordError('New password must be different from the current one');
+	  return;
+	}
+	
+	try {
+	  setChangingPassword(true);
+	  
+	  // Verifies the current password, then re-encrypts all wallet data
+	  await changePassword(current, next);
+	  
+	  // The background ended the session; the wallet opens with the new password
+	  closePasswordModal();
+	  onLogout();
+	} catch (err) {
+	  console.error('Failed to change password:', err);
+	  setPasswordError(err.message === 'Failed to change password'
+		? 'Failed to change password. Your wallet still uses the current password.'
+		: 'Current password is incorrect');
+	} finally {
+	  setChangingPassword(false);
+	}
+  };
+  
+  // Open the reveal modal for a wallet phrase or an account key
+  const openSecretModal = (request) => {
+	setSecretRequest(request);
+	setSecretPassword('');
+	setSecretValue('');
+	setSecretError(null);
+	setSecretHeld(false);
+	setSecretCopied(false);
+  };
+  
+  // Overwrite the clipboard if a private key was copied into it
+  const clearCopiedSecret = () => {
+	if (secretCopiedRef.current) {
+	  secretCopiedRef.current = false;
+	  copyToClipboard('');
+	}
+  };
+  
+  // Close the reveal modal and drop the secret
+  const closeSecretModal = () => {
+	clearCopiedSecret();
+	setSecretRequest(null);
+	setSecretPassword('');
+	setSecretValue('');
+	setSecretError(null);
+	setSecretHeld(false);
+	setSecretCopied(false);
+	setSecretCountdown(0);
+  };
+  
+  // Handle password confirmation in the reveal modal
+  const handleRevealSecret = async () => {
+	try {
+	  setSecretError(null);
+	  
+	  const value = secretRequest.kind === 'mnemonic'
+		? await revealMnemonic(secretPassword, secretRequest.walletId)
+		: await exportPrivateKey(secretPassword, secretRequest.address);
+	  
+	  setSecretPassword('');
+	  setSecretValue(value);
+	  setSecretCountdown(SECRET_CLEAR_SECONDS);
+	} catch (err) {
+	  console.error('Failed to reveal secret:', err);
+	  setSecretError('Incorrect password');
+	}
+  };
+  
+  // Handle copy of a revealed private key
+  const handleCopySecret = async () => {
+	if (await copyToClipboard(secretValue)) {
+	  secretCopiedRef.current = true;
+	  setSecretCopied(true);
+	}
+  };
+  
+  // Handle View Recovery Phrase for the wallet of the active account
+  const handleViewRecoveryPhrase = () => {
+	const activeAccount = accounts.find(acc => acc.address === currentAccount);
+	const activeWallet = activeAccount && wallets.find(w => w.id === activeAccount.walletId);
+	
+	if (!activeWallet || activeWallet.type !== WALLET_TYPE_MNEMONIC) {
+	  showInfoModal(
+		'View Recovery Phrase',
+		'The active account was not created from a recovery phrase. Use Export Private Key on the account instead.'
+	  );
+	  return;
+	}
+	
+	openSecretModal({ kind: 'mnemonic', walletId: activeWallet.id });
+  };
+  
+  // Close export backup modal
+  const closeBackupModal = () => {
+	setBackupModalOpen(false);
+	setBackupPassword('');
+	setBackupError(null);
+  };
+  
+  // Handle export backup
+  const handleExportBackup = async () => {
+	try {
+	  setExportingBackup(true);
+	  setBackupError(null);
+	  
+	  const backup = await exportBackup(backupPassword);
+	  downloadJson(backup, `creata-wallet-backup-${new Date().toISOString().slice(0, 10)}.json`);
+	  
+	  closeBackupModal();
+	  showInfoModal('Backup Exported', 'Keep the backup file safe. It can be restored from the welcome screen with your current password.');
+	} catch (err) {
+	  console.error('Failed to export backup:', err);
+	  setBackupError(err.message === 'Failed to export backup'
+		? 'Failed to export backup. Please try again.'
+		: 'Incorrect password');
+	} finally {
+	  setExportingBackup(false);
+	}
+  };
+  
+  // Close export keystore modal
+  const closeKeystoreModal = () => {
+	setKeystoreAddress(null);
+	setKeystoreFields({ password: '', keystorePassword: '', confirm: '' });
+	setKeystoreError(null);
+  };
+  
+  // Handle keystore modal input
+  const handleKeystoreFieldChange = (field, value) => {
+	setKeystoreFields({ ...keystoreFields, [field]: value });
+	setKeystoreError(null);
+  };
+  
+  // Handle export keystore
+  const handleExportKeystore = async () => {
+	const { password, keystorePassword, confirm } = keystoreFields;
+	if (keystorePassword.length < 8) {
+	  setKeystoreError('Keystore password must be at least 8 characters long');
+	  return;
+	}
+	if (keystorePassword !== confirm) {
+	  setKeystoreError('Keystore passwords do not match');
+	  return;
+	}
+	
+	try {
+	  setExportingKeystore(true);
+	  setKeystoreError(null);
+	  
+	  const keystore = await exportKeystore(password, keystoreAddress, keystorePassword);
+	  // Same file name layout geth uses
+	  const timestamp = new Date().toISOString().replace(/:/g, '-');
+	  downloadJson(keystore, `UTC--${timestamp}--${keystore.address}.json`);
+	  
+	  closeKeystoreModal();
+	  showInfoModal('Keystore Exported', 'The keystore can be imported into Creata Wallet, MetaMask or geth with the keystore password.');
+	} catch (err) {
+	  console.error('Failed to export keystore:', err);
+	  setKeystoreError(err.message === 'Failed to export keystore'
+		? 'Failed to export keystore. Please try again.'
+		: 'Incorrect password');
+	} finally {
+	  setExportingKeystore(false);
+	}
+  };
+  
+  // Close reset wallet modal
+  const closeResetModal = () => {
+	setResetModalOpen(false);
+	setResetPassword('');
+	setResetError(null);
+  };
+  
+  // Handle reset wallet
+  const handleResetWallet = async () => {
+	try {
+	  setResettingWallet(true);
+	  setResetError(null);
+	  
+	  // The background confirms the password, ends the session and clears storage
+	  await removeWallet(resetPassword);
+	  
+	  // Reload extension
+	  window.location.reload();
+	} catch (err) {
+	  console.error('Failed to reset wallet:', err);
+	  setResetError(err.message === 'Incorrect password'
+		? 'Incorrect password'
+		: 'Failed to reset wallet. Please try again.');
+	  setResettingWallet(false);
+	}
+  };
+  
   // Show info modal
   const showInfoModal = (title, content) => {
 	setInfoModalTitle(title);
@@ -235,17 +596,31 @@ const Settings = ({ onBack, onLogout }) => {
 			<button
 			  className="button button-secondary"
 			  style={{ width: '100%' }}
-			  onClick={() => {
-				// Show recovery phrase (in a real app, this would need password confirmation)
-				showInfoModal(
-				  'View Recovery Phrase',
-				  'For security reasons, this feature requires additional verification. Please reset your wallet and import it again using your recovery phrase.'
-				);
-			  }}
+			  onClick={handleViewRecoveryPhrase}
 			>
 			  View Recovery Phrase
 			</button>
 		  </div>
+		  
+		  <div className="form-group" style={{ marginTop: '16px' }}>
+			<button
+			  className="button button-secondary"
+			  style={{ width: '100%' }}
+			  onClick={() => setPasswordModalOpen(true)}
+			>
+			  Change Password
+			</button>
+		  </div>
+		  
+		  <div className="form-group" style={{ marginTop: '16px' }}>
+			<button
+			  className="button button-secondary"
+			  style={{ width: '100%' }}
+			  onClick={() => setBackupModalOpen(true)}
+			>
+			  Export Backup
+			</button>
+		  </div>
 		</div>
 		
 		<div className="settings-section" style={{ marginTop: '24px' }}>
@@ -254,63 +629,207 @@ const Settings = ({ onBack, onLogout }) => {
 		  {accounts.length === 0 ? (
 			<p style={{ color: 'var(--text-light)' }}>No accounts found</p>
 		  ) : (
-			<div className="accounts-list">
-			  {accounts.map((account, index) => (
-				<div
-				  key={index}
-				  className="account-item"
-				  style={{
-					display: 'flex',
-					alignItems: 'center',
-					padding: '12px',
-					borderRadius: '8px',
-					background: account.address === currentAccount ? 'var(--background-light)' : 'transparent',
-					marginBottom: '8px',
-					cursor: 'pointer'
-				  }}
-				  onClick={() => handleAccountSwitch(account.address)}
-				>
+			wallets.map(walletInfo => {
+			  const walletAccounts = accounts.filter(acc => acc.walletId === walletInfo.id);
+			  
+			  return (
+				<div key={walletInfo.id} className="wallet-group" style={{ marginBottom: '16px' }}>
+				  <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+					<div style={{ fontWeight: '500' }}>{walletInfo.name}</div>
+					<div style={{ 
+					  fontSize: '12px',
+					  background: 'var(--background-light)',
+					  padding: '2px 6px',
+					  borderRadius: '4px'
+					}}>
+					  {WALLET_TYPE_LABELS[walletInfo.type]}
+					</div>
+				  </div>
+				  
+				  <div className="accounts-list">
+					{walletAccounts.map((account, index) => (
+					  <div
+						key={account.address}
+						className="account-item"
+						style={{
+						  display: 'flex',
+						  alignItems: 'center',
+						  padding: '12px',
+						  borderRadius: '8px',
+						  background: account.address === currentAccount ? 'var(--background-light)' : 'transparent',
+						  marginBottom: '8px',
+						  cursor: 'pointer'
+						}}
+						onClick={() => handleAccountSwitch(account.address)}
+					  >
+						<div
+						  className="account-icon"
+						  style={{
+							width: '36px',
+							height: '36px',
+							borderRadius: '50%',
+							background: 'var(--primary-color)',
+							display: 'flex',
+							alignItems: 'center',
+							justifyContent: 'center',
+							marginRight: '12px',
+							color: 'white',
+							fontSize: '16px'
+						  }}
+						>
+						  {index + 1}
+						</div>
+						
+						<div style={{ flex: 1 }}>
+						  <div style={{ fontWeight: '500' }}>{account.name || `Account ${index + 1}`}</div>
+						  <div style={{ fontSize: '12px', color: 'var(--text-light)' }}>
+							{truncateAddress(account.address, 10, 6)}
+						  </div>
+						  {account.hdPath && (
+							<div style={{ fontSize: '11px', color: 'var(--text-light)', fontFamily: 'monospace' }}>
+							  {account.hdPath}
+							</div>
+						  )}
+						</div>
+						
+						{account.address === currentAccount && (
+						  <div
+							style={{
+							  background: 'var(--success-color)',
+							  color: 'white',
+							  fontSize: '10px',
+							  padding: '2px 6px',
+							  borderRadius: '4px'
+							}}
+						  >
+							Active
+						  </div>
+						)}
+						
+						{walletInfo.type !== WALLET_TYPE_WATCH_ONLY && (
+						  <button
+							style={{
+							  background: 'none',
+							  border: 'none',
+							  color: 'var(--primary-color)',
+							  cursor: 'pointer',
+							  fontSize: '12px',
+							  marginLeft: '8px'
+							}}
+							onClick={(e) => {
+							  // Don't switch accounts when exporting
+							  e.stopPropagation();
+							  openSecretModal({ kind: 'privateKey', address: account.address });
+							}}
+						  >
+							Export Key
+						  </button>
+						)}
+						
+						{account.algo === ETH_SECP256K1 && (
+						  <button
+							style={{
+							  background: 'none',
+							  border: 'none',
+							  color: 'var(--primary-color)',
+							  cursor: 'pointer',
+							  fontSize: '12px',
+							  marginLeft: '8px'
+							}}
+							onClick={(e) => {
+							  // Don't switch accounts when exporting
+							  e.stopPropagation();
+							  setKeystoreAddress(account.address);
+							}}
+						  >
+							Keystore
+						  </button>
+						)}
+					  </div>
+					))}
+				  </div>
+				  
+				  {/* Only wallets restored from a recovery phrase can derive more accounts */}
+				  {walletInfo.type === WALLET_TYPE_MNEMONIC && (
+					<button
+					  className="button button-secondary"
+					  style={{ width: '100%' }}
+					  onClick={() => handleAddAccount(walletInfo.id)}
+					  disabled={addingAccount}
+					>
+					  {addingAccount ? 'Adding Account...' : 'Add Account'}
+					</button>
+				  )}
+				</div>
+			  );
+			})
+		  )}
+		</div>
+		
+		<div className="settings-section" style={{ marginTop: '24px' }}>
+		  <h3 style={{ marginBottom: '16px' }}>Connected Sites</h3>
+		  
+		  {connectedSites.length === 0 ? (
+			<p style={{ color: 'var(--text-light)' }}>No connected sites</p>
+		  ) : (
+			<>
+			  <div className="sites-list">
+				{connectedSites.map(site => (
 				  <div
-					className="account-icon"
+					key={site.origin}
+					className="site-item"
 					style={{
-					  width: '36px',
-					  height: '36px',
-					  borderRadius: '50%',
-					  background: 'var(--primary-color)',
 					  display: 'flex',
-					  alignItems: 'center',
-					  justifyContent: 'center',
-					  marginRight: '12px',
-					  color: 'white',
-					  fontSize: '16px'
+					  alignItems: 'flex-start',
+					  padding: '12px',
+					  borderRadius: '8px',
+					  background: 'var(--background-light)',
+					  marginBottom: '8px'
 					}}
 				  >
-					{index + 1}
-				  </div>
-				  
-				  <div style={{ flex: 1 }}>
-					<div style={{ fontWeight: '500' }}>Account {index + 1}</div>
-					<div style={{ fontSize: '12px', color: 'var(--text-light)' }}>
-					  {truncateAddress(account.address, 10, 6)}
+					<div style={{ flex: 1, minWidth: 0 }}>
+					  <div style={{ fontWeight: '500', wordBreak: 'break-all' }}>{site.origin}</div>
+					  {site.accounts.map(address => (
+						<div key={address} style={{ fontSize: '12px', color: 'var(--text-light)' }}>
+						  {getAccountLabel(address)}
+						</div>
+					  ))}
+					  <div style={{ fontSize: '11px', color: 'var(--text-light)', marginTop: '4px' }}>
+						{site.chains.map(chainId => {
+						  const chain = getNetworkByChainId(chainId);
+						  return chain ? chain.chainName : chainId;
+						}).join(', ')}
+					  </div>
+					  <div style={{ fontSize: '11px', color: 'var(--text-light)' }}>
+						Last used: {formatDate(site.lastUsedAt || site.grantedAt)}
+					  </div>
 					</div>
-				  </div>
-				  
-				  {account.address === currentAccount && (
-					<div
+					
+					<button
 					  style={{
-						background: 'var(--success-color)',
-						color: 'white',
-						fontSize: '10px',
-						padding: '2px 6px',
-						borderRadius: '4px'
+						background: 'none',
+						border: 'none',
+						color: 'var(--danger-color)',
+						cursor: 'pointer',
+						fontSize: '12px',
+						marginLeft: '8px'
 					  }}
+					  onClick={() => handleDisconnectSite(site.origin)}
 					>
-					  Active
-					</div>
-				  )}
-				</div>
-			  ))}
-			</div>
+					  Disconnect
+					</button>
+				  </div>
+				))}
+			  </div>
+			  
+			  <button
+				className="button button-secondary"
+				style={{ width: '100%' }}
+				onClick={handleDisconnectAllSites}
+			  >
+				Disconnect All
+			  </button>
+			</>
 		  )}
 		</div>
 		
@@ -336,7 +855,7 @@ const Settings = ({ onBack, onLogout }) => {
 			<button
 			  className="button button-danger"
 			  style={{ width: '100%' }}
-			  onClick={handleResetWallet}
+			  onClick={() => setResetModalOpen(true)}
 			>
 			  Reset Wallet
 			</button>
@@ -394,6 +913,416 @@ const Settings = ({ onBack, onLogout }) => {
 		</div>
 	  )}
 	  
+	  {/* Change Password Modal */}
+	  {passwordModalOpen && (
+		<div className="modal-overlay" style={{
+		  position: 'fixed',
+		  top: 0,
+		  left: 0,
+		  right: 0,
+		  bottom: 0,
+		  backgroundColor: 'rgba(0, 0, 0, 0.5)',
+		  display: 'flex',
+		  alignItems: 'center',
+		  justifyContent: 'center',
+		  zIndex: 10
+		}}>
+		  <div className="modal-content" style={{
+			background: 'white',
+			borderRadius: '8px',
+			width: '90%',
+			maxWidth: '320px',
+			padding: '24px',
+			boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)'
+		  }}>
+			<h3 style={{ marginBottom: '16px' }}>Change Password</h3>
+			
+			{[
+			  ['current', 'Current Password'],
+			  ['next', 'New Password'],
+			  ['confirm', 'Confirm New Password']
+			].map(([field, label]) => (
+			  <div key={field} className="form-group">
+				<label className="form-label">{label}</label>
+				<input
+				  type="password"
+				  className="form-input"
+				  value={passwordFields[field]}
+				  onChange={(e) => handlePasswordFieldChange(field, e.target.value)}
+				/>
+			  </div>
+			))}
+			
+			{passwordError && <p className="form-error">{passwordError}</p>}
+			
+			<p style={{ fontSize: '12px', color: 'var(--text-light)', margin: '8px 0 24px' }}>
+			  All wallets are re-encrypted with the new password and you will need to unlock again.
+			</p>
+			
+			<div style={{ display: 'flex', gap: '16px' }}>
+			  <button
+				className="button button-secondary"
+				style={{ flex: 1 }}
+				onClick={closePasswordModal}
+				disabled={changingPassword}
+			  >
+				Cancel
+			  </button>
+			  
+			  <button
+				className="button button-primary"
+				style={{ flex: 1 }}
+				onClick={handleChangePassword}
+				disabled={changingPassword || !passwordFields.current || !passwordFields.next}
+			  >
+				{changingPassword ? 'Saving...' : 'Change'}
+			  </button>
+			</div>
+		  </div>
+		</div>
+	  )}
+	  
+	  {/* Reveal Secret Modal */}
+	  {secretRequest && (
+		<div className="modal-overlay" style={{
+		  position: 'fixed',
+		  top: 0,
+		  left: 0,
+		  right: 0,
+		  bottom: 0,
+		  backgroundColor: 'rgba(0, 0, 0, 0.5)',
+		  display: 'flex',
+		  alignItems: 'center',
+		  justifyContent: 'center',
+		  zIndex: 10
+		}}>
+		  <div className="modal-content" style={{
+			background: 'white',
+			borderRadius: '8px',
+			width: '90%',
+			maxWidth: '320px',
+			padding: '24px',
+			boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)'
+		  }}>
+			<h3 style={{ marginBottom: '16px' }}>
+			  {secretRequest.kind === 'mnemonic' ? 'View Recovery Phrase' : 'Export Private Key'}
+			</h3>
+			
+			{!secretValue ? (
+			  <>
+				<p style={{ marginBottom: '16px', fontSize: '14px' }}>
+				  Enter your password to continue. Anyone who sees this secret can take your funds.
+				</p>
+				<div className="form-group">
+				  <input
+					type="password"
+					className="form-input"
+					value={secretPassword}
+					onChange={(e) => {
+					  setSecretPassword(e.target.value);
+					  setSecretError(null);
+					}}
+					onKeyPress={(e) => e.key === 'Enter' && handleRevealSecret()}
+					placeholder="Password"
+				  />
+				  {secretError && <p className="form-error">{secretError}</p>}
+				</div>
+			  </>
+			) : (
+			  <>
+				<div
+				  style={{
+					background: 'var(--background-light)',
+					padding: '12px',
+					borderRadius: '8px',
+					marginBottom: '12px',
+					filter: secretHeld ? 'none' : 'blur(6px)',
+					userSelect: secretHeld ? 'text' : 'none'
+				  }}
+				>
+				  {secretRequest.kind === 'mnemonic' ? (
+					<div className="mnemonic-words" style={{
+					  display: 'grid',
+					  gridTemplateColumns: 'repeat(3, 1fr)',
+					  gap: '6px',
+					  fontSize: '12px'
+					}}>
+					  {secretValue.split(' ').map((word, index) => (
+						<div key={index}>
+						  <span style={{ color: 'var(--text-light)', marginRight: '4px' }}>{index + 1}.</span>
+						  {word}
+						</div>
+					  ))}
+					</div>
+				  ) : (
+					<div style={{ fontFamily: 'monospace', fontSize: '12px', wordBreak: 'break-all' }}>
+					  0x{secretValue}
+					</div>
+				  )}
+				</div>
+				
+				<button
+				  className="button button-secondary"
+				  style={{ width: '100%', marginBottom: '8px' }}
+				  onMouseDown={() => setSecretHeld(true)}
+				  onMouseUp={() => setSecretHeld(false)}
+				  onMouseLeave={() => setSecretHeld(false)}
+				  onTouchStart={() => setSecretHeld(true)}
+				  onTouchEnd={() => setSecretHeld(false)}
+				>
+				  Hold to Reveal
+				</button>
+				
+				{secretRequest.kind === 'privateKey' && (
+				  <>
+					<button
+					  className="button button-secondary"
+					  style={{ width: '100%', marginBottom: '8px' }}
+					  onClick={handleCopySecret}
+					>
+					  {secretCopied ? 'Copied' : 'Copy'}
+					</button>
+					<p style={{ fontSize: '12px', color: 'var(--text-light)', marginBottom: '8px' }}>
+					  The key is cleared from this screen and the clipboard in {secretCountdown}s.
+					</p>
+				  </>
+				)}
+			  </>
+			)}
+			
+			<div style={{ display: 'flex', gap: '16px', marginTop: '16px' }}>
+			  <button
+				className="button button-secondary"
+				style={{ flex: 1 }}
+				onClick={closeSecretModal}
+			  >
+				{secretValue ? 'Done' : 'Cancel'}
+			  </button>
+			  
+			  {!secretValue && (
+				<button
+				  className="button button-primary"
+				  style={{ flex: 1 }}
+				  onClick={handleRevealSecret}
+				  disabled={!secretPassword}
+				>
+				  Continue
+				</button>
+			  )}
+			</div>
+		  </div>
+		</div>
+	  )}
+	  
+	  {/* Export Backup Modal */}
+	  {backupModalOpen && (
+		<div className="modal-overlay" style={{
+		  position: 'fixed',
+		  top: 0,
+		  left: 0,
+		  right: 0,
+		  bottom: 0,
+		  backgroundColor: 'rgba(0, 0, 0, 0.5)',
+		  display: 'flex',
+		  alignItems: 'center',
+		  justifyContent: 'center',
+		  zIndex: 10
+		}}>
+		  <div className="modal-content" style={{
+			background: 'white',
+			borderRadius: '8px',
+			width: '90%',
+			maxWidth: '320px',
+			padding: '24px',
+			boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)'
+		  }}>
+			<h3 style={{ marginBottom: '16px' }}>Export Backup</h3>
+			<p style={{ marginBottom: '16px', fontSize: '14px' }}>
+			  The backup holds your wallets, account names and settings, encrypted with your password.
+			</p>
+			
+			<div className="form-group">
+			  <input
+				type="password"
+				className="form-input"
+				value={backupPassword}
+				onChange={(e) => {
+				  setBackupPassword(e.target.value);
+				  setBackupError(null);
+				}}
+				placeholder="Password"
+			  />
+			  {backupError && <p className="form-error">{backupError}</p>}
+			</div>
+			
+			<div style={{ display: 'flex', gap: '16px', marginTop: '16px' }}>
+			  <button
+				className="button button-secondary"
+				style={{ flex: 1 }}
+				onClick={closeBackupModal}
+				disabled={exportingBackup}
+			  >
+				Cancel
+			  </button>
+			  
+			  <button
+				className="button button-primary"
+				style={{ flex: 1 }}
+				onClick={handleExportBackup}
+				disabled={exportingBackup || !backupPassword}
+			  >
+				{exportingBackup ? 'Exporting...' : 'Export'}
+			  </button>
+			</div>
+		  </div>
+		</div>
+	  )}
+	  
+	  {/* Reset Wallet Modal */}
+	  {resetModalOpen && (
+		<div className="modal-overlay" style={{
+		  position: 'fixed',
+		  top: 0,
+		  left: 0,
+		  right: 0,
+		  bottom: 0,
+		  backgroundColor: 'rgba(0, 0, 0, 0.5)',
+		  display: 'flex',
+		  alignItems: 'center',
+		  justifyContent: 'center',
+		  zIndex: 10
+		}}>
+		  <div className="modal-content" style={{
+			background: 'white',
+			borderRadius: '8px',
+			width: '90%',
+			maxWidth: '320px',
+			padding: '24px',
+			boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)'
+		  }}>
+			<h3 style={{ marginBottom: '16px' }}>Reset Wallet</h3>
+			<p style={{ marginBottom: '16px', fontSize: '14px' }}>
+			  This will remove all your wallet data from this device. Make sure you have your recovery phrase before continuing.
+			</p>
+			
+			<div className="form-group">
+			  <input
+				type="password"
+				className="form-input"
+				value={resetPassword}
+				onChange={(e) => {
+				  setResetPassword(e.target.value);
+				  setResetError(null);
+				}}
+				placeholder="Password"
+			  />
+			  {resetError && <p className="form-error">{resetError}</p>}
+			</div>
+			
+			<div style={{ display: 'flex', gap: '16px', marginTop: '16px' }}>
+			  <button
+				className="button button-secondary"
+				style={{ flex: 1 }}
+				onClick={closeResetModal}
+				disabled={resettingWallet}
+			  >
+				Cancel
+			  </button>
+			  
+			  <button
+				className="button button-danger"
+				style={{ flex: 1 }}
+				onClick={handleResetWallet}
+				disabled={resettingWallet || !resetPassword}
+			  >
+				{resettingWallet ? 'Resetting...' : 'Reset'}
+			  </button>
+			</div>
+		  </div>
+		</div>
+	  )}
+	  
+	  {/* Export Keystore Modal */}
+	  {keystoreAddress && (
+		<div className="modal-overlay" style={{
+		  position: 'fixed',
+		  top: 0,
+		  left: 0,
+		  right: 0,
+		  bottom: 0,
+		  backgroundColor: 'rgba(0, 0, 0, 0.5)',
+		  display: 'flex',
+		  alignItems: 'center',
+		  justifyContent: 'center',
+		  zIndex: 10
+		}}>
+		  <div className="modal-content" style={{
+			background: 'white',
+			borderRadius: '8px',
+			width: '90%',
+			maxWidth: '320px',
+			padding: '24px',
+			boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)'
+		  }}>
+			<h3 style={{ marginBottom: '16px' }}>Export Keystore</h3>
+			<p style={{ marginBottom: '16px', fontSize: '14px' }}>
+			  Saves the private key of {truncateAddress(keystoreAddress)} as an Ethereum V3 keystore file, encrypted with a keystore password of your choice.
+			</p>
+			
+			<div className="form-group">
+			  <input
+				type="password"
+				className="form-input"
+				value={keystoreFields.password}
+				onChange={(e) => handleKeystoreFieldChange('password', e.target.value)}
+				placeholder="Wallet password"
+			  />
+			</div>
+			
+			<div className="form-group">
+			  <input
+				type="password"
+				className="form-input"
+				value={keystoreFields.keystorePassword}
+				onChange={(e) => handleKeystoreFieldChange('keystorePassword', e.target.value)}
+				placeholder="Keystore password"
+			  />
+			</div>
+			
+			<div className="form-group">
+			  <input
+				type="password"
+				className="form-input"
+				value={keystoreFields.confirm}
+				onChange={(e) => handleKeystoreFieldChange('confirm', e.target.value)}
+				placeholder="Confirm keystore password"
+			  />
+			  {keystoreError && <p className="form-error">{keystoreError}</p>}
+			</div>
+			
+			<div style={{ display: 'flex', gap: '16px', marginTop: '16px' }}>
+			  <button
+				className="button button-secondary"
+				style={{ flex: 1 }}
+				onClick={closeKeystoreModal}
+				disabled={exportingKeystore}
+			  >
+				Cancel
+			  </button>
+			  
+			  <button
+				className="button button-primary"
+				style={{ flex: 1 }}
+				onClick={handleExportKeystore}
+				disabled={exportingKeystore || !keystoreFields.password || !keystoreFields.keystorePassword}
+			  >
+				{exportingKeystore ? 'Encrypting...' : 'Export'}
+			  </button>
+			</div>
+		  </div>
+		</div>
+	  )}
+	  
 	  {/* Confirm Modal */}
 	  {confirmModalOpen && (
 		<div className="modal-overlay" style={{
@@ -2,10 +2,17 @@
 // Description: Component for staking tokens with validators
 
 import React, { useState, useEffect } from 'react';
-import { loadWallet, getCurrentAccount } from '../../lib/keyring';
-import { delegateTokens, undelegateTokens, claimRewards } from '../../lib/transactions';
+import { getSigner, getCurrentAccount } from '../../lib/session';
+import {
+  delegateTokens,
+  undelegateTokens,
+  claimRewards,
+  createUnsignedDelegateTx,
+  createUnsignedUndelegateTx,
+  createUnsignedClaimRewardsTx
+} from '../../lib/transactions';
 import CreataApiClient from '../../lib/api';
-import { formatAmount, parseAmount } from '../../utils/helpers';
+import { formatAmount, parseAmount, downloadJson } from '../../utils/helpers';
 import { networks } from '../../config/network';
 
 /**
@@ -36,6 +43,10 @@ const Stake = ({ onBack }) => {
   const [delegateAmount, setDelegateAmount] = useState('');
   const [processingTx, setProcessingTx] = useState(false);
   
+  // Watch-only accounts cannot sign; their transactions are exported unsigned
+  const watchOnly = Boolean(wallet && wallet.watchOnly);
+  const exportedMessage = 'Unsigned transaction downloaded. Sign it offline and broadcast it.';
+  
   // Load data on component mount
   useEffect(() => {
 	let mounted = true;
@@ -48,15 +59,11 @@ const Stake = ({ onBack }) => {
 		const activeNetwork = networkData.creata_active_network || 'mainnet';
 		if (mounted) setNetwork(activeNetwork);
 		
-		// Get current session password from storage
-		const sessionData = await chrome.storage.local.get(['creata_session']);
-		const password = sessionData.creata_session || '';
-		
-		// Load wallet and account
-		const walletInstance = await loadWallet(password);
+		// Load the signer and account; keys stay in the background session
+		const walletInstance = await getSigner();
 		if (mounted) setWallet(walletInstance);
 		
-		const currentAccount = await getCurrentAccount(password);
+		const currentAccount = await getCurrentAccount();
 		if (mounted) setAddress(currentAccount);
 		
 		// Create API client
@@ -155,25 +162,37 @@ const Stake = ({ onBack }) => {
 	  setProcessingTx(true);
 	  setError(null);
 	  
-	  // Delegate tokens
-	  await delegateTokens(
-		wallet,
-		selectedValidator.operator_address,
-		delegateAmount,
-		network
-	  );
+	  if (watchOnly) {
+		const unsignedTx = createUnsignedDelegateTx(
+		  address,
+		  selectedValidator.operator_address,
+		  delegateAmount,
+		  network
+		);
+		downloadJson(unsignedTx, `unsigned-delegate-${Date.now()}.json`);
+		setSuccessMessage(exportedMessage);
+	  } else {
+		// Delegate tokens
+		await delegateTokens(
+		  wallet,
+		  address,
+		  selectedValidator.operator_address,
+		  delegateAmount,
+		  network
+		);
+		setSuccessMessage('Tokens delegated successfully');
+		
+		// Refresh data after a short delay
+		setTimeout(refreshData, 2000);
+	  }
 	  
 	  // Show success message
 	  setSuccess(true);
-	  setSuccessMessage('Tokens delegated successfully');
 	  
 	  // Close modal and reset form
 	  setDelegateModalOpen(false);
 	  setSelectedValidator(null);
 	  setDelegateAmount('');
-	  
-	  // Refresh data after a short delay
-	  setTimeout(refreshData, 2000);
 	} catch (err) {
 	  console.error('Failed to delegate tokens:', err);
 	  setError('Failed to delegate tokens. Please try again.');
@@ -193,20 +212,32 @@ const Stake = ({ onBack }) => {
 	  // Get amount
 	  const amount = delegation.balance.amount;
 	  
-	  // Undelegate tokens
-	  await undelegateTokens(
-		wallet,
-		delegation.delegation.validator_address,
-		formatAmount(amount, networks[network].decimals),
-		network
-	  );
+	  if (watchOnly) {
+		const unsignedTx = createUnsignedUndelegateTx(
+		  address,
+		  delegation.delegation.validator_address,
+		  formatAmount(amount, networks[network].decimals),
+		  network
+		);
+		downloadJson(unsignedTx, `unsigned-undelegate-${Date.now()}.json`);
+		setSuccessMessage(exportedMessage);
+	  } else {
+		// Undelegate tokens
+		await undelegateTokens(
+		  wallet,
+		  address,
+		  delegation.delegation.validator_address,
+		  formatAmount(amount, networks[network].decimals),
+		  network
+		);
+		setSuccessMessage('Tokens undelegated successfully. The unbonding period is 21 days.');
+		
+		// Refresh data after a short delay
+		setTimeout(refreshData, 2000);
+	  }
 	  
 	  // Show success message
 	  setSuccess(true);
-	  setSuccessMessage('Tokens undelegated successfully. The unbonding period is 21 days.');
-	  
-	  // Refresh data after a short delay
-	  setTimeout(refreshData, 2000);
 	} catch (err) {
 	  console.error('Failed to undelegate tokens:', err);
 	  setError('Failed to undelegate tokens. Please try again.');
@@ -221,15 +252,21 @@ const Stake = ({ onBack }) => {
 	  setProcessingTx(true);
 	  setError(null);
 	  
-	  // Claim rewards
-	  await claimRewards(wallet, network);
+	  if (watchOnly) {
+		const unsignedTx = await createUnsignedClaimRewardsTx(address, network);
+		downloadJson(unsignedTx, `unsigned-claim-rewards-${Date.now()}.json`);
+		setSuccessMessage(exportedMessage);
+	  } else {
+		// Claim rewards
+		await claimRewards(wallet, address, network);
+		setSuccessMessage('Rewards claimed successfully');
+		
+		// Refresh data after a short delay
+		setTimeout(refreshData, 2000);
+	  }
 	  
 	  // Show success message
 	  setSuccess(true);
-	  setSuccessMessage('Rewards claimed successfully');
-	  
-	  // Refresh data after a short delay
-	  setTimeout(refreshData, 2000);
 	} catch (err) {
 	  console.error('Failed to claim rewards:', err);
 	  setError('Failed to claim rewards. Please try again.');
@@ -285,6 +322,19 @@ const Stake = ({ onBack }) => {
 		  </div>
 		)}
 		
+		{watchOnly && (
+		  <div className="info-message" style={{ 
+			background: '#e6f7ff', 
+			border: '1px solid #91d5ff',
+			borderRadius: '4px',
+			padding: '12px',
+			marginBottom: '16px',
+			fontSize: '14px'
+		  }}>
+			This is a watch-only account. Staking actions download an unsigned transaction to sign offline.
+		  </div>
+		)}
+		
 		<div className="balance-display" style={{ 
 		  background: 'var(--background-light)',
 		  padding: '16px',
@@ -315,7 +365,7 @@ const Stake = ({ onBack }) => {
 			  onClick={handleClaimRewards}
 			  disabled={processingTx}
 			>
-			  {processingTx ? 'Processing...' : 'Claim All Rewards'}
+			  {processingTx ? 'Processing...' : (watchOnly ? 'Export Claim Transaction' : 'Claim All Rewards')}
 			</button>
 		  )}
 		</div>
@@ -458,7 +508,7 @@ const Stake = ({ onBack }) => {
 							}
 						  }}
 						>
-						  Delegate More
+						  {watchOnly ? 'Export Delegate' : 'Delegate More'}
 						</button>
 						
 						<button
@@ -467,7 +517,7 @@ const Stake = ({ onBack }) => {
 						  onClick={() => handleUndelegate(delegation)}
 						  disabled={processingTx}
 						>
-						  Undelegate
+						  {watchOnly ? 'Export Undelegate' : 'Undelegate'}
 						</button>
 					  </div>
 					</div>
@@ -579,7 +629,7 @@ const Stake = ({ onBack }) => {
 				onClick={handleDelegate}
 				disabled={!delegateAmount || processingTx}
 			  >
-				{processingTx ? 'Processing...' : 'Delegate'}
+				{processingTx ? 'Processing...' : (watchOnly ? 'Export Unsigned' : 'Delegate')}
 			  </button>
 			</div>
 		  </div>
@@ -8,9 +8,10 @@ import React from 'react';
  * @param {Object} props - Component props
  * @param {Function} props.onCreateWallet - Create wallet callback
  * @param {Function} props.onImportWallet - Import wallet callback
+ * @param {Function} props.onRestoreBackup - Restore backup callback
  * @returns {JSX.Element} - Welcome component
  */
-const Welcome = ({ onCreateWallet, onImportWallet }) => {
+const Welcome = ({ onCreateWallet, onImportWallet, onRestoreBackup }) => {
   return (
 	<div className="welcome-container">
 	  <div className="welcome-logo">
@@ -50,6 +51,12 @@ const Welcome = ({ onCreateWallet, onImportWallet }) => {
 		>
 		  Import Existing Wallet
 		</button>
+		<button
+		  className="button button-secondary"
+		  onClick={onRestoreBackup}
+		>
+		  Restore from Backup
+		</button>
 	  </div>
 
 	  <div className="welcome-terms" style={{ marginTop: '24px', fontSize: '12px', color: 'var(--text-light)' }}>
@@ -0,0 +1,123 @@
+// File: src/test/chrome.js
+// Description: In-memory chrome.* APIs for unit tests
+
+/**
+ * Copies a value the way Chrome serializes stored values
+ * @param {any} value - Value
+ * @returns {any}
+ */
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Creates an in-memory chrome.storage area. Methods take an optional
+ * callback and also return a promise, like Chrome's.
+ * @param {string} areaName - Area name passed to onChanged listeners
+ * @param {Array<Function>} listeners - chrome.storage.onChanged listeners
+ * @returns {Object} - Storage area; the raw values are in `items`
+ */
+const createStorageArea = (areaName, listeners) => {
+  const area = { items: {} };
+
+  /**
+   * Calls the callback and onChanged listeners, then resolves
+   * @param {Function} callback - Optional callback
+   * @param {Object} changes - Changes by key as { oldValue, newValue }
+   * @param {any} result - Result passed to the callback
+   * @returns {Promise<any>}
+   */
+  const finish = (callback, changes, result) => {
+	if (Object.keys(changes).length > 0) {
+	  listeners.forEach(listener => listener(changes, areaName));
+	}
+	if (callback) {
+	  callback(result);
+	}
+	return Promise.resolve(result);
+  };
+
+  area.get = (keys, callback) => {
+	let names;
+	if (keys === null || keys === undefined) {
+	  names = Object.keys(area.items);
+	} else {
+	  names = typeof keys === 'string' ? [keys] : keys;
+	}
+
+	const result = {};
+	names.forEach(name => {
+	  if (area.items[name] !== undefined) {
+		result[name] = clone(area.items[name]);
+	  }
+	});
+	return finish(callback, {}, result);
+  };
+
+  area.set = (values, callback) => {
+	const changes = {};
+	Object.entries(values).forEach(([name, value]) => {
+	  changes[name] = { oldValue: area.items[name], newValue: clone(value) };
+	  area.items[name] = clone(value);
+	});
+	return finish(callback, changes);
+  };
+
+  area.remove = (keys, callback) => {
+	const changes = {};
+	(typeof keys === 'string' ? [keys] : keys).forEach(name => {
+	  if (area.items[name] !== undefined) {
+		changes[name] = { oldValue: area.items[name] };
+		delete area.items[name];
+	  }
+	});
+	return finish(callback, changes);
+  };
+
+  area.clear = (callback) => area.remove(Object.keys(area.items), callback);
+
+  return area;
+};
+
+/**
+ * Creates a chrome event whose listeners tests can call through `listeners`
+ * @returns {Object}
+ */
+const createEvent = () => {
+  const listeners = [];
+  return {
+	listeners,
+	addListener: listener => listeners.push(listener),
+	removeListener: listener => listeners.splice(listeners.indexOf(listener), 1)
+  };
+};
+
+/**
+ * Creates the chrome.* APIs the wallet libraries use, with empty storage
+ * @returns {Object} - Object to install as global.chrome
+ */
+const createChromeMock = () => {
+  const onChanged = createEvent();
+  return {
+	storage: {
+	  local: createStorageArea('local', onChanged.listeners),
+	  session: createStorageArea('session', onChanged.listeners),
+	  onChanged
+	},
+	runtime: {
+	  id: 'test-extension',
+	  lastError: undefined
+	},
+	alarms: {
+	  create: () => Promise.resolve(),
+	  clear: () => Promise.resolve(true),
+	  onAlarm: createEvent()
+	},
+	idle: {
+	  setDetectionInterval: () => {},
+	  onStateChanged: createEvent()
+	}
+  };
+};
+
+export {
+  createChromeMock
+};
\ No newline at end of file
@@ -0,0 +1,6 @@
+// File: src/test/setup.js
+// Description: Jest setup; modules that register chrome listeners on load need the APIs first
+
+import { createChromeMock } from './chrome';
+
+global.chrome = createChromeMock();
\ No newline at end of file
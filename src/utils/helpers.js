@@ -138,6 +138,17 @@ export const isValidMnemonic = (mnemonic) => {
   return [12, 15, 18, 21, 24].includes(words.length);
 };
 
+/**
+ * Validates a hex private key
+ * @param {string} privateKey - Private key to validate (0x prefix optional)
+ * @returns {boolean} - Whether the private key is valid
+ */
+export const isValidPrivateKey = (privateKey) => {
+  if (!privateKey) return false;
+  
+  return /^(0x)?[0-9a-fA-F]{64}$/.test(privateKey.trim());
+};
+
 /**
  * Calculates estimated transaction fee
  * @param {number} gasLimit - Gas limit
@@ -192,4 +203,21 @@ export const copyToClipboard = async (text) => {
 	console.error('Failed to copy text:', error);
 	return false;
   }
+};
+
+/**
+ * Saves data as a JSON file through the browser's download prompt
+ * @param {Object} data - Data to save
+ * @param {string} filename - Suggested file name
+ */
+export const downloadJson = (data, filename) => {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  
+  URL.revokeObjectURL(url);
 };
\ No newline at end of file
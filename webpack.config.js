@@ -60,6 +60,13 @@ module.exports = {
 	})
   ],
   resolve: {
-	extensions: ['.js', '.jsx']
+	extensions: ['.js', '.jsx'],
+	// @cosmjs/crypto and libsodium only require Node's built-ins as a
+	// fallback; browsers use WebCrypto and need no file system
+	fallback: {
+	  crypto: false,
+	  fs: false,
+	  path: false
+	}
   }
 };
\ No newline at end of file